@@ -10,9 +10,21 @@ import ServicesPage from './components/ServicesPage';
 import Callback from './components/Callback';
 import Layout from './components/Layout';
 import CreatePlaylistPage from './components/CreatePlaylistPage';
+import SettingsPage from './components/SettingsPage';
+import RouteErrorBoundary from './components/ErrorBoundary';
 
 // Import Services / Utils
-import { getUserId } from './services/spotifyService'; // Assuming path is correct
+import { fetchUser } from './services/spotifyService'; // Assuming path is correct
+import { refreshSpotifyToken, buildSpotifyAuthUrl } from './services/auth';
+import {
+    getAccessToken, getStoredAccessToken, getRefreshToken, clearAllTokens, subscribe
+} from './services/tokenStore';
+import {
+    getAccounts, upsertAccount, switchAccount, removeAccount, prepareAccountAdd, clearAccounts
+} from './services/accountStore';
+import { isSpotifySessionError, describeError } from './utils/errorUtils';
+import { isAbortError } from './services/errors';
+import { clearLibraryCache } from './services/libraryCache';
 
 // --- IMPORTANT: Set Modal App Element ---
 // This should match the ID of your main app container in public/index.html
@@ -25,26 +37,28 @@ function App() {
     const [userId, setUserId] = useState(null);
     const [isInitializing, setIsInitializing] = useState(true);
     const [refreshKey, setRefreshKey] = useState(0);
+    const [accounts, setAccounts] = useState(getAccounts); // Known Spotify accounts (no credentials)
 
     // --- Logout Handler ---
     const handleLogout = useCallback(() => {
         console.log("Logging out...");
         setToken(null);
         setUserId(null);
-        localStorage.removeItem('spotify_access_token');
-        localStorage.removeItem('spotify_token_expires');
-        localStorage.removeItem('amazon_access_token');
-        localStorage.removeItem('youtube_access_token');
+        clearAllTokens();
+        clearAccounts();
+        clearLibraryCache(); // Cached playlists/tracks belong to the accounts being logged out
+        setAccounts([]);
         setIsInitializing(false);
     }, []);
 
     // --- Centralized API Error Handler ---
     const handleApiError = useCallback((error, logoutCallback) => {
+        if (isAbortError(error)) return; // Cancelled by the user, nothing to report
         console.error("Global API Error Handler Caught:", error);
-        const message = String(error?.message || '').toLowerCase();
 
-        if (message.includes('401') || message.includes('403') || message.includes('token') || message.includes('unauthorized') || message.includes('invalid access token')) {
-            if (localStorage.getItem('spotify_access_token')) {
+        // Only a genuine Spotify auth failure ends the session (see isSpotifySessionError)
+        if (isSpotifySessionError(error)) {
+            if (getStoredAccessToken('spotify')) {
                  alert(`Authentication error: ${error.message}.\nYour session may have expired. Logging out.`);
                  // Ensure logoutCallback is callable before invoking
                  if (typeof logoutCallback === 'function') {
@@ -56,7 +70,7 @@ function App() {
                  }
             }
         } else {
-             alert(`An API error occurred:\n${error.message}\n\nPlease try again or check the console for details.`);
+             alert(`An API error occurred:\n${describeError(error)}`);
         }
     // Add handleLogout as a dependency since it's used via logoutCallback
     }, [handleLogout]); // Dependency added
@@ -64,14 +78,29 @@ function App() {
     // --- Check Token on Initial Load & Expiry ---
     useEffect(() => {
         console.log("App initializing: Checking token...");
-        const storedToken = localStorage.getItem('spotify_access_token');
-        const expiryTime = localStorage.getItem('spotify_token_expires');
+        const storedToken = getStoredAccessToken('spotify');
+        const validToken = getAccessToken('spotify');
         let validTokenFound = false;
 
-        if (storedToken && expiryTime && Date.now() < parseInt(expiryTime, 10)) {
+        if (validToken) {
             console.log("Found valid token in localStorage.");
-            setToken(storedToken);
+            setToken(validToken);
             validTokenFound = true;
+        } else if (storedToken && getRefreshToken('spotify')) {
+            console.log("Token expired, attempting refresh...");
+            validTokenFound = true; // Keep initializing until the refresh settles
+            refreshSpotifyToken()
+                .then(newToken => setToken(newToken))
+                .catch(err => {
+                    console.error("Token refresh on load failed:", err);
+                    if (isSpotifySessionError(err)) {
+                        handleLogout();
+                    } else {
+                        // Network/server trouble: keep the refresh token so a reload can try again
+                        alert(`Could not renew your Spotify session:\n${describeError(err)}`);
+                        setIsInitializing(false);
+                    }
+                });
         } else if (storedToken) {
             console.log("Token found but expired or expiry time missing.");
             handleLogout();
@@ -85,14 +114,43 @@ function App() {
     // eslint-disable-next-line react-hooks/exhaustive-deps
     }, [handleLogout]); // handleLogout is stable due to its own useCallback
 
-    // --- Fetch User ID once token is set ---
+    // --- React to Spotify token expiry events from the token store ---
+    useEffect(() => {
+        const unsubscribe = subscribe(({ type, provider }) => {
+            if (provider !== 'spotify') return;
+            if (type !== 'expiring' && type !== 'expired') return;
+            if (!getRefreshToken('spotify')) {
+                if (type === 'expired') handleLogout();
+                return;
+            }
+            // Concurrent calls share one in-flight refresh; a token for an account switched away from isn't used
+            refreshSpotifyToken()
+                .then(newToken => { if (newToken === getStoredAccessToken('spotify')) setToken(newToken); })
+                .catch(err => {
+                    console.error(`Spotify token refresh (${type}) failed:`, err);
+                    // A warning can be retried on expiry; a rejected refresh token can't be used at all
+                    if (type === 'expired' && isSpotifySessionError(err)) handleLogout();
+                });
+        });
+        return unsubscribe;
+    }, [handleLogout]);
+
+    // --- Called by Callback once the PKCE code exchange has stored the tokens ---
+    const handleSpotifyLogin = useCallback((newToken) => {
+        setToken(newToken);
+        setUserId(null); // Re-fetch the profile; this may be a newly added account
+    }, []);
+
+    // --- Fetch User Profile once token is set, and register the account ---
     useEffect(() => {
         if (token && !userId) {
-            console.log("Token set, fetching User ID...");
-            getUserId(token)
-                .then(id => {
-                    console.log("User ID fetched:", id);
-                    setUserId(id);
+            console.log("Token set, fetching user profile...");
+            fetchUser(token)
+                .then(profile => {
+                    console.log("User ID fetched:", profile.id);
+                    upsertAccount(profile);
+                    setAccounts(getAccounts());
+                    setUserId(profile.id);
                     setIsInitializing(false);
                 })
                 .catch(err => {
@@ -114,6 +172,47 @@ function App() {
     }, []);
 
 
+    // --- Account Switching ---
+    const handleSwitchAccount = useCallback(async (accountId) => {
+        if (accountId === userId) return;
+        console.log(`Switching to Spotify account ${accountId}...`);
+        try {
+            let newToken = switchAccount(accountId);
+            // Refresh up front so the remounted views don't start with an expired token
+            if (!getAccessToken('spotify')) newToken = await refreshSpotifyToken();
+            setToken(newToken);
+            setUserId(accountId);
+            setAccounts(getAccounts());
+            triggerPlaylistRefresh();
+        } catch (error) {
+            console.error("Account switch failed:", error);
+            alert(`Could not switch account: ${error.message}`);
+            setAccounts(getAccounts());
+        }
+    }, [userId, triggerPlaylistRefresh]);
+
+    const handleAddAccount = useCallback(async () => {
+        try {
+            prepareAccountAdd();
+            window.location.href = await buildSpotifyAuthUrl();
+        } catch (error) {
+            console.error("Failed to start adding an account:", error);
+            alert(`Could not start Spotify login: ${error.message}`);
+        }
+    }, []);
+
+    const handleRemoveAccount = useCallback((accountId) => {
+        const remaining = removeAccount(accountId);
+        setAccounts(remaining);
+        if (accountId !== userId) return;
+        // The active account was removed: fall back to another one, or log out entirely
+        if (remaining.length > 0) {
+            handleSwitchAccount(remaining[0].id);
+        } else {
+            handleLogout();
+        }
+    }, [userId, handleSwitchAccount, handleLogout]);
+
     // --- Render Logic ---
     if (isInitializing) {
         return <div className="loading-message">Initializing Application...</div>;
@@ -121,56 +220,69 @@ function App() {
 
     return (
         <Router>
-            <Routes>
-                {/* Public Routes */}
-                <Route path="/login" element={!token ? <LoginPage /> : <Navigate to="/" replace />} />
-                <Route path="/callback" element={<Callback />} />
-
-                {/* Protected Routes */}
-                <Route
-                    path="/"
-                    element={token ? <Layout onLogout={handleLogout} /> : <Navigate to="/login" replace />}
-                >
-                    <Route
-                        index
-                        element={
-                            <Spotify
-                                key={refreshKey} // Use key to force remount on refresh
-                                token={token}
-                                onLogout={handleLogout}
-                                // Pass central error handler if Spotify needs it directly
-                                // handleApiError={handleApiError}
-                            />
-                        }
-                     />
-                    <Route
-                        path="connect"
-                        element={
-                            <ServicesPage
-                                // Pass props if needed, e.g.:
-                                // handleApiError={handleApiError}
-                                // onLogout={handleLogout}
-                             />
-                        }
-                    />
+            <RouteErrorBoundary>
+                <Routes>
+                    {/* Public Routes */}
+                    <Route path="/login" element={!token ? <LoginPage /> : <Navigate to="/" replace />} />
+                    <Route path="/callback" element={<Callback onSpotifyLogin={handleSpotifyLogin} />} />
+
+                    {/* Protected Routes */}
                     <Route
-                        path="create"
-                        element={
-                            <CreatePlaylistPage
-                                token={token}
-                                currentUserId={userId}
+                        path="/"
+                        element={token ? (
+                            <Layout
                                 onLogout={handleLogout}
-                                handleApiError={handleApiError} // Pass error handler
-                                refreshPlaylists={triggerPlaylistRefresh}
+                                accounts={accounts}
+                                activeAccountId={userId}
+                                onSwitchAccount={handleSwitchAccount}
+                                onAddAccount={handleAddAccount}
+                                onRemoveAccount={handleRemoveAccount}
                             />
-                        }
-                    />
-                    {/* Add other protected routes here */}
-                </Route>
-
-                {/* Fallback Route */}
-                <Route path="*" element={<Navigate to={token ? "/" : "/login"} replace />} />
-            </Routes>
+                        ) : <Navigate to="/login" replace />}
+                    >
+                        <Route
+                            index
+                            element={
+                                <Spotify
+                                    key={refreshKey} // Use key to force remount on refresh
+                                    token={token}
+                                    onLogout={handleLogout}
+                                    accounts={accounts}
+                                    // Pass central error handler if Spotify needs it directly
+                                    // handleApiError={handleApiError}
+                                />
+                            }
+                         />
+                        <Route
+                            path="connect"
+                            element={
+                                <ServicesPage
+                                    // Pass props if needed, e.g.:
+                                    // handleApiError={handleApiError}
+                                    // onLogout={handleLogout}
+                                 />
+                            }
+                        />
+                        <Route
+                            path="create"
+                            element={
+                                <CreatePlaylistPage
+                                    token={token}
+                                    currentUserId={userId}
+                                    onLogout={handleLogout}
+                                    handleApiError={handleApiError} // Pass error handler
+                                    refreshPlaylists={triggerPlaylistRefresh}
+                                />
+                            }
+                        />
+                        <Route path="settings" element={<SettingsPage />} />
+                        {/* Add other protected routes here */}
+                    </Route>
+
+                    {/* Fallback Route */}
+                    <Route path="*" element={<Navigate to={token ? "/" : "/login"} replace />} />
+                </Routes>
+            </RouteErrorBoundary>
         </Router>
     );
 }
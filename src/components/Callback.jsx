@@ -1,24 +1,34 @@
 // src/components/Callback.jsx
-import { useEffect } from 'react';
-import { useNavigate } from 'react-router-dom';
-
-function Callback() {
+import { useEffect, useRef, useState } from 'react';
+import { useNavigate, Link } from 'react-router-dom';
+import { exchangeSpotifyCode } from '../services/auth';
+import { setTokens } from '../services/tokenStore';
+import { consumeOAuthState } from '../services/oauthState';
+import { getAmazonTokenApiUrl } from '../services/amazonClient';
+
+function Callback({ onSpotifyLogin }) {
     const navigate = useNavigate();
+    const [stateError, setStateError] = useState(null); // { message, returnPath }
+    // Authorization codes are single-use; guard against the effect running twice (StrictMode)
+    const hasHandledRef = useRef(false);
 
     useEffect(() => {
+        if (hasHandledRef.current) return;
+        hasHandledRef.current = true;
+
         const hash = window.location.hash.substring(1); // Get hash string without '#'
         const searchParams = new URLSearchParams(window.location.search);
         const hashParams = new URLSearchParams(hash); // Parse hash string like query params
 
         // --- Extract parameters ---
-        const code = searchParams.get('code'); // For Amazon Auth Code flow
+        const code = searchParams.get('code'); // For Amazon and Spotify (PKCE) Auth Code flows
         const searchState = searchParams.get('state'); // State from search params (e.g., Amazon)
         const searchError = searchParams.get('error'); // Error from search params
 
-        const hashAccessToken = hashParams.get('access_token'); // Token from hash (Spotify Implicit, YouTube Implicit)
+        const hashAccessToken = hashParams.get('access_token'); // Token from hash (YouTube Implicit)
         const hashState = hashParams.get('state'); // State from hash (e.g., YouTube)
         const hashError = hashParams.get('error'); // Error from hash
-        const expiresIn = hashParams.get('expires_in'); // Expiry from hash (Spotify, YouTube)
+        const expiresIn = hashParams.get('expires_in'); // Expiry from hash (YouTube)
 
         // Combine errors
         const error = searchError || hashError;
@@ -35,76 +45,78 @@ function Callback() {
         console.log("Combined Error:", error);
         console.log("Expires In (from hash):", expiresIn);
 
-        // --- 1. Handle Errors First ---
+        // --- 1. Verify State ---
+        // Every login/connect link carries a one-time nonce; anything else is forged or stale
+        let provider;
+        try {
+            provider = consumeOAuthState(searchState || hashState);
+            console.log(`State verified for provider: ${provider}`);
+        } catch (stateErr) {
+            console.error('OAuth state validation failed:', stateErr);
+            setStateError({ message: stateErr.message, returnPath: '/login' });
+            return; // Never store tokens from an unverified response
+        }
+        const returnPath = provider === 'spotify' ? '/login' : '/connect';
+
+        // --- 2. Handle Errors ---
         if (error) {
             console.error('Authentication Error received:', error);
             alert(`Authentication failed: ${decodeURIComponent(error)}`);
-            // Navigate appropriately based on state if possible, otherwise default
-            const originatingState = searchState || hashState;
-            const errorRedirectPath = originatingState === 'amazon' || originatingState === 'youtube' ? '/connect' : '/login';
-            console.log(`Navigating to ${errorRedirectPath} on error...`);
-            navigate(errorRedirectPath, { replace: true });
+            console.log(`Navigating to ${returnPath} on error...`);
+            navigate(returnPath, { replace: true });
             return; // Stop further processing
         }
 
-        // --- 2. Handle Amazon Code Grant ---
-        if (code && searchState === 'amazon') {
+        // --- 3. Handle Amazon Code Grant ---
+        if (code && provider === 'amazon') {
             console.log("Detected Amazon code and state. Exchanging for token...");
             // Use a separate function or keep fetch here
             exchangeAmazonCode(code, navigate);
             return; // Stop processing
         }
 
-        // --- 3. Handle YouTube Implicit Grant ---
-        if (hashAccessToken && hashState === 'youtube') {
-            console.log("Detected YouTube token and state=youtube.");
-            console.log("Storing YouTube token in localStorage...");
-            localStorage.setItem('youtube_access_token', hashAccessToken);
-            if (expiresIn) {
-                 // Store expiry if needed for YouTube token refresh later
-                const expiryTime = Date.now() + parseInt(expiresIn, 10) * 1000;
-                localStorage.setItem('youtube_token_expires', expiryTime.toString());
-                console.log("Stored YouTube token expiry time.");
-            }
+        // --- 4. Handle YouTube Implicit Grant ---
+        if (hashAccessToken && provider === 'youtube') {
+            console.log("Detected YouTube token with verified state.");
+            console.log("Storing YouTube token...");
+            setTokens('youtube', { accessToken: hashAccessToken, expiresIn });
             alert('YouTube connection successful!');
             console.log("Navigating to /connect ...");
             navigate('/connect', { replace: true });
             return; // Stop processing
         }
 
-        // --- 4. Handle Spotify Implicit Grant ---
-        // Assumes Spotify callback *only* has access_token in hash and NO state parameter
-        // OR a state parameter *not* equal to 'youtube' or 'amazon' (adjust if Spotify uses state)
-        if (hashAccessToken && (hashState !== 'youtube' && hashState !== 'amazon')) {
-             // Added check ^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^
-            console.log("Detected hash access_token, assuming Spotify."); // Make sure this assumption is correct for your Spotify flow!
-            console.log("Storing Spotify token in localStorage...");
-            localStorage.setItem('spotify_access_token', hashAccessToken);
-            if (expiresIn) {
-                const expiryTime = Date.now() + parseInt(expiresIn, 10) * 1000;
-                localStorage.setItem('spotify_token_expires', expiryTime.toString());
-                console.log("Stored Spotify token expiry time.");
-            }
-             // Don't alert here, let App.jsx handle successful login flow
-            console.log("Navigating to / (Spotify Login)...");
-            // Use timeout to allow localStorage to potentially write? Usually not needed but safe.
-            setTimeout(() => navigate('/', { replace: true }), 0);
+        // --- 5. Handle Spotify Code Grant (PKCE) ---
+        if (code && provider === 'spotify') {
+            console.log("Detected Spotify code and state. Exchanging for token...");
+            exchangeSpotifyCode(code)
+                .then((accessToken) => {
+                    console.log("Spotify token exchange successful.");
+                    // Let App.jsx pick up the new session before leaving the callback route
+                    if (typeof onSpotifyLogin === 'function') onSpotifyLogin(accessToken);
+                    navigate('/', { replace: true });
+                })
+                .catch((exchangeError) => {
+                    console.error('Spotify token exchange failed:', exchangeError);
+                    alert(`Spotify login failed: ${exchangeError.message}`);
+                    navigate('/login', { replace: true });
+                });
             return; // Stop processing
         }
 
-        // --- 5. No Recognizable Parameters ---
-        console.warn('Callback received without recognizable parameters or state mismatch.');
-        alert('Received an unexpected callback response. Please try logging in again.');
-        console.log("Navigating to /login as fallback...");
-        navigate('/login', { replace: true });
+        // --- 6. No Recognizable Parameters ---
+        console.warn(`Callback for ${provider} received without the expected parameters.`);
+        setStateError({
+            message: `The ${provider} authorization response did not contain the expected credentials.`,
+            returnPath,
+        });
 
-    // }, [navigate]); // Keep navigate as the only dependency
-    }, [navigate]); // Ensure navigate is the only dependency
+    }, [navigate, onSpotifyLogin]);
 
 
     // Helper function for Amazon code exchange (moved out for clarity)
     const exchangeAmazonCode = (authCode, navigate) => {
-        fetch('http://localhost:5001/exchange_amazon_token', { // Ensure your backend URL is correct
+        fetch(`${getAmazonTokenApiUrl()}/exchange_amazon_token`, { // Refresh lives alongside at /refresh_amazon_token
             method: 'POST',
             headers: { 'Content-Type': 'application/json' },
             body: JSON.stringify({ code: authCode }), // Send the code extracted
@@ -119,13 +131,12 @@ function Callback() {
         .then((data) => {
             if (data.access_token) {
                 console.log("Amazon token exchange successful.");
-                localStorage.setItem('amazon_access_token', data.access_token);
-                // Store refresh token and expiry if provided by your backend
-                if(data.refresh_token) localStorage.setItem('amazon_refresh_token', data.refresh_token);
-                if(data.expires_in) {
-                    const expiryTime = Date.now() + parseInt(data.expires_in, 10) * 1000;
-                    localStorage.setItem('amazon_token_expires', expiryTime.toString());
-                }
+                // Refresh token and expiry are stored if provided by your backend
+                setTokens('amazon', {
+                    accessToken: data.access_token,
+                    expiresIn: data.expires_in,
+                    refreshToken: data.refresh_token,
+                });
                 alert('Amazon connection successful!');
                 console.log("Navigating to /connect ...");
                 navigate('/connect', { replace: true });
@@ -142,6 +153,30 @@ function Callback() {
     };
 
 
+    if (stateError) {
+        return (
+            <div style={{
+                display: 'flex',
+                flexDirection: 'column',
+                justifyContent: 'center',
+                alignItems: 'center',
+                minHeight: '100vh',
+                backgroundColor: '#121212', // Match theme
+                color: '#ffffff',
+                fontFamily: 'sans-serif',
+                textAlign: 'center',
+                padding: '0 20px'
+                }}>
+                <h2>Authentication response rejected</h2>
+                <p>{stateError.message}</p>
+                <p>No credentials were stored. Please start the login or connection again.</p>
+                <Link to={stateError.returnPath} replace className="button-link">
+                    {stateError.returnPath === '/connect' ? 'Back to Connect Services' : 'Back to Login'}
+                </Link>
+            </div>
+        );
+    }
+
     // Render the processing message (remains the same)
     return (
         <div style={{
@@ -0,0 +1,95 @@
+import { render, screen, waitFor } from '@testing-library/react';
+import Callback from './Callback';
+import { createOAuthState } from '../services/oauthState';
+import { exchangeSpotifyCode } from '../services/auth';
+import { setTokens } from '../services/tokenStore';
+
+// Jest can't resolve react-router-dom 7's package exports; the callback only needs navigate and Link
+const mockNavigate = jest.fn();
+jest.mock('react-router-dom', () => ({
+    useNavigate: () => mockNavigate,
+    Link: ({ to, children }) => require('react').createElement('a', { href: to }, children),
+}), { virtual: true });
+jest.mock('../services/auth', () => ({ exchangeSpotifyCode: jest.fn() }));
+jest.mock('../services/tokenStore', () => ({ setTokens: jest.fn() }));
+jest.mock('../services/amazonClient', () => ({ getAmazonTokenApiUrl: () => 'https://amazon.example' }));
+
+const onSpotifyLogin = jest.fn();
+const openCallback = (query, hash = '') => {
+    window.history.replaceState({}, '', `/callback${query}${hash}`);
+    return render(<Callback onSpotifyLogin={onSpotifyLogin} />);
+};
+
+const expectRejected = async (message) => {
+    expect(await screen.findByText('Authentication response rejected')).toBeInTheDocument();
+    if (message) expect(screen.getByText(message, { exact: false })).toBeInTheDocument();
+    expect(exchangeSpotifyCode).not.toHaveBeenCalled();
+    expect(setTokens).not.toHaveBeenCalled();
+};
+
+beforeEach(() => {
+    localStorage.clear();
+    jest.spyOn(window, 'alert').mockImplementation(() => {});
+    ['log', 'warn', 'error'].forEach(level => jest.spyOn(console, level).mockImplementation(() => {}));
+});
+
+afterEach(() => {
+    jest.restoreAllMocks();
+});
+
+describe('Callback', () => {
+    test('exchanges the Spotify code for a state issued for Spotify', async () => {
+        exchangeSpotifyCode.mockResolvedValue('access-token');
+        const state = createOAuthState('spotify');
+        openCallback(`?code=abc&state=${state}`);
+        await waitFor(() => expect(mockNavigate).toHaveBeenCalledWith('/', { replace: true }));
+        expect(exchangeSpotifyCode).toHaveBeenCalledWith('abc');
+        expect(onSpotifyLogin).toHaveBeenCalledWith('access-token');
+    });
+
+    test('stores the YouTube token for a state issued for YouTube', () => {
+        const state = createOAuthState('youtube');
+        openCallback('', `#access_token=yt-token&expires_in=3600&state=${state}`);
+        expect(setTokens).toHaveBeenCalledWith('youtube', { accessToken: 'yt-token', expiresIn: '3600' });
+        expect(mockNavigate).toHaveBeenCalledWith('/connect', { replace: true });
+    });
+
+    test('rejects a response without a state, or with one this browser never issued', async () => {
+        createOAuthState('spotify');
+        const { unmount } = openCallback('?code=abc');
+        await expectRejected('did not include a state');
+        unmount();
+        openCallback(`?code=abc&state=${'f'.repeat(32)}`);
+        await expectRejected('does not match any login or connect request');
+    });
+
+    test('rejects a state that was already used', async () => {
+        exchangeSpotifyCode.mockResolvedValue('access-token');
+        const state = createOAuthState('spotify');
+        const { unmount } = openCallback(`?code=abc&state=${state}`);
+        await waitFor(() => expect(mockNavigate).toHaveBeenCalled());
+        unmount();
+        exchangeSpotifyCode.mockClear();
+        openCallback(`?code=abc&state=${state}`);
+        await expectRejected('does not match any login or connect request');
+    });
+
+    test('does not use credentials meant for another provider', async () => {
+        const youtubeState = createOAuthState('youtube');
+        const { unmount } = openCallback(`?code=abc&state=${youtubeState}`);
+        await expectRejected('The youtube authorization response did not contain the expected credentials');
+        unmount();
+        const spotifyState = createOAuthState('spotify');
+        openCallback('', `#access_token=yt-token&state=${spotifyState}`);
+        await expectRejected('The spotify authorization response did not contain the expected credentials');
+    });
+
+    test('rejects an expired state', async () => {
+        const now = Date.now();
+        const clock = jest.spyOn(Date, 'now').mockReturnValue(now);
+        const state = createOAuthState('spotify');
+        clock.mockReturnValue(now + 10 * 60 * 1000);
+        openCallback(`?code=abc&state=${state}`);
+        await expectRejected('has expired');
+    });
+});
@@ -0,0 +1,70 @@
+// src/components/CleanupPanel.jsx
+import React, { useState, useEffect } from 'react';
+import './CleanupPanel.css';
+
+// Lists playlists Smart Shuffler generated (see getGeneratedPlaylistKind) for deleting several at once
+function CleanupPanel({ playlists, onDeleteSelected, isDeleting, disabled, onClose }) {
+    const [selectedIds, setSelectedIds] = useState(() => new Set());
+
+    // Forget playlists that disappeared (deleted, or no longer listed after a refresh)
+    useEffect(() => {
+        setSelectedIds(prev => new Set([...prev].filter(id => playlists.some(item => item.playlist.id === id))));
+    }, [playlists]);
+
+    const toggle = (id) => {
+        setSelectedIds(prev => {
+            const next = new Set(prev);
+            if (next.has(id)) next.delete(id); else next.add(id);
+            return next;
+        });
+    };
+
+    const allSelected = playlists.length > 0 && selectedIds.size === playlists.length;
+    const toggleAll = () => {
+        setSelectedIds(allSelected ? new Set() : new Set(playlists.map(item => item.playlist.id)));
+    };
+
+    return (
+        <div className="cleanup-panel">
+            <div className="cleanup-header">
+                <h3>Generated Playlists</h3>
+                <button onClick={onClose} className="close-button" title="Close clean up">×</button>
+            </div>
+            {playlists.length === 0 ? (
+                <p className="cleanup-empty">No playlists created by Smart Shuffler were found.</p>
+            ) : (
+                <>
+                    <label className="cleanup-select-all">
+                        <input type="checkbox" checked={allSelected} onChange={toggleAll} disabled={isDeleting} />
+                        Select all ({playlists.length})
+                    </label>
+                    <ul className="cleanup-list">
+                        {playlists.map(({ playlist, kind }) => (
+                            <li key={playlist.id} className="cleanup-item">
+                                <label>
+                                    <input
+                                        type="checkbox"
+                                        checked={selectedIds.has(playlist.id)}
+                                        onChange={() => toggle(playlist.id)}
+                                        disabled={isDeleting}
+                                    />
+                                    <span className="cleanup-name" title={playlist.name}>{playlist.name}</span>
+                                    <span className="cleanup-meta">{kind.label} · {playlist.tracks?.total ?? 0} tracks</span>
+                                </label>
+                            </li>
+                        ))}
+                    </ul>
+                    <button
+                        onClick={() => onDeleteSelected([...selectedIds])}
+                        disabled={selectedIds.size === 0 || isDeleting || disabled}
+                        className="cleanup-delete-button"
+                    >
+                        {isDeleting ? 'Deleting...' : `Delete Selected (${selectedIds.size})`}
+                    </button>
+                </>
+            )}
+        </div>
+    );
+}
+
+export default CleanupPanel;
@@ -1,10 +1,11 @@
 // src/components/CreatePlaylistPage.jsx
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useRef } from 'react';
 import { useNavigate } from 'react-router-dom';
 // Import services (assuming paths are correct)
 import {
     createPlaylist, addTracksToPlaylist, searchSpotifyTrack
 } from '../services/spotifyService';
+import { isAbortError } from '../services/errors';
 // Import utils
 import { parseCsvFile, parseMetadataCsv } from '../utils/csvUtils';
 import './CreatePlaylistPage.css'; // Create this CSS file
@@ -27,6 +28,17 @@ function CreatePlaylistPage({ token, currentUserId, onLogout, handleApiError, re
     const [isCreatingCsvIdPlaylist, setIsCreatingCsvIdPlaylist] = useState(false);
     const [isCreatingCsvMetaPlaylist, setIsCreatingCsvMetaPlaylist] = useState(false);
     const [isSearchingTracks, setIsSearchingTracks] = useState(false); // For metadata search
+    const searchControllerRef = useRef(null); // Aborts the metadata search
+    const isMountedRef = useRef(true); // A search cancelled by leaving the page has nobody to report to
+
+    // Stop a running metadata search if the page is left
+    useEffect(() => {
+        isMountedRef.current = true;
+        return () => {
+            isMountedRef.current = false;
+            searchControllerRef.current?.abort();
+        };
+    }, []);
 
     // Redirect if no token or user ID
     useEffect(() => {
@@ -124,24 +136,22 @@ function CreatePlaylistPage({ token, currentUserId, onLogout, handleApiError, re
 
         setIsCreatingCsvMetaPlaylist(true);
         setIsSearchingTracks(true);
+        const controller = new AbortController();
+        searchControllerRef.current = controller;
+        const { signal } = controller;
         let foundTrackIds = [];
         let notFoundTitles = [];
         let searchErrors = 0;
         let newPlaylistId = null;
 
         try {
-            console.log(`Creating playlist: ${csvMetaPlaylistName}`);
-            const playlist = await createPlaylist(token, currentUserId, csvMetaPlaylistName, 'Created from Metadata CSV (Title Search)');
-            if (!playlist?.id) throw new Error("Playlist creation failed (no ID returned).");
-            newPlaylistId = playlist.id;
-            console.log(`Playlist ${newPlaylistId} created, now searching tracks...`);
-
+            // Search first and create the playlist afterwards, so cancelling leaves nothing behind
             console.log(`Starting title search for ${csvMetadata.length} tracks...`);
             for (const metadata of csvMetadata) {
                 const searchMeta = { title: metadata.title };
                 try {
                     // Limit search to increase chance of correct match, can be adjusted
-                    const foundTrack = await searchSpotifyTrack(token, searchMeta, 1);
+                    const foundTrack = await searchSpotifyTrack(token, searchMeta, 1, { signal });
                     if (foundTrack?.id) {
                         foundTrackIds.push(foundTrack.id);
                     } else {
@@ -149,18 +159,24 @@ function CreatePlaylistPage({ token, currentUserId, onLogout, handleApiError, re
                         console.log(`No match for: "${metadata.title}"`);
                     }
                 } catch (searchError) {
+                    if (isAbortError(searchError)) throw searchError; // Cancelled: stop the whole import
                     console.error(`Error searching for track "${metadata.title}":`, searchError);
                     searchErrors++;
                     notFoundTitles.push(`${metadata.title} (Search Error)`);
-                    // Optional: Implement retry or delay here if rate limiting is suspected
+                    // Rate limits and transient failures were already retried by spotifyRequest
                 }
             }
             console.log(`Search complete. Found ${foundTrackIds.length}. Missed ${notFoundTitles.length}. Errors: ${searchErrors}.`);
             setIsSearchingTracks(false);
 
+            console.log(`Creating playlist: ${csvMetaPlaylistName}`);
+            const playlist = await createPlaylist(token, currentUserId, csvMetaPlaylistName, 'Created from Metadata CSV (Title Search)', { signal });
+            if (!playlist?.id) throw new Error("Playlist creation failed (no ID returned).");
+            newPlaylistId = playlist.id;
+
             if (foundTrackIds.length > 0) {
                 console.log(`Adding ${foundTrackIds.length} tracks to playlist ${newPlaylistId}...`);
-                await addTracksToPlaylist(token, newPlaylistId, foundTrackIds);
+                await addTracksToPlaylist(token, newPlaylistId, foundTrackIds, { signal });
                 console.log("Tracks added.");
             } else {
                 console.log("No tracks found via title search to add.");
@@ -183,10 +199,19 @@ function CreatePlaylistPage({ token, currentUserId, onLogout, handleApiError, re
             if (refreshPlaylists) refreshPlaylists();
 
         } catch (error) {
-            handleApiError(error, onLogout);
-            setIsSearchingTracks(false); // Ensure this resets on creation error too
+            if (isAbortError(error)) {
+                const message = newPlaylistId
+                    ? `Import cancelled. "${csvMetaPlaylistName}" was already created and may be missing tracks.`
+                    : 'Import cancelled. No playlist was created.';
+                if (isMountedRef.current) alert(message);
+                else console.log(`${message} (page left)`);
+            } else {
+                handleApiError(error, onLogout);
+            }
+            if (isMountedRef.current) setIsSearchingTracks(false); // Ensure this resets on creation error too
         } finally {
-            setIsCreatingCsvMetaPlaylist(false);
+            if (searchControllerRef.current === controller) searchControllerRef.current = null;
+            if (isMountedRef.current) setIsCreatingCsvMetaPlaylist(false);
         }
     };
 
@@ -276,6 +301,9 @@ function CreatePlaylistPage({ token, currentUserId, onLogout, handleApiError, re
                  >
                     {isCreatingCsvMetaPlaylist ? (isSearchingTracks ? 'Searching...' : 'Creating...') : `Create from ${csvMetadata.length} Titles`}
                 </button>
+                {isCreatingCsvMetaPlaylist && (
+                    <button onClick={() => searchControllerRef.current?.abort()} className="cancel-button">Cancel</button>
+                )}
             </div>
         </div>
     );
@@ -0,0 +1,148 @@
+// src/components/EditPlaylistModal.jsx
+import React, { useState, useEffect } from 'react';
+import Modal from 'react-modal';
+import { prepareCoverImage } from '../utils/imageUtils';
+import { describeError } from '../utils/errorUtils';
+import { decodeDescription } from '../utils/descriptionUtils';
+import './EditPlaylistModal.css';
+
+const modalStyles = {
+    content: {
+        top: '50%', left: '50%', right: 'auto', bottom: 'auto', marginRight: '-50%',
+        transform: 'translate(-50%, -50%)', backgroundColor: '#282828', color: '#ffffff',
+        border: '1px solid #535353', borderRadius: '8px', padding: '25px',
+        width: '460px', maxWidth: '90vw', maxHeight: '90vh', overflowY: 'auto',
+    },
+    overlay: { backgroundColor: 'rgba(0, 0, 0, 0.75)', zIndex: 1000 },
+};
+
+const getFormValues = (playlist) => ({
+    name: playlist?.name || '',
+    description: decodeDescription(playlist?.description),
+    isPublic: Boolean(playlist?.public),
+    collaborative: Boolean(playlist?.collaborative),
+});
+
+/**
+ * Form for a playlist's name, description, visibility, collaborative flag and cover image.
+ * `onSave(changes)` receives only the changed fields (plus `coverImage` base64 when a new cover was
+ * picked) and resolves to true once saved, which closes the modal.
+ */
+function EditPlaylistModal({ isOpen, playlist, onSave, onClose }) {
+    const [values, setValues] = useState(() => getFormValues(playlist));
+    const [cover, setCover] = useState(null); // { base64, dataUrl } of a newly picked image
+    const [coverError, setCoverError] = useState('');
+    const [isPreparingCover, setIsPreparingCover] = useState(false);
+    const [isSaving, setIsSaving] = useState(false);
+
+    // Start from the playlist's current details each time the modal opens
+    useEffect(() => {
+        if (!isOpen) return;
+        setValues(getFormValues(playlist));
+        setCover(null);
+        setCoverError('');
+    }, [isOpen, playlist]);
+
+    const handleChange = (key) => (e) => {
+        const value = e.target.type === 'checkbox' ? e.target.checked : e.target.value;
+        setValues(prev => {
+            const next = { ...prev, [key]: value };
+            // Spotify only allows collaborative playlists to be private
+            if (key === 'collaborative' && value) next.isPublic = false;
+            return next;
+        });
+    };
+
+    const handleCoverChange = async (e) => {
+        const file = e.target.files?.[0];
+        setCover(null);
+        setCoverError('');
+        if (!file) return;
+        setIsPreparingCover(true);
+        try {
+            setCover(await prepareCoverImage(file));
+        } catch (error) {
+            console.error("Could not prepare cover image:", error);
+            setCoverError(describeError(error));
+        } finally {
+            setIsPreparingCover(false);
+        }
+    };
+
+    const handleSubmit = async (e) => {
+        e.preventDefault();
+        if (!values.name.trim()) {
+            alert("Playlist name can't be empty.");
+            return;
+        }
+        const original = getFormValues(playlist);
+        const changes = {};
+        if (values.name.trim() !== original.name) changes.name = values.name.trim();
+        if (values.description !== original.description) changes.description = values.description;
+        if (values.isPublic !== original.isPublic) changes.isPublic = values.isPublic;
+        if (values.collaborative !== original.collaborative) changes.collaborative = values.collaborative;
+        if (cover) changes.coverImage = cover.base64;
+        if (Object.keys(changes).length === 0) {
+            onClose();
+            return;
+        }
+        setIsSaving(true);
+        const saved = await onSave(changes);
+        setIsSaving(false);
+        if (saved) onClose();
+    };
+
+    const currentCoverUrl = cover?.dataUrl || playlist?.images?.[0]?.url || null;
+
+    return (
+        <Modal
+            isOpen={isOpen}
+            onRequestClose={isSaving ? undefined : onClose}
+            style={modalStyles}
+            contentLabel="Edit Playlist Details"
+        >
+            <button onClick={onClose} className="edit-playlist-close" aria-label="Close" disabled={isSaving}>&times;</button>
+            <h2>Edit Details</h2>
+            <form className="edit-playlist-form" onSubmit={handleSubmit}>
+                <div className="edit-playlist-cover">
+                    {currentCoverUrl
+                        ? <img src={currentCoverUrl} alt="Playlist cover" />
+                        : <div className="edit-playlist-cover-placeholder">No cover</div>}
+                    <label className="edit-playlist-field">
+                        <span>Cover image</span>
+                        <input type="file" accept="image/jpeg,image/png" onChange={handleCoverChange} disabled={isSaving} />
+                        <span className="edit-playlist-hint">
+                            {isPreparingCover ? 'Preparing image...' : coverError || 'Uploaded as JPEG (max 256 KB); larger images are compressed.'}
+                        </span>
+                    </label>
+                </div>
+
+                <label className="edit-playlist-field">
+                    <span>Name</span>
+                    <input type="text" value={values.name} onChange={handleChange('name')} maxLength={100} disabled={isSaving} required />
+                </label>
+                <label className="edit-playlist-field">
+                    <span>Description</span>
+                    <textarea value={values.description} onChange={handleChange('description')} rows={3} maxLength={300} disabled={isSaving} />
+                </label>
+                <label className="edit-playlist-checkbox">
+                    <input type="checkbox" checked={values.isPublic} onChange={handleChange('isPublic')} disabled={isSaving || values.collaborative} />
+                    Public (shown on your profile)
+                </label>
+                <label className="edit-playlist-checkbox">
+                    <input type="checkbox" checked={values.collaborative} onChange={handleChange('collaborative')} disabled={isSaving} />
+                    Collaborative (others with the link can add tracks; must be private)
+                </label>
+
+                <div className="edit-playlist-actions">
+                    <button type="button" className="cancel-button" onClick={onClose} disabled={isSaving}>Cancel</button>
+                    <button type="submit" className="confirm-button" disabled={isSaving || isPreparingCover}>
+                        {isSaving ? 'Saving...' : 'Save'}
+                    </button>
+                </div>
+            </form>
+        </Modal>
+    );
+}
+
+export default EditPlaylistModal;
@@ -0,0 +1,62 @@
+// src/components/ErrorBoundary.jsx
+import React from 'react';
+import { Link, useLocation } from 'react-router-dom';
+import './ErrorBoundary.css';
+
+/**
+ * Catches render/lifecycle errors below it so one broken page doesn't blank the whole app.
+ * Error boundaries have to be class components; RouteErrorBoundary below is the one to use.
+ */
+class ErrorBoundary extends React.Component {
+    constructor(props) {
+        super(props);
+        this.state = { error: null };
+        this.handleReset = this.handleReset.bind(this);
+    }
+
+    static getDerivedStateFromError(error) {
+        return { error };
+    }
+
+    componentDidCatch(error, errorInfo) {
+        console.error("Error boundary caught a render error:", error, errorInfo?.componentStack);
+    }
+
+    componentDidUpdate(prevProps) {
+        // Navigating elsewhere clears the error so the new page gets a chance to render
+        if (this.state.error && prevProps.resetKey !== this.props.resetKey) {
+            this.setState({ error: null });
+        }
+    }
+
+    handleReset() {
+        this.setState({ error: null });
+    }
+
+    render() {
+        const { error } = this.state;
+        if (!error) return this.props.children;
+
+        return (
+            <div className="error-boundary">
+                <h2>Something went wrong</h2>
+                <p>This page hit an unexpected error. Your playlists on Spotify are unaffected.</p>
+                <pre className="error-boundary-message">{error.message || String(error)}</pre>
+                <div className="error-boundary-actions">
+                    <button onClick={this.handleReset}>Try Again</button>
+                    <Link to="/" className="button-link">Back to Playlists</Link>
+                </div>
+            </div>
+        );
+    }
+}
+
+/**
+ * ErrorBoundary that resets whenever the route changes. Must be rendered inside the Router.
+ */
+function RouteErrorBoundary({ children }) {
+    const location = useLocation();
+    return <ErrorBoundary resetKey={location.pathname}>{children}</ErrorBoundary>;
+}
+
+export default RouteErrorBoundary;
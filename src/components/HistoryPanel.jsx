@@ -0,0 +1,56 @@
+// src/components/HistoryPanel.jsx
+import React from 'react';
+import './HistoryPanel.css';
+
+const formatTime = (timestamp) => new Date(timestamp).toLocaleString(undefined, {
+    month: 'short', day: 'numeric', hour: '2-digit', minute: '2-digit',
+});
+
+// Lists undo journal entries (newest first); restoring one puts its playlist back to that state
+function HistoryPanel({
+    entries, filterPlaylistName, onClearFilter, onRestore, onDelete, onClearAll, restoringEntryId, disabled, onClose,
+}) {
+    return (
+        <div className="history-panel">
+            <div className="history-header">
+                <h3>{filterPlaylistName ? `History of "${filterPlaylistName}"` : 'Edit History'}</h3>
+                <button onClick={onClose} className="close-button" title="Close history">×</button>
+            </div>
+            {filterPlaylistName && (
+                <button onClick={onClearFilter} className="history-link-button">Show all playlists</button>
+            )}
+            {entries.length === 0 ? (
+                <p className="history-empty">No recorded changes yet. Edits that remove or reorder tracks are recorded here so they can be undone.</p>
+            ) : (
+                <ul className="history-list">
+                    {entries.map(entry => (
+                        <li key={entry.id} className="history-item">
+                            <div className="history-info">
+                                <span className="history-playlist">{entry.playlistName}</span>
+                                <span className="history-action">Before: {entry.action}</span>
+                                <span className="history-meta">{formatTime(entry.createdAt)} · {entry.uris.length} tracks</span>
+                            </div>
+                            <div className="history-buttons">
+                                <button
+                                    onClick={() => onRestore(entry)}
+                                    disabled={disabled || Boolean(restoringEntryId)}
+                                    title="Replace the playlist's tracks with this recorded state"
+                                >
+                                    {restoringEntryId === entry.id ? 'Restoring...' : 'Restore'}
+                                </button>
+                                <button onClick={() => onDelete(entry)} disabled={Boolean(restoringEntryId)} className="cancel-button" title="Forget this entry">
+                                    Delete
+                                </button>
+                            </div>
+                        </li>
+                    ))}
+                </ul>
+            )}
+            {entries.length > 0 && !filterPlaylistName && (
+                <button onClick={onClearAll} disabled={Boolean(restoringEntryId)} className="history-link-button">Clear history</button>
+            )}
+        </div>
+    );
+}
+
+export default HistoryPanel;
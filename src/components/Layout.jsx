@@ -2,14 +2,25 @@
 import React from 'react';
 import { Outlet } from 'react-router-dom'; // Assuming you use React Router
 import Sidebar from './Sidebar';
+import RouteErrorBoundary from './ErrorBoundary';
 import './Layout.css'; // Create this new CSS file
 
-function Layout({ onLogout }) {
+function Layout({ onLogout, accounts, activeAccountId, onSwitchAccount, onAddAccount, onRemoveAccount }) {
   return (
     <div className="layout-container">
-      <Sidebar onLogout={onLogout} />
+      <Sidebar
+        onLogout={onLogout}
+        accounts={accounts}
+        activeAccountId={activeAccountId}
+        onSwitchAccount={onSwitchAccount}
+        onAddAccount={onAddAccount}
+        onRemoveAccount={onRemoveAccount}
+      />
       <main className="main-content">
-        <Outlet /> {/* Child routes will render here */}
+        {/* Page errors are contained here so the sidebar stays usable */}
+        <RouteErrorBoundary>
+          <Outlet /> {/* Child routes will render here */}
+        </RouteErrorBoundary>
       </main>
     </div>
   );
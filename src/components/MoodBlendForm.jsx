@@ -0,0 +1,62 @@
+// src/components/MoodBlendForm.jsx
+import React, { useState } from 'react';
+import { MOODS } from '../utils/shuffleUtils';
+import './MoodBlendForm.css';
+
+const DEFAULT_LENGTH = 50;
+const MAX_LENGTH = 500;
+
+/**
+ * Sets the weight of each mood in a blend and the length of the mix.
+ * `onSubmit({ weights, length })` receives mood -> percent (moods at 0 left out) and the track count.
+ */
+function MoodBlendForm({ onSubmit, disabled }) {
+    const [weights, setWeights] = useState({ Happy: 60, Excited: 30, Calm: 10 });
+    const [length, setLength] = useState(DEFAULT_LENGTH);
+
+    const total = MOODS.reduce((sum, mood) => sum + (Number(weights[mood]) || 0), 0);
+    const lengthValue = Number(length);
+    const isValid = total > 0 && Number.isInteger(lengthValue) && lengthValue > 0 && lengthValue <= MAX_LENGTH;
+
+    const handleSubmit = (e) => {
+        e.preventDefault();
+        e.stopPropagation();
+        if (!isValid) return;
+        const chosen = Object.fromEntries(MOODS.map(mood => [mood, Number(weights[mood]) || 0]).filter(([, weight]) => weight > 0));
+        onSubmit({ weights: chosen, length: lengthValue });
+    };
+
+    return (
+        <form className="manual-mood-selector indented-section mood-blend-form" onSubmit={handleSubmit} onClick={(e) => e.stopPropagation()}>
+            <div className="mood-blend-weights">
+                {MOODS.map(mood => (
+                    <label key={mood} className="mood-blend-weight">
+                        <span>{mood}</span>
+                        <input
+                            type="number"
+                            min={0}
+                            max={100}
+                            step={5}
+                            value={weights[mood] ?? 0}
+                            onChange={(e) => setWeights(prev => ({ ...prev, [mood]: e.target.value }))}
+                            disabled={disabled}
+                        />
+                        <span>%</span>
+                    </label>
+                ))}
+            </div>
+            {total !== 100 && total > 0 && (
+                <p className="mood-blend-hint">Weights add up to {total}%; they are used as proportions.</p>
+            )}
+            <label className="mood-blend-weight">
+                <span>Tracks</span>
+                <input type="number" min={1} max={MAX_LENGTH} value={length} onChange={(e) => setLength(e.target.value)} disabled={disabled} />
+            </label>
+            <button type="submit" className="confirm-button" disabled={disabled || !isValid}>
+                Create Blend
+            </button>
+        </form>
+    );
+}
+
+export default MoodBlendForm;
@@ -0,0 +1,70 @@
+// src/components/MoodJourneyForm.jsx
+import React, { useState, useMemo } from 'react';
+import { MOODS, planMoodJourney } from '../utils/shuffleUtils';
+import './MoodJourneyForm.css';
+
+const WEIGHT_STEP = 5;
+
+/**
+ * Picks a start and end mood and the share of each stage of the journey between them.
+ * `onSubmit(stages)` receives [{ mood, weight }] in journey order.
+ */
+function MoodJourneyForm({ onSubmit, disabled }) {
+    const [startMood, setStartMood] = useState('Sad');
+    const [endMood, setEndMood] = useState('Happy');
+    const [weights, setWeights] = useState({}); // mood -> percent; unset stages get an equal share
+
+    const stages = useMemo(() => planMoodJourney(startMood, endMood), [startMood, endMood]);
+    // Equal shares in steps of 5 (so the inputs validate), the last stage taking what is left over
+    const getWeight = (mood) => {
+        if (weights[mood] !== undefined) return weights[mood];
+        const share = Math.floor(100 / stages.length / WEIGHT_STEP) * WEIGHT_STEP;
+        return mood === stages[stages.length - 1] ? 100 - share * (stages.length - 1) : share;
+    };
+
+    const handleSubmit = (e) => {
+        e.preventDefault();
+        e.stopPropagation();
+        onSubmit(stages.map(mood => ({ mood, weight: Number(getWeight(mood)) || 0 })));
+    };
+
+    return (
+        <form className="manual-mood-selector indented-section mood-journey-form" onSubmit={handleSubmit} onClick={(e) => e.stopPropagation()}>
+            <div className="mood-journey-ends">
+                <select value={startMood} onChange={(e) => setStartMood(e.target.value)} disabled={disabled} aria-label="Start mood">
+                    {MOODS.map(mood => (<option key={mood} value={mood}>{mood}</option>))}
+                </select>
+                <span>→</span>
+                <select value={endMood} onChange={(e) => setEndMood(e.target.value)} disabled={disabled} aria-label="End mood">
+                    {MOODS.map(mood => (<option key={mood} value={mood}>{mood}</option>))}
+                </select>
+            </div>
+            {startMood === endMood ? (
+                <p className="mood-journey-hint">Pick two different moods.</p>
+            ) : (
+                <div className="mood-journey-stages">
+                    {stages.map(mood => (
+                        <label key={mood} className="mood-journey-stage">
+                            <span>{mood}</span>
+                            <input
+                                type="number"
+                                min={0}
+                                max={100}
+                                step={WEIGHT_STEP}
+                                value={getWeight(mood)}
+                                onChange={(e) => setWeights(prev => ({ ...prev, [mood]: e.target.value }))}
+                                disabled={disabled}
+                            />
+                            <span>%</span>
+                        </label>
+                    ))}
+                </div>
+            )}
+            <button type="submit" className="confirm-button" disabled={disabled || startMood === endMood}>
+                Create Journey
+            </button>
+        </form>
+    );
+}
+
+export default MoodJourneyForm;
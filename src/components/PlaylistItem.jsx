@@ -2,6 +2,12 @@
 import React, { useState, useCallback, useRef, useEffect } from 'react';
 import Webcam from "react-webcam";
 import Modal from 'react-modal';
+import { SOURCE_LABELS } from '../services/librarySources';
+import { SHUFFLE_MODES, isInPlaceShuffleMode } from '../utils/shuffleUtils';
+import { LOCAL_SHUFFLE_STRATEGIES } from '../utils/localShuffle';
+import EditPlaylistModal from './EditPlaylistModal';
+import MoodJourneyForm from './MoodJourneyForm';
+import MoodBlendForm from './MoodBlendForm';
 import './PlaylistItem.css'; // Ensure styles are updated/created
 
 const moodOptions = ['Angry', 'Calm', 'Excited', 'Happy', 'Sad'];
@@ -24,19 +30,53 @@ function PlaylistItem({
     clearActiveMenu,
     isTrackViewActive,
     onViewTracks,
-    onShuffle,          // Handles both mood string OR image data
+    onShuffle,          // Handles both mood string OR image data, plus { mode, seed } (see SHUFFLE_MODES)
+    onSplitByMood,      // Creates/updates one playlist per mood from a single shuffle call
+    onMoodJourney,      // Creates a playlist moving between two moods: ([{ mood, weight }])
+    onMoodBlend,        // Creates a weighted mix of moods: ({ weights, length })
+    onLocalShuffle,     // Shuffles without the backend: (strategy, { inPlace, seed })
+    canShuffleInPlace,  // Whether the "Reorder this playlist" shuffle modes are offered
+    onReshuffle,        // Refills a generated playlist from its source: ({ newSeed }); omitted for other playlists
+    shuffleSeed,        // Seed a generated playlist was shuffled with
     onExport,
-    onClean,
+    onClean,            // Omitted for library sources, which can't be edited
+    onEditDetails,      // Saves name/description/flags/cover; omitted for playlists the user can't edit
+    onShowHistory,      // Opens the undo history for this playlist; omitted when it can't be edited
+    onDuplicate,        // Copies the playlist (or library source) into a new playlist: ({ name, isPublic })
+    onUnfollow,         // Deletes (owned) or unfollows the playlist; omitted for library sources
+    unfollowLabel = 'Delete Playlist',
+    otherAccounts = [], // Other logged-in Spotify accounts this playlist can be copied to
+    onCopyToAccount,
     isLoadingTracks,    // Loading state for viewing tracks
     isShufflingThis,    // Covers the ENTIRE shuffle process (incl. prediction)
     isExportingThis,
     isCleaningThis,
+    isCopyingThis,
+    isDeletingThis,
+    isDuplicatingThis,
+    isSplittingThis,
+    isBuildingJourneyThis,
+    isBlendingThis,
     isAnyActionRunning, // Global busy flag for ANY playlist action
+    onCancelAction,     // Aborts this item's running action
 }) {
     // --- Component State ---
     const [showManualMoodSelector, setShowManualMoodSelector] = useState(false);
     const [selectedManualMood, setSelectedManualMood] = useState(moodOptions[0]);
+    const [shuffleMode, setShuffleMode] = useState('new'); // Shared by manual and webcam shuffles
+    const [showLocalShuffle, setShowLocalShuffle] = useState(false);
+    const [localStrategy, setLocalStrategy] = useState(LOCAL_SHUFFLE_STRATEGIES[0].key);
+    const [localInPlace, setLocalInPlace] = useState(false);
+    const [showJourneyForm, setShowJourneyForm] = useState(false);
+    const [showBlendForm, setShowBlendForm] = useState(false);
+    const [seedInput, setSeedInput] = useState(''); // Optional seed for manual, webcam and quick shuffles; empty = new seed
+    const [showAccountSelector, setShowAccountSelector] = useState(false);
+    const [selectedTargetAccount, setSelectedTargetAccount] = useState('');
+    const [showDuplicateForm, setShowDuplicateForm] = useState(false);
+    const [duplicateName, setDuplicateName] = useState('');
+    const [duplicateIsPublic, setDuplicateIsPublic] = useState(false);
     const [isWebcamModalOpen, setIsWebcamModalOpen] = useState(false);
+    const [isEditModalOpen, setIsEditModalOpen] = useState(false);
     const [isWebcamReady, setIsWebcamReady] = useState(false);
     const webcamRef = useRef(null);
 
@@ -48,10 +88,31 @@ function PlaylistItem({
     const successCloseTimerRef = useRef(null);
 
     // Determine if THIS specific item is busy
-    const isBusyThisItem = isShufflingThis || isExportingThis || isCleaningThis;
+    const isBusyThisItem = isShufflingThis || isExportingThis || isCleaningThis || isCopyingThis || isDeletingThis || isDuplicatingThis || isSplittingThis || isBuildingJourneyThis || isBlendingThis;
     // Global busy state for disabling interactions on other items
     const isAnyActionIncludingShuffleRunning = isAnyActionRunning || isShufflingThis;
 
+    // Reordering modes only apply to playlists the user can edit
+    const activeShuffleMode = canShuffleInPlace ? shuffleMode : 'new';
+    const renderShuffleModeSelect = () => canShuffleInPlace && (
+        <select value={shuffleMode} onChange={(e) => setShuffleMode(e.target.value)} onClick={(e) => e.stopPropagation()} disabled={isBusyThisItem || isAnyActionIncludingShuffleRunning} aria-label="Shuffle result">
+            {SHUFFLE_MODES.map(mode => (<option key={mode.key} value={mode.key}>{mode.label}</option>))}
+        </select>
+    );
+
+    const renderSeedInput = () => (
+        <input
+            type="text"
+            className="shuffle-seed-input"
+            value={seedInput}
+            onChange={(e) => setSeedInput(e.target.value)}
+            onClick={(e) => e.stopPropagation()}
+            placeholder="Seed (optional)"
+            aria-label="Shuffle seed"
+            maxLength={32}
+        />
+    );
+
     // --- Modal Control ---
     const openWebcamModal = useCallback((e) => {
         e.stopPropagation();
@@ -75,6 +136,16 @@ function PlaylistItem({
         setModalMessage('');
     }, []);
 
+    const handleCancelClick = useCallback((e) => {
+        e.stopPropagation();
+        if (onCancelAction) onCancelAction();
+    }, [onCancelAction]);
+
+    const handleCancelWebcamShuffle = useCallback((e) => {
+        handleCancelClick(e);
+        closeWebcamModal();
+    }, [handleCancelClick, closeWebcamModal]);
+
     // Cleanup timer on unmount
     useEffect(() => {
         return () => { if (successCloseTimerRef.current) clearTimeout(successCloseTimerRef.current); };
@@ -90,10 +161,83 @@ function PlaylistItem({
     const handleConfirmManualShuffle = useCallback(async (e) => {
         e.stopPropagation();
         if (isBusyThisItem) return;
-        await onShuffle(selectedManualMood);
+        await onShuffle(selectedManualMood, { mode: activeShuffleMode, seed: seedInput.trim() || undefined });
         setShowManualMoodSelector(false);
         clearActiveMenu();
-    }, [onShuffle, selectedManualMood, isBusyThisItem, clearActiveMenu]);
+    }, [onShuffle, selectedManualMood, activeShuffleMode, seedInput, isBusyThisItem, clearActiveMenu]);
+
+    // --- Mood Journey ---
+    const handleToggleJourneyForm = (e) => {
+        e.stopPropagation();
+        if (isBusyThisItem) return;
+        setShowJourneyForm(prev => !prev);
+    };
+    const handleSubmitJourney = useCallback(async (stages) => {
+        if (isBusyThisItem) return;
+        setShowJourneyForm(false);
+        clearActiveMenu();
+        await onMoodJourney(stages);
+    }, [onMoodJourney, isBusyThisItem, clearActiveMenu]);
+
+    // --- Mood Blend ---
+    const handleToggleBlendForm = (e) => {
+        e.stopPropagation();
+        if (isBusyThisItem) return;
+        setShowBlendForm(prev => !prev);
+    };
+    const handleSubmitBlend = useCallback(async (blend) => {
+        if (isBusyThisItem) return;
+        setShowBlendForm(false);
+        clearActiveMenu();
+        await onMoodBlend(blend);
+    }, [onMoodBlend, isBusyThisItem, clearActiveMenu]);
+
+    // --- Quick (Local) Shuffle ---
+    const handleToggleLocalShuffle = (e) => {
+        e.stopPropagation();
+        if (isBusyThisItem) return;
+        setShowLocalShuffle(prev => !prev);
+    };
+    const handleConfirmLocalShuffle = useCallback(async (e) => {
+        e.stopPropagation();
+        if (isBusyThisItem) return;
+        setShowLocalShuffle(false);
+        clearActiveMenu();
+        await onLocalShuffle(localStrategy, { inPlace: canShuffleInPlace && localInPlace, seed: seedInput.trim() || undefined });
+    }, [onLocalShuffle, localStrategy, localInPlace, seedInput, canShuffleInPlace, isBusyThisItem, clearActiveMenu]);
+
+    // --- Copy to Another Account ---
+    const handleToggleAccountSelector = (e) => {
+        e.stopPropagation();
+        if (isBusyThisItem) return;
+        setShowAccountSelector(prev => !prev);
+        if (!selectedTargetAccount && otherAccounts.length > 0) setSelectedTargetAccount(otherAccounts[0].id);
+    };
+    const handleConfirmCopyToAccount = useCallback(async (e) => {
+        e.stopPropagation();
+        if (isBusyThisItem || !selectedTargetAccount) return;
+        setShowAccountSelector(false);
+        clearActiveMenu();
+        await onCopyToAccount(selectedTargetAccount);
+    }, [onCopyToAccount, selectedTargetAccount, isBusyThisItem, clearActiveMenu]);
+
+    // --- Duplicate ---
+    const handleToggleDuplicateForm = (e) => {
+        e.stopPropagation();
+        if (isBusyThisItem) return;
+        if (!showDuplicateForm) {
+            setDuplicateName(`${playlist.name} (Copy)`);
+            setDuplicateIsPublic(false);
+        }
+        setShowDuplicateForm(prev => !prev);
+    };
+    const handleConfirmDuplicate = useCallback(async (e) => {
+        e.stopPropagation();
+        if (isBusyThisItem || !duplicateName.trim()) return;
+        setShowDuplicateForm(false);
+        clearActiveMenu();
+        await onDuplicate({ name: duplicateName.trim(), isPublic: duplicateIsPublic });
+    }, [onDuplicate, duplicateName, duplicateIsPublic, isBusyThisItem, clearActiveMenu]);
 
     // --- Webcam Shuffle ---
     const handleCaptureAndShuffle = useCallback(async (e) => {
@@ -105,14 +249,15 @@ function PlaylistItem({
         if (!screenshot) { alert("Failed to capture image."); return; }
 
         setModalStatus('processing');
-        setModalMessage('Processing facial mood and shuffling playlist...');
+        setModalMessage(isInPlaceShuffleMode(activeShuffleMode) ? 'Processing facial mood and shuffling playlist...' : 'Processing facial mood and picking tracks...');
 
         try {
             // Call parent shuffle handler - it handles prediction AND shuffling
-            await onShuffle(screenshot);
+            await onShuffle(screenshot, { mode: activeShuffleMode, seed: seedInput.trim() || undefined });
             // --- Success State ---
             setModalStatus('success');
-            setModalMessage('Shuffle initiated successfully!');
+            // A new playlist is only created once the preview next to the list is confirmed
+            setModalMessage(isInPlaceShuffleMode(activeShuffleMode) ? 'Shuffle finished.' : 'Done! Review the picked tracks in the preview, then create the playlist.');
             successCloseTimerRef.current = setTimeout(closeWebcamModal, 2000); // Auto-close
         } catch (error) {
             // --- Error State ---
@@ -123,12 +268,22 @@ function PlaylistItem({
         }
         // isShufflingThis prop reflects the ongoing process in parent
 
-    }, [webcamRef, isWebcamReady, isBusyThisItem, onShuffle, closeWebcamModal]);
+    }, [webcamRef, isWebcamReady, isBusyThisItem, onShuffle, activeShuffleMode, seedInput, closeWebcamModal]);
+
+    // --- Edit Details ---
+    const openEditModal = useCallback((e) => {
+        e.stopPropagation();
+        if (isBusyThisItem) return;
+        setIsEditModalOpen(true);
+        clearActiveMenu();
+    }, [isBusyThisItem, clearActiveMenu]);
+
+    const closeEditModal = useCallback(() => setIsEditModalOpen(false), []);
 
     // --- Other Actions ---
     const handleItemClick = useCallback((e) => {
         if (isAnyActionIncludingShuffleRunning) return;
-        if (isMenuActive) { clearActiveMenu(); setShowManualMoodSelector(false); }
+        if (isMenuActive) { clearActiveMenu(); setShowManualMoodSelector(false); setShowAccountSelector(false); setShowDuplicateForm(false); setShowLocalShuffle(false); setShowJourneyForm(false); setShowBlendForm(false); }
         else { setActiveMenu(); }
      }, [isAnyActionIncludingShuffleRunning, isMenuActive, clearActiveMenu, setActiveMenu]);
 
@@ -154,7 +309,13 @@ function PlaylistItem({
 
     const busyText = isShufflingThis ? 'Shuffling...' :
                      isExportingThis ? 'Exporting...' :
-                     isCleaningThis ? 'Cleaning...' : 'Busy...';
+                     isCleaningThis ? 'Cleaning...' :
+                     isCopyingThis ? 'Copying...' :
+                     isDeletingThis ? 'Deleting...' :
+                     isDuplicatingThis ? 'Duplicating...' :
+                     isSplittingThis ? 'Splitting...' :
+                     isBuildingJourneyThis ? 'Building journey...' :
+                     isBlendingThis ? 'Blending...' : 'Busy...';
 
     // --- Determine Modal Content ---
     let modalContent = null;
@@ -162,6 +323,8 @@ function PlaylistItem({
         modalContent = (
             <>
                 <p>Position your face clearly in the frame.</p>
+                {renderShuffleModeSelect()}
+                {renderSeedInput()}
                 <div className="webcam-modal-content">
                     <Webcam
                         audio={false}
@@ -195,7 +358,9 @@ function PlaylistItem({
                 <p className={`processing-text status-${modalStatus}`}>{modalMessage}</p>
                  {/* Subtext only shown during processing */}
                 {modalStatus === 'processing' && (<p className="processing-subtext">Please wait...</p>)}
-                 {/* No explicit close/cancel button shown here anymore, use the 'X' or overlay */}
+                {modalStatus === 'processing' && isShufflingThis && onCancelAction && (
+                    <button onClick={handleCancelWebcamShuffle} className="cancel-button">Cancel Shuffle</button>
+                )}
             </div>
         );
     }
@@ -206,8 +371,12 @@ function PlaylistItem({
                  {/* Main Playlist Info Area */}
                 <div className="playlist-info" onClick={handleItemClick} title={playlist.name}>
                     <span className="playlist-name">{playlist.name}</span>
-                     <span className="playlist-track-count">({playlist.tracks?.total ?? 0} tracks)</span>
+                     {playlist.sourceType && <span className="source-badge">{SOURCE_LABELS[playlist.sourceType]}</span>}
+                     {playlist.tracks && <span className="playlist-track-count">({playlist.tracks.total ?? 0} tracks)</span>}
                      {isBusyThisItem && <span className="status-indicator busy">{busyText}</span>}
+                     {isBusyThisItem && onCancelAction && (
+                        <button onClick={handleCancelClick} className="cancel-button" title="Stop this action">Cancel</button>
+                     )}
                      {isTrackViewActive && !isBusyThisItem && <span className="status-indicator viewing">Viewing</span>}
                     <span className="dropdown-indicator">{isMenuActive ? '▲' : '▼'}</span>
                 </div>
@@ -229,6 +398,8 @@ function PlaylistItem({
                                 <select value={selectedManualMood} onChange={(e) => setSelectedManualMood(e.target.value)} onClick={(e) => e.stopPropagation()} disabled={isBusyThisItem || isAnyActionIncludingShuffleRunning}>
                                     {moodOptions.map(mood => (<option key={mood} value={mood}>{mood}</option>))}
                                 </select>
+                                {renderShuffleModeSelect()}
+                                {renderSeedInput()}
                                 <button onClick={handleConfirmManualShuffle} disabled={isBusyThisItem || isAnyActionIncludingShuffleRunning} className="confirm-button">
                                     Shuffle with '{selectedManualMood}'
                                 </button>
@@ -240,6 +411,75 @@ function PlaylistItem({
                            Shuffle using Webcam...
                         </button>
 
+                         {/* Split by Mood */}
+                        {onSplitByMood && (
+                            <button onClick={handleSimpleAction(onSplitByMood)} disabled={isBusyThisItem || isAnyActionIncludingShuffleRunning} className="action-button dropdown-item" title="Create or update one playlist per mood">
+                                {isSplittingThis ? 'Splitting...' : 'Split by Mood'}
+                            </button>
+                        )}
+
+                         {/* Mood Journey */}
+                        {onMoodJourney && (
+                            <>
+                                <button onClick={handleToggleJourneyForm} disabled={isBusyThisItem || isAnyActionIncludingShuffleRunning} className="action-button dropdown-item" aria-expanded={showJourneyForm}>
+                                    {isBuildingJourneyThis ? 'Building journey...' : 'Mood Journey...'}
+                                </button>
+                                {showJourneyForm && !isBusyThisItem && (
+                                    <MoodJourneyForm onSubmit={handleSubmitJourney} disabled={isAnyActionIncludingShuffleRunning} />
+                                )}
+                            </>
+                        )}
+
+                         {/* Mood Blend */}
+                        {onMoodBlend && (
+                            <>
+                                <button onClick={handleToggleBlendForm} disabled={isBusyThisItem || isAnyActionIncludingShuffleRunning} className="action-button dropdown-item" aria-expanded={showBlendForm}>
+                                    {isBlendingThis ? 'Blending...' : 'Mood Blend...'}
+                                </button>
+                                {showBlendForm && !isBusyThisItem && (
+                                    <MoodBlendForm onSubmit={handleSubmitBlend} disabled={isAnyActionIncludingShuffleRunning} />
+                                )}
+                            </>
+                        )}
+
+                         {/* Quick Shuffle (no backend needed) */}
+                        {onLocalShuffle && (
+                            <>
+                                <button onClick={handleToggleLocalShuffle} disabled={isBusyThisItem || isAnyActionIncludingShuffleRunning} className="action-button dropdown-item" aria-expanded={showLocalShuffle}>
+                                    Quick Shuffle...
+                                </button>
+                                {showLocalShuffle && !isBusyThisItem && (
+                                    <div className="manual-mood-selector indented-section local-shuffle-form" onClick={(e) => e.stopPropagation()}>
+                                        <select value={localStrategy} onChange={(e) => setLocalStrategy(e.target.value)} disabled={isAnyActionIncludingShuffleRunning} aria-label="Shuffle strategy">
+                                            {LOCAL_SHUFFLE_STRATEGIES.map(strategy => (<option key={strategy.key} value={strategy.key}>{strategy.label}</option>))}
+                                        </select>
+                                        {canShuffleInPlace && (
+                                            <label className="local-shuffle-in-place">
+                                                <input type="checkbox" checked={localInPlace} onChange={(e) => setLocalInPlace(e.target.checked)} />
+                                                Reorder this playlist instead of creating a new one
+                                            </label>
+                                        )}
+                                        {renderSeedInput()}
+                                        <button onClick={handleConfirmLocalShuffle} disabled={isBusyThisItem || isAnyActionIncludingShuffleRunning} className="confirm-button">
+                                            Shuffle
+                                        </button>
+                                    </div>
+                                )}
+                            </>
+                        )}
+
+                         {/* Reshuffle a generated playlist */}
+                        {onReshuffle && (
+                            <>
+                                <button onClick={handleSimpleAction(() => onReshuffle({ newSeed: false }))} disabled={isBusyThisItem || isAnyActionIncludingShuffleRunning} className="action-button dropdown-item" title={shuffleSeed ? `Seed: ${shuffleSeed}` : undefined}>
+                                    Reshuffle with Same Seed
+                                </button>
+                                <button onClick={handleSimpleAction(() => onReshuffle({ newSeed: true }))} disabled={isBusyThisItem || isAnyActionIncludingShuffleRunning} className="action-button dropdown-item">
+                                    Reshuffle with New Seed
+                                </button>
+                            </>
+                        )}
+
                          {/* Divider */}
                         <hr className="dropdown-divider" />
 
@@ -248,10 +488,79 @@ function PlaylistItem({
                             {isExportingThis ? 'Exporting...' : 'Export CSV'}
                         </button>
 
+                          {/* Edit Details */}
+                        {onEditDetails && (
+                            <button onClick={openEditModal} disabled={isBusyThisItem || isAnyActionIncludingShuffleRunning} className="action-button dropdown-item">
+                                Edit Details...
+                            </button>
+                        )}
+
+                          {/* Undo History */}
+                        {onShowHistory && (
+                            <button onClick={handleSimpleAction(onShowHistory)} disabled={isBusyThisItem} className="action-button dropdown-item">
+                                Undo History...
+                            </button>
+                        )}
+
                           {/* Clean */}
-                        <button onClick={handleSimpleAction(onClean)} disabled={isBusyThisItem || isAnyActionIncludingShuffleRunning} className="action-button dropdown-item">
-                            {isCleaningThis ? 'Cleaning...' : 'Clean Duplicates'}
-                        </button>
+                        {onClean && (
+                            <button onClick={handleSimpleAction(onClean)} disabled={isBusyThisItem || isAnyActionIncludingShuffleRunning} className="action-button dropdown-item">
+                                {isCleaningThis ? 'Cleaning...' : 'Clean Duplicates'}
+                            </button>
+                        )}
+
+                          {/* Duplicate (also works for library sources) */}
+                        {onDuplicate && (
+                            <>
+                                <button onClick={handleToggleDuplicateForm} disabled={isBusyThisItem || isAnyActionIncludingShuffleRunning} className="action-button dropdown-item" aria-expanded={showDuplicateForm}>
+                                    {isDuplicatingThis ? 'Duplicating...' : 'Duplicate...'}
+                                </button>
+                                {showDuplicateForm && !isBusyThisItem && (
+                                    <div className="manual-mood-selector indented-section duplicate-form" onClick={(e) => e.stopPropagation()}>
+                                        <input
+                                            type="text"
+                                            value={duplicateName}
+                                            onChange={(e) => setDuplicateName(e.target.value)}
+                                            aria-label="Name of the copy"
+                                            maxLength={100}
+                                        />
+                                        <label className="duplicate-public">
+                                            <input type="checkbox" checked={duplicateIsPublic} onChange={(e) => setDuplicateIsPublic(e.target.checked)} />
+                                            Public
+                                        </label>
+                                        <button onClick={handleConfirmDuplicate} disabled={!duplicateName.trim() || isBusyThisItem || isAnyActionIncludingShuffleRunning} className="confirm-button">
+                                            Create Copy
+                                        </button>
+                                    </div>
+                                )}
+                            </>
+                        )}
+
+                          {/* Copy to Another Account */}
+                        {otherAccounts.length > 0 && (
+                            <>
+                                <button onClick={handleToggleAccountSelector} disabled={isBusyThisItem || isAnyActionIncludingShuffleRunning} className="action-button dropdown-item" aria-expanded={showAccountSelector}>
+                                    {isCopyingThis ? 'Copying...' : 'Copy to Account...'}
+                                </button>
+                                {showAccountSelector && !isBusyThisItem && (
+                                    <div className="manual-mood-selector indented-section">
+                                        <select value={selectedTargetAccount} onChange={(e) => setSelectedTargetAccount(e.target.value)} onClick={(e) => e.stopPropagation()} disabled={isBusyThisItem || isAnyActionIncludingShuffleRunning}>
+                                            {otherAccounts.map(account => (<option key={account.id} value={account.id}>{account.displayName}</option>))}
+                                        </select>
+                                        <button onClick={handleConfirmCopyToAccount} disabled={!selectedTargetAccount || isBusyThisItem || isAnyActionIncludingShuffleRunning} className="confirm-button">
+                                            Copy Playlist
+                                        </button>
+                                    </div>
+                                )}
+                            </>
+                        )}
+
+                          {/* Delete / Unfollow */}
+                        {onUnfollow && (
+                            <button onClick={handleSimpleAction(onUnfollow)} disabled={isBusyThisItem || isAnyActionIncludingShuffleRunning} className="action-button dropdown-item danger-item">
+                                {isDeletingThis ? 'Deleting...' : unfollowLabel}
+                            </button>
+                        )}
                     </div>
                 )}
             </li>
@@ -280,6 +589,16 @@ function PlaylistItem({
                 {modalContent} {/* Render content based on status */}
 
             </Modal>
+
+            {/* --- Edit Details Modal --- */}
+            {onEditDetails && (
+                <EditPlaylistModal
+                    isOpen={isEditModalOpen}
+                    playlist={playlist}
+                    onSave={onEditDetails}
+                    onClose={closeEditModal}
+                />
+            )}
         </>
     );
 }
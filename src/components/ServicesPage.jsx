@@ -1,18 +1,51 @@
-import React, { useState } from 'react';
+import React, { useState, useEffect, useRef } from 'react';
 import { fetchYouTubePlaylists, fetchAmazonPlaylists } from '../services/externalService';
 import { fetchYouTubeTracks, fetchAmazonTracks } from '../services/migrationService';
 import { createPlaylist, addTracksToPlaylist, getCurrentUserId,searchSpotifyTrack } from '../services/spotifyService'; // assuming you have this
+import { getAccessToken, getRefreshToken, getTokenStatus, subscribe } from '../services/tokenStore';
+import { refreshSpotifyToken } from '../services/auth';
+import { createOAuthState } from '../services/oauthState';
+import { AuthError, isAbortError } from '../services/errors';
+import { isSpotifySessionError, describeError } from '../utils/errorUtils';
 
-// Updated auth URLs with state
-const amazonAuthUrl = `https://www.amazon.com/ap/oa?client_id=amzn1.application-oa2-client.12947e30d18f426c820bee8a9846cf32&scope=profile&response_type=code&redirect_uri=http://localhost:8888/callback&state=amazon`;
-const youtubeAuthUrl = `https://accounts.google.com/o/oauth2/auth?client_id=644871216893-utk85qa5330ngjk1tt7lab4pjbiauuk6.apps.googleusercontent.com&redirect_uri=http://localhost:8888/callback&response_type=token&scope=https://www.googleapis.com/auth/youtube.readonly&state=youtube`;
+// Auth URLs without state; a fresh state nonce is appended on each connect click
+const amazonAuthUrl = `https://www.amazon.com/ap/oa?client_id=amzn1.application-oa2-client.12947e30d18f426c820bee8a9846cf32&scope=profile&response_type=code&redirect_uri=http://localhost:8888/callback`;
+const youtubeAuthUrl = `https://accounts.google.com/o/oauth2/auth?client_id=644871216893-utk85qa5330ngjk1tt7lab4pjbiauuk6.apps.googleusercontent.com&redirect_uri=http://localhost:8888/callback&response_type=token&scope=https://www.googleapis.com/auth/youtube.readonly`;
 
 function ServicesPage({ onLogout }) {
   const [youtubePlaylists, setYouTubePlaylists] = useState([]);
   const [amazonPlaylists, setAmazonPlaylists] = useState([]);
   const [loading, setLoading] = useState(false);
+  const [migratingName, setMigratingName] = useState(null); // Playlist currently being migrated
+  const migrationControllerRef = useRef(null);
+  const [tokenStatus, setTokenStatus] = useState(() => ({
+    youtube: getTokenStatus('youtube'),
+    amazon: getTokenStatus('amazon'),
+  }));
+
+  // Keep connection badges in sync with token store events (expiring/expired/updated/cleared)
+  useEffect(() => {
+    return subscribe(({ type, provider }) => {
+      if (provider !== 'youtube' && provider !== 'amazon') return;
+      if (type === 'expiring') console.log(`${provider} token is about to expire.`);
+      setTokenStatus(prev => ({ ...prev, [provider]: getTokenStatus(provider) }));
+    });
+  }, []);
+
+  // Stop a running migration if the page is left
+  useEffect(() => () => migrationControllerRef.current?.abort(), []);
+
+  const handleConnect = (provider, baseUrl) => (e) => {
+    e.preventDefault();
+    const state = createOAuthState(provider);
+    window.location.href = `${baseUrl}&state=${encodeURIComponent(state)}`;
+  };
 
-
+  const renderConnectionHint = (status) => {
+    if (!status.connected) return <span className="connect-hint">Not connected</span>;
+    if (status.expired) return <span className="connect-hint">Session expired, please reconnect</span>;
+    return <span className="connect-hint">Connected</span>;
+  };
 
   const handleFetchYouTube = async () => {
     try {
@@ -32,25 +65,33 @@ function ServicesPage({ onLogout }) {
     }
   };
 
+  const handleCancelMigration = () => {
+    migrationControllerRef.current?.abort();
+  };
+
   const handleMigratePlaylist = async (service, playlistId, playlistName) => {
+    const controller = new AbortController();
+    migrationControllerRef.current = controller;
+    const { signal } = controller;
     try {
         setLoading(true);
+        setMigratingName(playlistName);
         let tracks = [];
 
         // Fetch tracks based on the selected service
         if (service === 'youtube') {
-            tracks = await fetchYouTubeTracks(playlistId); // Fetch individual tracks
+            tracks = await fetchYouTubeTracks(playlistId, { signal }); // Fetch individual tracks
         } else if (service === 'amazon') {
-            tracks = await fetchAmazonTracks(playlistId);
+            tracks = await fetchAmazonTracks(playlistId, { signal });
         }
 
         console.log('Fetched Tracks:', tracks); // Log the fetched tracks
 
-        const token = localStorage.getItem('spotify_access_token');
-        if (!token) throw new Error("Spotify access token missing. Please login.");
+        // Expired since the page was opened: renew it rather than fail
+        const token = getAccessToken('spotify') || (getRefreshToken('spotify') ? await refreshSpotifyToken() : null);
+        if (!token) throw new AuthError("Spotify access token missing. Please login.", { service: 'spotify' });
 
-        const userId = await getCurrentUserId(token);
-        const playlist = await createPlaylist(token, userId, playlistName);
+        const userId = await getCurrentUserId(token, { signal });
 
         const spotifyTrackIds = [];
         const unmatchedTracks = []; // To store tracks that couldn't be matched
@@ -60,12 +101,12 @@ function ServicesPage({ onLogout }) {
 
             // Try searching with the first word
             const firstWord = track.title.split(' ')[0];
-            matchedTrack = await searchSpotifyTrack(token, { title: firstWord });
+            matchedTrack = await searchSpotifyTrack(token, { title: firstWord }, 1, { signal });
 
             // If no match, try searching with the first two words
             if (!matchedTrack && track.title.split(' ').length > 1) {
                 const firstTwoWords = track.title.split(' ').slice(0, 2).join(' ');
-                matchedTrack = await searchSpotifyTrack(token, { title: firstTwoWords });
+                matchedTrack = await searchSpotifyTrack(token, { title: firstTwoWords }, 1, { signal });
             }
 
             // If still no match, log the track as unmatched
@@ -77,8 +118,10 @@ function ServicesPage({ onLogout }) {
             }
         }
 
+        // Create the playlist only once matching is done, so cancelling leaves nothing behind
+        const playlist = await createPlaylist(token, userId, playlistName, '', { signal });
         if (spotifyTrackIds.length > 0) {
-            await addTracksToPlaylist(token, playlist.id, spotifyTrackIds);
+            await addTracksToPlaylist(token, playlist.id, spotifyTrackIds, { signal });
             alert(`Successfully migrated "${playlistName}" to Spotify!`);
         } else {
             alert(`No tracks could be matched for "${playlistName}".`);
@@ -90,9 +133,19 @@ function ServicesPage({ onLogout }) {
             alert(`The following tracks could not be matched:\n${unmatchedTracks.join('\n')}`);
         }
     } catch (error) {
-        alert(error.message);
+        if (isAbortError(error)) {
+            alert(`Migration of "${playlistName}" was cancelled.`);
+        } else if (isSpotifySessionError(error)) {
+            // Only a Spotify auth failure ends the session; YouTube/Amazon ones just need reconnecting
+            alert(`Authentication error: ${error.message}.\nYour session may have expired. Logging out.`);
+            onLogout();
+        } else {
+            alert(`Migration of "${playlistName}" failed:\n${describeError(error)}`);
+        }
     } finally {
+        if (migrationControllerRef.current === controller) migrationControllerRef.current = null;
         setLoading(false);
+        setMigratingName(null);
     }
 };
 
@@ -100,9 +153,16 @@ function ServicesPage({ onLogout }) {
     <div className="services-container">
       <h1>Connect to Services</h1>
       <p>Select a service to migrate your playlists:</p>
+      {migratingName && (
+        <p className="migration-status">
+          Migrating "{migratingName}"...
+          <button onClick={handleCancelMigration} className="cancel-button">Cancel</button>
+        </p>
+      )}
 
       <div>
-        <a href={amazonAuthUrl} className="service-button">Connect to Amazon</a>
+        <a href={amazonAuthUrl} onClick={handleConnect('amazon', amazonAuthUrl)} className="service-button">Connect to Amazon</a>
+        {renderConnectionHint(tokenStatus.amazon)}
         <button onClick={handleFetchAmazon} disabled={loading}>
           Fetch Amazon Playlists
         </button>
@@ -124,7 +184,8 @@ function ServicesPage({ onLogout }) {
       </div>
 
       <div>
-        <a href={youtubeAuthUrl} className="service-button">Connect to YouTube</a>
+        <a href={youtubeAuthUrl} onClick={handleConnect('youtube', youtubeAuthUrl)} className="service-button">Connect to YouTube</a>
+        {renderConnectionHint(tokenStatus.youtube)}
         <button onClick={handleFetchYouTube} disabled={loading}>
           Fetch YouTube Playlists
         </button>
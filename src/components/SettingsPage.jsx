@@ -0,0 +1,117 @@
+// src/components/SettingsPage.jsx
+import React, { useState, useEffect, useCallback } from 'react';
+import {
+    CONFIG_DEFAULTS, BACKENDS, getConfig, saveConfig, resetConfig, checkBackendHealth
+} from '../services/configService';
+import './SettingsPage.css';
+
+const FIELDS = [
+    { key: 'spotifyClientId', label: 'Spotify Client ID', hint: 'Takes effect on the next login.' },
+    { key: 'spotifyRedirectUri', label: 'Spotify Redirect URI', hint: 'Must match the Spotify Developer Dashboard.' },
+    { key: 'shuffleApiUrl', label: 'Shuffle Service URL', hint: 'Mood shuffles are sent to <url>/shuffle.' },
+    { key: 'moodApiUrl', label: 'Mood Prediction Service URL', hint: 'Webcam images are sent to <url>/predict-face-mood.' },
+    { key: 'amazonTokenApiUrl', label: 'Amazon Token Service URL', hint: 'Hosts /exchange_amazon_token and /refresh_amazon_token.' },
+];
+
+function SettingsPage() {
+    const [formValues, setFormValues] = useState(getConfig);
+    const [healthResults, setHealthResults] = useState({}); // backend key -> result
+    const [isChecking, setIsChecking] = useState(false);
+    const [saveMessage, setSaveMessage] = useState('');
+
+    // --- Health Checks ---
+    const runHealthChecks = useCallback(async (config = getConfig()) => {
+        setIsChecking(true);
+        console.log("Running backend health checks...");
+        const entries = await Promise.all(BACKENDS.map(async (backend) => (
+            [backend.key, { ...await checkBackendHealth(config[backend.key]), url: config[backend.key] }]
+        )));
+        setHealthResults(Object.fromEntries(entries));
+        setIsChecking(false);
+    }, []);
+
+    useEffect(() => {
+        runHealthChecks();
+    }, [runHealthChecks]);
+
+    // --- Form Handlers ---
+    const handleChange = (key) => (e) => {
+        setFormValues(prev => ({ ...prev, [key]: e.target.value }));
+        setSaveMessage('');
+    };
+
+    const handleSave = (e) => {
+        e.preventDefault();
+        const saved = saveConfig(formValues);
+        setFormValues(saved);
+        setSaveMessage('Settings saved.');
+        runHealthChecks(saved);
+    };
+
+    const handleReset = () => {
+        if (!window.confirm('Reset all settings to their defaults?')) return;
+        const defaults = resetConfig();
+        setFormValues(defaults);
+        setSaveMessage('Settings reset to defaults.');
+        runHealthChecks(defaults);
+    };
+
+    return (
+        <div className="settings-page">
+            <h1>Settings</h1>
+
+            {/* Configuration */}
+            <form className="action-card" onSubmit={handleSave}>
+                <h2>Configuration</h2>
+                <p className="description">Defaults come from the build environment (REACT_APP_* variables). Changes are stored in this browser only.</p>
+                {FIELDS.map(field => (
+                    <label key={field.key} className="settings-field">
+                        <span className="settings-label">{field.label}</span>
+                        <input
+                            type="text"
+                            value={formValues[field.key]}
+                            onChange={handleChange(field.key)}
+                            placeholder={CONFIG_DEFAULTS[field.key]}
+                        />
+                        <span className="settings-hint">{field.hint}</span>
+                    </label>
+                ))}
+                <div className="settings-actions">
+                    <button type="submit">Save</button>
+                    <button type="button" onClick={handleReset} className="secondary-button">Reset to Defaults</button>
+                    {saveMessage && <span className="settings-save-message">{saveMessage}</span>}
+                </div>
+            </form>
+
+            {/* Backend Health */}
+            <div className="action-card">
+                <h2>Backend Status</h2>
+                <ul className="health-list">
+                    {BACKENDS.map(backend => {
+                        const result = healthResults[backend.key];
+                        const statusClass = !result ? 'unknown' : (result.ok ? 'up' : 'down');
+                        return (
+                            <li key={backend.key} className="health-item">
+                                <div className="health-info">
+                                    <span className="health-name">{backend.name}</span>
+                                    <span className="health-url">{result?.url || formValues[backend.key]}</span>
+                                    <span className="health-features">
+                                        {backend.features.join(', ')}: {!result ? 'checking' : result.ok ? 'available' : 'unavailable'}
+                                    </span>
+                                </div>
+                                <span className={`health-status ${statusClass}`}>
+                                    {!result ? 'Checking...' : result.ok ? `Online (${result.latencyMs} ms)` : `Offline: ${result.error}`}
+                                </span>
+                            </li>
+                        );
+                    })}
+                </ul>
+                <button onClick={() => runHealthChecks()} disabled={isChecking}>
+                    {isChecking ? 'Checking...' : 'Re-check'}
+                </button>
+            </div>
+        </div>
+    );
+}
+
+export default SettingsPage;
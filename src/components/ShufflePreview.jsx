@@ -0,0 +1,153 @@
+// src/components/ShufflePreview.jsx
+import React, { useState } from 'react';
+import './ShufflePreview.css'; // Table and header styles are shared with TrackListView.css
+
+const getArtistNames = (track) => track?.artists?.map(artist => artist.name).join(', ') || '';
+
+/**
+ * Shows the tracks a mood shuffle picked (in order) and the ones it left out, so they can be dropped,
+ * added and re-ordered before the playlist is created.
+ * `onConfirm({ name, items })` receives the playlist name and the included track items in order.
+ * Mount it with a `key` per shuffle so a new preview starts from the new result.
+ */
+function ShufflePreview({
+    sourceName, mood, initialName, included: initialIncluded, excluded: initialExcluded, moodByTrackId = {},
+    unavailableCount = 0, isSaving, onConfirm, onCancel,
+}) {
+    const [name, setName] = useState(initialName);
+    const [included, setIncluded] = useState(initialIncluded);
+    const [excluded, setExcluded] = useState(initialExcluded);
+    const [draggedIndex, setDraggedIndex] = useState(null);
+    const [dropBefore, setDropBefore] = useState(null);
+
+    const moveTrack = (from, to) => {
+        if (to < 0 || to >= included.length || from === to) return;
+        setIncluded(prev => {
+            const next = [...prev];
+            const [item] = next.splice(from, 1);
+            next.splice(to, 0, item);
+            return next;
+        });
+    };
+
+    const dropTrack = (index) => {
+        const item = included[index];
+        setIncluded(prev => prev.filter((_, i) => i !== index));
+        setExcluded(prev => [item, ...prev]);
+    };
+
+    const addTrack = (index) => {
+        const item = excluded[index];
+        setExcluded(prev => prev.filter((_, i) => i !== index));
+        setIncluded(prev => [...prev, item]);
+    };
+
+    // --- Drag & Drop (one row at a time) ---
+    const handleDragOver = (e, index) => {
+        if (draggedIndex === null) return;
+        e.preventDefault();
+        const rect = e.currentTarget.getBoundingClientRect();
+        const position = e.clientY < rect.top + rect.height / 2 ? index : index + 1;
+        if (position !== dropBefore) setDropBefore(position);
+    };
+
+    const handleDragEnd = () => {
+        setDraggedIndex(null);
+        setDropBefore(null);
+    };
+
+    const handleDrop = (e) => {
+        e.preventDefault();
+        if (draggedIndex !== null && dropBefore !== null) {
+            moveTrack(draggedIndex, dropBefore > draggedIndex ? dropBefore - 1 : dropBefore);
+        }
+        handleDragEnd();
+    };
+
+    const handleSubmit = (e) => {
+        e.preventDefault();
+        if (!name.trim() || included.length === 0) return;
+        onConfirm({ name: name.trim(), items: included });
+    };
+
+    return (
+        <div className="track-list-view shuffle-preview">
+            <div className="track-view-header">
+                <h2>Preview: {mood} tracks from "{sourceName}"</h2>
+                <button onClick={onCancel} className="close-button" title="Discard this shuffle" disabled={isSaving}>×</button>
+            </div>
+            <form className="shuffle-preview-bar" onSubmit={handleSubmit}>
+                <input
+                    type="text"
+                    value={name}
+                    onChange={(e) => setName(e.target.value)}
+                    aria-label="Playlist name"
+                    maxLength={100}
+                    disabled={isSaving}
+                />
+                <button type="submit" className="confirm-button" disabled={isSaving || !name.trim() || included.length === 0}>
+                    {isSaving ? 'Creating...' : `Create Playlist (${included.length})`}
+                </button>
+                <button type="button" className="cancel-button" onClick={onCancel} disabled={isSaving}>Discard</button>
+            </form>
+            <p className="track-reorder-hint">
+                Drag rows or use ↑/↓ to reorder; − leaves a track out, + adds a left-out track at the end.
+                {unavailableCount > 0 && ` ${unavailableCount} local or unavailable track(s) can't be added.`}
+            </p>
+            <div className="track-scroll-list">
+                <h3 className="shuffle-preview-heading">Included ({included.length})</h3>
+                <table className={`track-table${isSaving ? ' saving' : ''}`}>
+                    <tbody>
+                        {included.length > 0 ? included.map((item, index) => (
+                            <tr
+                                key={item.track.id}
+                                className={[
+                                    'track-item',
+                                    'shuffle-preview-row',
+                                    dropBefore === index && 'drop-before',
+                                    dropBefore === index + 1 && index === included.length - 1 && 'drop-after',
+                                ].filter(Boolean).join(' ')}
+                                draggable={!isSaving}
+                                onDragStart={(e) => { setDraggedIndex(index); e.dataTransfer.effectAllowed = 'move'; e.dataTransfer.setData('text/plain', String(index)); }}
+                                onDragOver={(e) => handleDragOver(e, index)}
+                                onDrop={handleDrop}
+                                onDragEnd={handleDragEnd}
+                            >
+                                <td className="track-column-index">{index + 1}</td>
+                                <td className="track-name">{item.track.name || 'N/A'}</td>
+                                <td className="track-artist">{getArtistNames(item.track) || 'N/A'}</td>
+                                <td className="shuffle-preview-actions">
+                                    <button type="button" onClick={() => moveTrack(index, index - 1)} disabled={isSaving || index === 0} title="Move up">↑</button>
+                                    <button type="button" onClick={() => moveTrack(index, index + 1)} disabled={isSaving || index === included.length - 1} title="Move down">↓</button>
+                                    <button type="button" onClick={() => dropTrack(index)} disabled={isSaving} title="Leave this track out">−</button>
+                                </td>
+                            </tr>
+                        )) : (
+                            <tr className="track-item empty"><td colSpan={4}>No tracks included. Add some from the list below.</td></tr>
+                        )}
+                    </tbody>
+                </table>
+
+                <h3 className="shuffle-preview-heading">Left out ({excluded.length})</h3>
+                <table className="track-table">
+                    <tbody>
+                        {excluded.length > 0 ? excluded.map((item, index) => (
+                            <tr key={item.track.id} className="track-item shuffle-preview-row excluded">
+                                <td className="track-name">{item.track.name || 'N/A'}</td>
+                                <td className="track-artist">{getArtistNames(item.track) || 'N/A'}</td>
+                                <td className="shuffle-preview-mood">{moodByTrackId[item.track.id] || 'Unclassified'}</td>
+                                <td className="shuffle-preview-actions">
+                                    <button type="button" onClick={() => addTrack(index)} disabled={isSaving} title="Add this track">+</button>
+                                </td>
+                            </tr>
+                        )) : (
+                            <tr className="track-item empty"><td colSpan={4}>Every track is included.</td></tr>
+                        )}
+                    </tbody>
+                </table>
+            </div>
+        </div>
+    );
+}
+
+export default ShufflePreview;
@@ -3,7 +3,7 @@ import React from 'react';
 import { NavLink } from 'react-router-dom';
 import './Sidebar.css'; // Ensure this CSS file exists and is styled
 
-function Sidebar({ onLogout }) {
+function Sidebar({ onLogout, accounts = [], activeAccountId, onSwitchAccount, onAddAccount, onRemoveAccount }) {
   return (
     <aside className="sidebar">
       <div className="sidebar-logo">
@@ -28,12 +28,51 @@ function Sidebar({ onLogout }) {
               Connect Services
             </NavLink>
           </li>
+          <li>
+            <NavLink to="/settings" className={({ isActive }) => isActive ? "nav-link active" : "nav-link"}>
+              Settings
+            </NavLink>
+          </li>
           {/* Add other navigation links here if needed */}
         </ul>
       </nav>
+      {/* Spotify Accounts */}
+      <div className="sidebar-accounts">
+        <h3 className="sidebar-section-title">Accounts</h3>
+        <ul>
+          {accounts.map(account => (
+            <li key={account.id} className={account.id === activeAccountId ? "account-item active" : "account-item"}>
+              <button
+                className="account-switch-button"
+                onClick={() => onSwitchAccount(account.id)}
+                disabled={account.id === activeAccountId}
+                title={account.id === activeAccountId ? "Active account" : `Switch to ${account.displayName}`}
+              >
+                {account.imageUrl ? (
+                  <img src={account.imageUrl} alt="" className="account-avatar" />
+                ) : (
+                  <span className="account-avatar placeholder">{account.displayName.charAt(0).toUpperCase()}</span>
+                )}
+                <span className="account-name">{account.displayName}</span>
+              </button>
+              <button
+                className="account-remove-button"
+                onClick={() => onRemoveAccount(account.id)}
+                title={`Remove ${account.displayName}`}
+                aria-label={`Remove ${account.displayName}`}
+              >
+                ×
+              </button>
+            </li>
+          ))}
+        </ul>
+        <button onClick={onAddAccount} className="add-account-button">
+          + Add Account
+        </button>
+      </div>
       <div className="sidebar-logout">
         <button onClick={onLogout} className="logout-button-sidebar">
-          Logout
+          {accounts.length > 1 ? 'Logout All' : 'Logout'}
         </button>
       </div>
     </aside>
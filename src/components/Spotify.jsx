@@ -1,30 +1,79 @@
 // src/components/Spotify.jsx
-import React, { useEffect, useState, useCallback } from 'react'; // Removed unused useRef
+import React, { useEffect, useState, useCallback, useRef, useMemo } from 'react';
 
 // Services
 import {
-    fetchPlaylists, fetchPlaylistTracks, createPlaylist, addTracksToPlaylist,
-    getUserId, removeTracksFromPlaylist
+    fetchPlaylists, createPlaylist, addTracksToPlaylist,
+    getUserId, removeTracksFromPlaylist, fetchAudioFeaturesCached,
+    reorderPlaylistTracks, fetchPlaylistSnapshotId, fetchPlaylistTracks,
+    updatePlaylistDetails, uploadPlaylistCoverImage, replacePlaylistTracks, unfollowPlaylist
 } from '../services/spotifyService';
+import { fetchLibrarySources, fetchSourceTracks, isLibrarySource } from '../services/librarySources';
 import { sendPlaylistToShuffle } from '../services/shuffleService';
 import { predictMoodFromScreenshot } from '../services/moodPredictionService';
+import { getStoredAccessToken } from '../services/tokenStore';
+import { getAccountAccessToken, getActiveAccountId } from '../services/accountStore';
+import { getCachedPlaylists, setCachedPlaylists } from '../services/libraryCache';
+import {
+    recordPlaylistState, getJournalEntries, removeJournalEntry, clearJournal, subscribeToJournal
+} from '../services/undoJournal';
+import { ApiError, AuthError, ValidationError, isAbortError } from '../services/errors';
 
 // Utils
 import { exportTracksToCsv } from '../utils/csvUtils';
+import { planReorder, planPermutation } from '../utils/reorderUtils';
+import {
+    MOODS, isInPlaceShuffleMode, orderByMood, shuffleMoodTracks, buildMoodJourney, buildMoodBlend, formatBlendWeights, parseBlendWeights
+} from '../utils/shuffleUtils';
+import { shuffleTracks, getLocalShuffleLabel } from '../utils/localShuffle';
+import {
+    generateSeed, normalizeSeed, createSeededRandom, parseShuffleParams, withShuffleParams
+} from '../utils/shuffleSeed';
+import { getGeneratedPlaylistKind } from '../utils/generatedPlaylists';
+import { decodeDescription } from '../utils/descriptionUtils';
+import { isSpotifySessionError, describeError } from '../utils/errorUtils';
 // Components
 import PlaylistItem from './PlaylistItem';
 import TrackListView from './TrackListView';
+import HistoryPanel from './HistoryPanel';
+import CleanupPanel from './CleanupPanel';
+import ShufflePreview from './ShufflePreview';
 // Styles
 import './Spotify.css';
 
-function Spotify({ token, onLogout, key: refreshKey }) {
+// Splits track items into IDs that can be added to a playlist and counts of those that can't:
+// local files (no Spotify ID) and unavailable tracks or podcast episodes
+const collectCopyableTrackIds = (trackItems) => {
+    const trackIds = [];
+    let localCount = 0;
+    let unavailableCount = 0;
+    trackItems.forEach(item => {
+        const track = item?.track;
+        if (track?.uri?.startsWith('spotify:local:')) localCount++;
+        else if (typeof track?.id === 'string' && track.id.trim() !== '' && !track.uri?.startsWith('spotify:episode:')) trackIds.push(track.id);
+        else unavailableCount++;
+    });
+    return { trackIds, localCount, unavailableCount };
+};
+
+const describeSkippedTracks = ({ localCount, unavailableCount }) => {
+    const parts = [];
+    if (localCount > 0) parts.push(`${localCount} local file(s)`);
+    if (unavailableCount > 0) parts.push(`${unavailableCount} unavailable track(s) or episode(s)`);
+    return parts.length > 0 ? `\n${parts.join(' and ')} could not be copied.` : '';
+};
+
+function Spotify({ token, onLogout, accounts = [], key: refreshKey }) {
     // --- State ---
-    const [playlists, setPlaylists] = useState([]);
+    const [playlists, setPlaylists] = useState([]); // Library sources (Liked Songs, albums, artists) first, then playlists
+    const [libraryWarning, setLibraryWarning] = useState(null); // Library sources that failed to load
     const [currentUserId, setCurrentUserId] = useState(null);
 
     // --- UI State ---
     const [activePlaylistIdForMenu, setActivePlaylistIdForMenu] = useState(null);
-    const [viewingTracksFor, setViewingTracksFor] = useState(null); // { playlistId, playlistName, items, isLoading, error }
+    const [historyFilter, setHistoryFilter] = useState(null); // null = closed; { playlistId, playlistName } or { playlistId: null } for all
+    const [isCleanupOpen, setIsCleanupOpen] = useState(false);
+    const [viewingTracksFor, setViewingTracksFor] = useState(null); // { playlistId, playlistName, snapshotId, items, isLoading, error, audioFeatures, featuresStatus, savingMessage }
 
     // --- Loading States ---
     const [isLoadingPlaylists, setIsLoadingPlaylists] = useState(false);
@@ -32,9 +81,47 @@ function Spotify({ token, onLogout, key: refreshKey }) {
     const [isShuffling, setIsShuffling] = useState(false);
     const [isExporting, setIsExporting] = useState(false);
     const [isRemovingDuplicates, setIsRemovingDuplicates] = useState(false);
+    const [isCopyingToAccount, setIsCopyingToAccount] = useState(false);
+    const [isDuplicating, setIsDuplicating] = useState(false);
+    const [isSplittingByMood, setIsSplittingByMood] = useState(false);
+    const [isBuildingJourney, setIsBuildingJourney] = useState(false);
+    const [isBlending, setIsBlending] = useState(false);
+    const [shufflePreview, setShufflePreview] = useState(null); // Mood shuffle waiting to be confirmed
+    const [restoringEntryId, setRestoringEntryId] = useState(null);
+    const [isDeletingPlaylists, setIsDeletingPlaylists] = useState(false); // Single or bulk unfollow
+
+    // --- Undo Journal ---
+    const [journalEntries, setJournalEntries] = useState([]); // This account's recorded states, newest first
+
+    // --- Cancellation ---
+    // One controller for the track view and one for the running playlist action (shuffle, export...)
+    const viewTracksControllerRef = useRef(null);
+    const actionControllerRef = useRef(null);
+
+    const startAction = useCallback(() => {
+        const controller = new AbortController();
+        actionControllerRef.current = controller;
+        return controller.signal;
+    }, []);
+
+    const handleCancelAction = useCallback(() => {
+        console.log("Cancelling the running playlist action...");
+        actionControllerRef.current?.abort();
+    }, []);
+
+    // Stop in-flight work when the page unmounts (navigation, account switch)
+    useEffect(() => () => {
+        viewTracksControllerRef.current?.abort();
+        actionControllerRef.current?.abort();
+    }, []);
 
     // --- Centralized Error Handling ---
     const handleApiError = useCallback((error, logoutCallback) => {
+        // Cancelled on purpose: the handler that started the work resets its own state
+        if (isAbortError(error)) {
+            console.log("Request cancelled:", error.message);
+            return;
+        }
         console.error("API Error in Spotify Component:", error);
         // Clear all loading states on error
         setIsLoadingPlaylists(false);
@@ -42,13 +129,16 @@ function Spotify({ token, onLogout, key: refreshKey }) {
         setIsShuffling(false);
         setIsExporting(false);
         setIsRemovingDuplicates(false);
+        setIsCopyingToAccount(false);
+        setIsDuplicating(false);
+        setIsSplittingByMood(false);
+        setIsBuildingJourney(false);
+        setIsBlending(false);
         setViewingTracksFor(prev => prev ? { ...prev, isLoading: false, error: true } : null);
 
-        const message = String(error?.response?.data?.error || error?.message || '').toLowerCase();
-        const status = error?.response?.status;
-
-        if (status === 401 || status === 403 || message.includes('token') || message.includes('unauthorized') || message.includes('invalid access token')) {
-            if (localStorage.getItem('spotify_access_token')) {
+        // Only a genuine Spotify auth failure ends the session; shuffle/mood backend errors never do
+        if (isSpotifySessionError(error)) {
+            if (getStoredAccessToken('spotify')) {
                  alert(`Authentication error: ${error.message}. Session may have expired. Logging out.`);
                  // Use the passed callback, ensure it's callable
                  if (typeof logoutCallback === 'function') {
@@ -60,13 +150,26 @@ function Spotify({ token, onLogout, key: refreshKey }) {
                  }
             }
         } else {
-             if (!message.startsWith('failed to predict mood')) {
-                alert(`An error occurred: ${error.message}`);
-             }
+             alert(`An error occurred: ${describeError(error)}`);
         }
     // Add onLogout as dependency if used directly as fallback
     }, [onLogout]); // Added onLogout dependency
 
+    // --- Audio Features ---
+    // Best effort: features enrich the track view, exports and shuffles but are never required
+    // (Spotify only grants the endpoint to some apps), so failures other than cancelling return null.
+    const loadAudioFeatures = useCallback(async (trackItems, signal) => {
+        const trackIds = trackItems.map(item => item?.track?.id).filter(Boolean);
+        if (trackIds.length === 0) return null;
+        try {
+            return await fetchAudioFeaturesCached(token, trackIds, { signal });
+        } catch (error) {
+            if (isAbortError(error)) throw error;
+            console.warn("Audio features unavailable, continuing without them:", error);
+            return null;
+        }
+    }, [token]);
+
     // --- Fetch Playlists Handler ---
     // Wrapped handleFetchPlaylists in useCallback first
     const handleFetchPlaylists = useCallback(async (currentToken = token) => {
@@ -81,9 +184,17 @@ function Spotify({ token, onLogout, key: refreshKey }) {
         setLoadingPlaylistIdForAction(null);
         console.log("Fetching playlists...");
         try {
-            const items = await fetchPlaylists(currentToken);
+            const [playlistItems, library] = await Promise.all([
+                fetchPlaylists(currentToken),
+                fetchLibrarySources(currentToken),
+            ]);
+            const items = [...library.sources, ...playlistItems];
             setPlaylists(items);
-            console.log("Playlists fetched:", items.length);
+            setLibraryWarning(library.failed.length > 0
+                ? `Could not load ${library.failed.join(', ')}. Log out and back in to grant library access.`
+                : null);
+            setCachedPlaylists(currentUserId, items); // Shown instantly on the next visit
+            console.log(`Fetched ${playlistItems.length} playlists and ${library.sources.length} library sources.`);
         } catch (error) {
             // Use handleApiError defined above
             handleApiError(error, onLogout);
@@ -93,6 +204,41 @@ function Spotify({ token, onLogout, key: refreshKey }) {
      // Dependencies: token, isLoadingPlaylists, currentUserId, handleApiError, onLogout
     }, [token, isLoadingPlaylists, currentUserId, handleApiError, onLogout]);
 
+    // --- Library Cache ---
+    // Show the cached playlist list straight away; the user ID effect below revalidates it
+    useEffect(() => {
+        let isCancelled = false;
+        getCachedPlaylists(getActiveAccountId()).then(cached => {
+            if (isCancelled || !cached?.items?.length) return;
+            console.log(`Showing ${cached.items.length} cached playlists while refreshing...`);
+            setPlaylists(current => current.length ? current : cached.items);
+        });
+        return () => { isCancelled = true; };
+    }, []);
+
+    // Journal entries follow the logged-in account and any change made elsewhere in the app
+    useEffect(() => {
+        if (!currentUserId) return undefined;
+        const loadEntries = () => setJournalEntries(getJournalEntries(currentUserId));
+        loadEntries();
+        return subscribeToJournal(loadEntries);
+    }, [currentUserId]);
+
+    // Records a playlist's tracks before a destructive edit so it can be restored from the history panel.
+    // If they can't be stored, asks whether to go ahead anyway: returns null if so, throws an AbortError if not.
+    const recordUndo = useCallback((playlistId, playlistName, action, trackItems, snapshotId) => {
+        const entry = recordPlaylistState({ accountId: currentUserId, playlistId, playlistName, action, trackItems, snapshotId });
+        if (!entry && !window.confirm(`"${playlistName}" could not be saved to Undo History (browser storage may be full).\n\nGo ahead with "${action}" anyway? It can't be undone.`)) {
+            throw new DOMException(`"${action}" was cancelled because "${playlistName}" could not be saved to Undo History.`, 'AbortError');
+        }
+        return entry;
+    }, [currentUserId]);
+
+    // The listed playlist or library source for an ID (its snapshot_id validates cached tracks)
+    const getListItem = useCallback((playlistId) => (
+        playlists.find(playlist => playlist.id === playlistId) || { id: playlistId }
+    ), [playlists]);
+
     // --- Effect Hook ---
     useEffect(() => {
         if (token && !currentUserId) {
@@ -122,37 +268,317 @@ function Spotify({ token, onLogout, key: refreshKey }) {
     // --- Other Handlers ---
 
     const handleCloseTracks = useCallback(() => {
+        viewTracksControllerRef.current?.abort(); // Stop paginating if still loading
+        viewTracksControllerRef.current = null;
         setViewingTracksFor(null);
     }, []);
 
     const handleViewTracksRequest = useCallback(async (playlistId, playlistName) => {
-        if (!token || viewingTracksFor?.isLoading || loadingPlaylistIdForAction === playlistId) return;
+        if (!token || loadingPlaylistIdForAction === playlistId) return;
 
-        if (viewingTracksFor?.playlistId === playlistId && !viewingTracksFor?.isLoading) {
+        // A pending shuffle preview takes the track view's place; it has to go for the tracks to show
+        if (shufflePreview) {
+            if (shufflePreview.isSaving || !window.confirm(`Discard the preview of "${shufflePreview.name}"?`)) return;
+            setShufflePreview(null);
+        }
+
+        // Clicking the open (or still loading) playlist again closes it
+        if (viewingTracksFor?.playlistId === playlistId) {
             handleCloseTracks(); // Uses handleCloseTracks
             return;
         }
 
+        // Abandon any other playlist that is still loading
+        viewTracksControllerRef.current?.abort();
+        const controller = new AbortController();
+        viewTracksControllerRef.current = controller;
+
         console.log(`Requesting tracks for playlist: ${playlistName} (${playlistId})`);
-        setViewingTracksFor({ playlistId, playlistName, items: null, isLoading: true, error: false });
+        const listItem = getListItem(playlistId);
+        const snapshotId = listItem.snapshot_id || null; // Reorders are applied against this version
+        setViewingTracksFor({ playlistId, playlistName, snapshotId, items: null, isLoading: true, error: false, audioFeatures: null, featuresStatus: null });
         setActivePlaylistIdForMenu(null);
 
         try {
-            const items = await fetchPlaylistTracks(token, playlistId);
+            const items = await fetchSourceTracks(token, listItem, { signal: controller.signal });
             setViewingTracksFor(currentState =>
                 currentState?.playlistId === playlistId
-                    ? { playlistId, playlistName, items: items, isLoading: false, error: false }
+                    ? { playlistId, playlistName, snapshotId, items: items, isLoading: false, error: false, audioFeatures: null, featuresStatus: 'loading' }
+                    : currentState
+            );
+
+            // Tracks are shown right away; feature columns appear once loaded
+            const audioFeatures = await loadAudioFeatures(items, controller.signal);
+            setViewingTracksFor(currentState =>
+                currentState?.playlistId === playlistId
+                    ? { ...currentState, audioFeatures, featuresStatus: audioFeatures ? 'ready' : 'unavailable' }
                     : currentState
             );
         } catch (error) {
+            if (isAbortError(error)) return; // Another playlist was opened, or the view was closed
             console.error(`[Spotify.jsx] fetchPlaylistTracks FAILED for ${playlistId}:`, error);
             handleApiError(error, onLogout); // Uses handleApiError
+        } finally {
+            if (viewTracksControllerRef.current === controller) viewTracksControllerRef.current = null;
         }
     // Added handleCloseTracks and handleApiError dependencies
-    }, [token, viewingTracksFor, loadingPlaylistIdForAction, handleApiError, onLogout, handleCloseTracks]);
+    }, [token, viewingTracksFor, loadingPlaylistIdForAction, shufflePreview, handleApiError, onLogout, handleCloseTracks, getListItem, loadAudioFeatures]);
+
+
+    // --- Track View Edits (reorder, remove, copy, move) ---
+
+    // Only the owner (or collaborators) can edit a playlist; library sources can't be edited at all
+    const canEditPlaylist = useCallback((item) => (
+        Boolean(item) && !isLibrarySource(item) && (item.owner?.id === currentUserId || item.collaborative === true)
+    ), [currentUserId]);
+
+    // Records a playlist's new snapshot_id (and track count) so later edits and the track cache use the right version
+    const updatePlaylistSnapshot = useCallback((playlistId, snapshotId, trackDelta = 0) => {
+        setPlaylists(prev => prev.map(playlist => (
+            playlist.id === playlistId
+                ? {
+                    ...playlist,
+                    snapshot_id: snapshotId,
+                    tracks: playlist.tracks ? { ...playlist.tracks, total: Math.max(0, (playlist.tracks.total || 0) + trackDelta) } : playlist.tracks,
+                }
+                : playlist
+        )));
+        setViewingTracksFor(currentState =>
+            currentState?.playlistId === playlistId ? { ...currentState, snapshotId } : currentState
+        );
+    }, []);
+
+    const updateViewedTracks = useCallback((playlistId, changes) => {
+        setViewingTracksFor(currentState =>
+            currentState?.playlistId === playlistId ? { ...currentState, ...changes } : currentState
+        );
+    }, []);
+
+    // After a failed edit: restore the previous tracks if nothing reached Spotify, otherwise show what Spotify has now.
+    // Resolves to true when the view was reloaded from Spotify.
+    const rollBackViewedTracks = useCallback(async (playlistId, previousItems, mayBePartial) => {
+        if (mayBePartial) {
+            try {
+                const [items, latestSnapshotId] = await Promise.all([
+                    fetchPlaylistTracks(token, playlistId),
+                    fetchPlaylistSnapshotId(token, playlistId),
+                ]);
+                updateViewedTracks(playlistId, { items });
+                updatePlaylistSnapshot(playlistId, latestSnapshotId);
+                return true;
+            } catch (reloadError) {
+                console.error("Could not reload tracks after a failed edit:", reloadError);
+            }
+        }
+        updateViewedTracks(playlistId, { items: previousItems });
+        return false;
+    }, [token, updateViewedTracks, updatePlaylistSnapshot]);
+
+    const reportTrackEditError = useCallback((error, summary, reloaded) => {
+        if (isAbortError(error)) return; // Declined to edit without an undo entry; nothing was changed
+        if (isSpotifySessionError(error)) {
+            handleApiError(error, onLogout);
+            return;
+        }
+        const outcome = reloaded ? 'Part of the change was saved; the list now shows the playlist as it is on Spotify.' : 'The list was restored.';
+        alert(`${summary}: ${describeError(error)}\n\n${outcome}`);
+    }, [handleApiError, onLogout]);
+
+    const handleReorderTracks = useCallback(async (selectedIndices, insertBefore) => {
+        const view = viewingTracksFor;
+        if (!token || !view?.items || view.savingMessage) return;
+        const { playlistId, playlistName } = view;
+        const { order, moves } = planReorder(view.items.length, selectedIndices, insertBefore);
+        if (moves.length === 0) return;
+
+        const previousItems = view.items;
+        let journalEntry;
+        try {
+            journalEntry = recordUndo(playlistId, playlistName, 'Reorder tracks', previousItems, view.snapshotId);
+        } catch (error) {
+            return; // Declined to reorder without an undo entry
+        }
+
+        // Optimistic update: show the new order right away, roll back if Spotify rejects it
+        updateViewedTracks(playlistId, { items: order.map(index => previousItems[index]), savingMessage: 'Saving new order...' });
+
+        // Each move is applied to the version the previous one produced
+        let snapshotId = view.snapshotId;
+        let appliedMoves = 0;
+        try {
+            for (const move of moves) {
+                const result = await reorderPlaylistTracks(token, playlistId, { ...move, snapshotId });
+                snapshotId = result.snapshot_id;
+                appliedMoves++;
+            }
+            console.log(`Reordered ${selectedIndices.length} track(s) in ${playlistName} with ${moves.length} request(s).`);
+            updatePlaylistSnapshot(playlistId, snapshotId);
+        } catch (error) {
+            console.error(`Reorder failed for playlist ${playlistId} after ${appliedMoves} of ${moves.length} move(s):`, error);
+            if (appliedMoves === 0 && journalEntry) removeJournalEntry(journalEntry.id); // Nothing changed
+            const reloaded = await rollBackViewedTracks(playlistId, previousItems, appliedMoves > 0);
+            reportTrackEditError(error, `Could not save the new order of "${playlistName}"`, reloaded);
+        } finally {
+            updateViewedTracks(playlistId, { savingMessage: null });
+        }
+    }, [token, viewingTracksFor, updateViewedTracks, updatePlaylistSnapshot, rollBackViewedTracks, reportTrackEditError, recordUndo]);
+
+    // After a failed rewrite of a playlist: keep its undo entry only if part of the rewrite reached Spotify
+    // (the snapshot moved on), flagged on the error as `partlySaved`
+    const settleFailedRewrite = useCallback(async (error, playlistId, snapshotId, journalEntry) => {
+        const latestSnapshotId = await fetchPlaylistSnapshotId(token, playlistId).catch(() => null);
+        error.partlySaved = latestSnapshotId !== snapshotId;
+        if (!error.partlySaved && journalEntry) removeJournalEntry(journalEntry.id); // Nothing changed
+        else if (latestSnapshotId) updatePlaylistSnapshot(playlistId, latestSnapshotId);
+    }, [token, updatePlaylistSnapshot]);
+
+    // Removes exactly the occurrences at `indices` (positions), leaving other copies of the same track alone
+    const removeViewedTracks = useCallback(async (view, indices, action) => {
+        const { playlistId } = view;
+        const previousItems = view.items;
+        const journalEntry = recordUndo(playlistId, view.playlistName, action, previousItems, view.snapshotId);
+        const removedSet = new Set(indices);
+        updateViewedTracks(playlistId, {
+            items: previousItems.filter((_, index) => !removedSet.has(index)),
+            savingMessage: `Removing ${indices.length} track(s)...`,
+        });
+        const entries = indices.map(index => ({ uri: previousItems[index].track.uri, positions: [index] }));
+        try {
+            const { snapshot_id: snapshotId } = await removeTracksFromPlaylist(token, playlistId, entries, { snapshotId: view.snapshotId });
+            updatePlaylistSnapshot(playlistId, snapshotId, -indices.length);
+        } catch (error) {
+            // Only removals of more than one chunk (100) can be partially applied
+            const mayBePartial = entries.length > 100;
+            if (!mayBePartial && journalEntry) removeJournalEntry(journalEntry.id); // Nothing changed
+            error.reloaded = await rollBackViewedTracks(playlistId, previousItems, mayBePartial);
+            throw error;
+        }
+    }, [token, updateViewedTracks, updatePlaylistSnapshot, rollBackViewedTracks, recordUndo]);
+
+    const handleRemoveTracks = useCallback(async (indices) => {
+        const view = viewingTracksFor;
+        if (!token || !view?.items || view.savingMessage) return;
+        const removable = indices.filter(index => view.items[index]?.track?.uri);
+        if (removable.length === 0) return;
+        if (!window.confirm(`Remove ${removable.length} track(s) from "${view.playlistName}"?`)) return;
+        try {
+            await removeViewedTracks(view, removable, `Remove ${removable.length} track(s)`);
+            console.log(`Removed ${removable.length} track(s) from ${view.playlistName}.`);
+        } catch (error) {
+            console.error(`Removing tracks from ${view.playlistId} failed:`, error);
+            reportTrackEditError(error, `Could not remove tracks from "${view.playlistName}"`, error.reloaded);
+        } finally {
+            updateViewedTracks(view.playlistId, { savingMessage: null });
+        }
+    }, [token, viewingTracksFor, removeViewedTracks, reportTrackEditError, updateViewedTracks]);
+
+    // Copy adds the tracks to the end of the target; move then removes them from the viewed playlist
+    const handleCopyOrMoveTracks = useCallback(async (indices, targetPlaylistId, { move = false } = {}) => {
+        const view = viewingTracksFor;
+        if (!token || !view?.items || view.savingMessage || !targetPlaylistId) return;
+        const target = getListItem(targetPlaylistId);
+        const targetName = target.name || 'the selected playlist';
+        // Local files have no Spotify ID and can't be added to other playlists
+        const copyable = indices.filter(index => view.items[index]?.track?.id && view.items[index]?.track?.uri);
+        const skipped = indices.length - copyable.length;
+        if (copyable.length === 0) {
+            alert("None of the selected tracks can be copied (local files and unavailable tracks can't be added to playlists).");
+            return;
+        }
+        const verb = move ? 'Move' : 'Copy';
+        if (move && !window.confirm(`Move ${copyable.length} track(s) from "${view.playlistName}" to "${targetName}"?`)) return;
+
+        updateViewedTracks(view.playlistId, { savingMessage: `${move ? 'Moving' : 'Copying'} ${copyable.length} track(s) to "${targetName}"...` });
+        // Record the target as it was too, so the added tracks can be undone there
+        const targetPreviousSnapshotId = target.snapshot_id || null;
+        let targetJournalEntry = null;
+        try {
+            const targetItems = await fetchSourceTracks(token, target);
+            targetJournalEntry = recordUndo(targetPlaylistId, targetName, `${verb} ${copyable.length} track(s) from "${view.playlistName}"`, targetItems, targetPreviousSnapshotId);
+            const trackIds = copyable.map(index => view.items[index].track.id);
+            const { snapshot_id: targetSnapshotId } = await addTracksToPlaylist(token, targetPlaylistId, trackIds);
+            updatePlaylistSnapshot(targetPlaylistId, targetSnapshotId, trackIds.length);
+        } catch (error) {
+            console.error(`${verb} to ${targetPlaylistId} failed:`, error);
+            if (targetJournalEntry) await settleFailedRewrite(error, targetPlaylistId, targetPreviousSnapshotId, targetJournalEntry);
+            updateViewedTracks(view.playlistId, { savingMessage: null });
+            if (isAbortError(error)) return; // Declined to go ahead without an undo entry
+            if (isSpotifySessionError(error)) handleApiError(error, onLogout);
+            else alert(`Could not ${verb.toLowerCase()} tracks to "${targetName}": ${describeError(error)}`);
+            return;
+        }
+
+        try {
+            if (move) await removeViewedTracks(view, copyable, `Move ${copyable.length} track(s) to "${targetName}"`);
+            const skippedNote = skipped > 0 ? `\n${skipped} track(s) were skipped (local files or unavailable tracks).` : '';
+            alert(`${move ? 'Moved' : 'Copied'} ${copyable.length} track(s) to "${targetName}".${skippedNote}`);
+        } catch (error) {
+            console.error(`Removing moved tracks from ${view.playlistId} failed:`, error);
+            if (isAbortError(error)) alert(`The tracks were copied to "${targetName}" and left in "${view.playlistName}".`);
+            else reportTrackEditError(error, `The tracks were copied to "${targetName}" but could not be removed from "${view.playlistName}"`, error.reloaded);
+        } finally {
+            updateViewedTracks(view.playlistId, { savingMessage: null });
+        }
+    }, [token, viewingTracksFor, getListItem, updateViewedTracks, updatePlaylistSnapshot, recordUndo, settleFailedRewrite, removeViewedTracks, reportTrackEditError, handleApiError, onLogout]);
+
+    const handleCopyTracks = useCallback((indices, targetPlaylistId) => (
+        handleCopyOrMoveTracks(indices, targetPlaylistId)
+    ), [handleCopyOrMoveTracks]);
+
+    const handleMoveTracks = useCallback((indices, targetPlaylistId) => (
+        handleCopyOrMoveTracks(indices, targetPlaylistId, { move: true })
+    ), [handleCopyOrMoveTracks]);
+
+    // Generated playlists offered for bulk deletion: { playlist, kind }
+    const generatedPlaylists = useMemo(() => playlists
+        .map(playlist => ({ playlist, kind: getGeneratedPlaylistKind(playlist, currentUserId) }))
+        .filter(item => item.kind),
+    [playlists, currentUserId]);
+
+    // Playlists the viewed tracks can be copied/moved to
+    const copyTargets = useMemo(() => playlists
+        .filter(playlist => playlist.id !== viewingTracksFor?.playlistId && canEditPlaylist(playlist))
+        .map(playlist => ({ id: playlist.id, name: playlist.name })),
+    [playlists, viewingTracksFor?.playlistId, canEditPlaylist]);
+
+
+    // --- Shuffle ---
+
+    // Rewrites a playlist in a new order (`order` lists the current positions in their new order), recording
+    // an undo entry first. Re-adding by URI would drop local files and unavailable rows, so playlists with
+    // those are rearranged with reorder requests instead, each applied to the previous snapshot.
+    const reorderPlaylistInPlace = useCallback(async (playlistId, playlistName, action, trackItems, order, snapshotId, { signal } = {}) => {
+        const journalEntry = recordUndo(playlistId, playlistName, action, trackItems, snapshotId);
+        try {
+            let newSnapshotId = snapshotId;
+            if (trackItems.every(item => item?.track?.uri && !item.track.uri.startsWith('spotify:local:'))) {
+                ({ snapshot_id: newSnapshotId } = await replacePlaylistTracks(token, playlistId, order.map(index => trackItems[index].track.uri), { signal }));
+            } else {
+                for (const move of planPermutation(order)) {
+                    ({ snapshot_id: newSnapshotId } = await reorderPlaylistTracks(token, playlistId, { ...move, snapshotId: newSnapshotId }, { signal }));
+                }
+            }
+            updatePlaylistSnapshot(playlistId, newSnapshotId);
+        } catch (error) {
+            await settleFailedRewrite(error, playlistId, snapshotId, journalEntry);
+            throw error;
+        }
+    }, [token, recordUndo, updatePlaylistSnapshot, settleFailedRewrite]);
 
+    const reportShuffleError = useCallback((error, playlistId, playlistName) => {
+        const partlySavedNote = error?.partlySaved ? '\n\nPart of the change was already saved; the previous tracks can be restored from Undo History.' : '';
+        if (isAbortError(error)) {
+            alert(`Shuffle of "${playlistName}" was cancelled.${partlySavedNote}`);
+            return;
+        }
+        console.error(`Shuffle failed for playlist ${playlistId}:`, error);
+        if (error?.partlySaved && !isSpotifySessionError(error)) alert(`Shuffling "${playlistName}" failed: ${describeError(error)}${partlySavedNote}`);
+        else handleApiError(error, onLogout);
+    }, [handleApiError, onLogout]);
 
-    const handleShufflePlaylist = useCallback(async (playlistId, playlistName, moodOrImageData) => {
+    // `mode` (see SHUFFLE_MODES): 'new' creates a playlist with the matching tracks, the others reorder this one.
+    // `seed` reproduces an earlier shuffle; without one a new seed is generated.
+    const handleShufflePlaylist = useCallback(async (playlistId, playlistName, moodOrImageData, { mode = 'new', seed } = {}) => {
         if (!token || !currentUserId || !playlistId || !playlistName) {
             console.warn("Shuffle cancelled: Missing required parameters.");
             alert("Cannot shuffle playlist - required playlist information missing.");
@@ -163,17 +589,20 @@ function Spotify({ token, onLogout, key: refreshKey }) {
         setIsShuffling(true);
         setLoadingPlaylistIdForAction(playlistId);
         setActivePlaylistIdForMenu(null);
-        setViewingTracksFor(null);
+        handleCloseTracks();
+        const signal = startAction();
 
         let predictedMood = '';
         let predictionError = null;
+        const inPlace = isInPlaceShuffleMode(mode);
+        let snapshotBefore = null; // In place: the version the new order is computed from
 
         try {
             // Step 1: Determine Mood
             if (typeof moodOrImageData === 'string' && moodOrImageData.startsWith('data:image')) {
                 console.log("Received image data, attempting prediction...");
                 try {
-                    predictedMood = await predictMoodFromScreenshot(moodOrImageData);
+                    predictedMood = await predictMoodFromScreenshot(moodOrImageData, { signal });
                     console.log(`Prediction successful: ${predictedMood}`);
                 } catch (predError) {
                     console.error("Mood prediction failed:", predError);
@@ -183,7 +612,7 @@ function Spotify({ token, onLogout, key: refreshKey }) {
                 predictedMood = moodOrImageData;
                 console.log(`Using pre-selected mood: ${predictedMood}`);
             } else {
-                throw new Error("No mood or image data provided for shuffle.");
+                throw new ValidationError("No mood or image data provided for shuffle.");
             }
 
             if (predictionError) throw predictionError;
@@ -192,21 +621,49 @@ function Spotify({ token, onLogout, key: refreshKey }) {
             const validMoods = ['Angry', 'Calm', 'Excited', 'Happy', 'Sad'];
             const capitalizedMood = predictedMood.charAt(0).toUpperCase() + predictedMood.slice(1).toLowerCase();
             if (!validMoods.includes(capitalizedMood)) {
-                throw new Error(`Invalid mood determined or provided: ${predictedMood}`);
+                throw new ValidationError(`Invalid mood determined or provided: ${predictedMood}`);
             }
-            console.log(`Proceeding to shuffle playlist: ${playlistName} (${playlistId}) with mood: ${capitalizedMood}`);
+            const shuffleSeed = seed ? normalizeSeed(seed) : generateSeed();
+            console.log(`Proceeding to shuffle playlist: ${playlistName} (${playlistId}) with mood: ${capitalizedMood}, seed: ${shuffleSeed}`);
 
-            // Step 3: Fetch Tracks
-            const trackItems = await fetchPlaylistTracks(token, playlistId); // Uses token
-            if (!trackItems || trackItems.length === 0) throw new Error("Playlist is empty, cannot shuffle.");
+            // Step 3: Fetch Tracks (in place: of the current version, so later edits elsewhere can be detected)
+            const listItem = getListItem(playlistId);
+            if (inPlace) {
+                if (!canEditPlaylist(listItem)) throw new ValidationError("Only playlists you own or collaborate on can be reordered.");
+                snapshotBefore = await fetchPlaylistSnapshotId(token, playlistId, { signal });
+            }
+            const trackItems = await fetchSourceTracks(token, inPlace ? { ...listItem, snapshot_id: snapshotBefore } : listItem, { signal }); // Uses token
+            if (!trackItems || trackItems.length === 0) throw new ValidationError("Playlist is empty, cannot shuffle.");
             const trackIds = trackItems.map(item => item?.track?.id).filter(id => typeof id === 'string' && id.trim() !== '');
-            if (trackIds.length === 0) throw new Error("No valid track IDs found in playlist.");
+            if (trackIds.length === 0) throw new ValidationError("No valid track IDs found in playlist.");
 
-            // Step 4: Call Shuffle Service
+            // Step 4: Call Shuffle Service (with audio features when available, so it can skip its own lookup)
+            const audioFeatures = await loadAudioFeatures(trackItems, signal);
             const moodToSend = capitalizedMood.toLowerCase();
-            const moodSplitTracks = await sendPlaylistToShuffle(trackIds, moodToSend);
-            if (moodSplitTracks.error) throw new Error(`Shuffle service error: ${moodSplitTracks.error}`);
-            if (!moodSplitTracks?.mood_predictions) throw new Error("Shuffle service returned an invalid response format.");
+            const moodSplitTracks = await sendPlaylistToShuffle(trackIds, moodToSend, { signal, audioFeatures, seed: shuffleSeed });
+            if (moodSplitTracks.error) throw new ApiError(`Shuffle service error: ${moodSplitTracks.error}`, { service: 'shuffle' });
+            if (!moodSplitTracks?.mood_predictions) throw new ApiError("Shuffle service returned an invalid response format.", { service: 'shuffle' });
+
+            // Step 5 (in place): Reorder the playlist itself, keeping all of its tracks
+            if (inPlace) {
+                const { order, matchedCount } = orderByMood(trackItems, moodSplitTracks.mood_predictions, capitalizedMood, mode, { random: createSeededRandom(shuffleSeed) });
+                if (matchedCount === 0 && mode === 'mood-first') {
+                    alert(`No tracks matched mood "${capitalizedMood}" in playlist "${playlistName}". Nothing was changed.`);
+                    return;
+                }
+                if (order.every((position, index) => position === index)) {
+                    alert(`"${playlistName}" is already in that order. Nothing was changed.`);
+                    return;
+                }
+                const latestSnapshotId = await fetchPlaylistSnapshotId(token, playlistId, { signal });
+                if (latestSnapshotId !== snapshotBefore) {
+                    throw new ValidationError(`"${playlistName}" was changed on Spotify while it was being shuffled. Nothing was reordered; please try again.`);
+                }
+                await reorderPlaylistInPlace(playlistId, playlistName, `Shuffle in place (${capitalizedMood}, seed ${shuffleSeed})`, trackItems, order, snapshotBefore, { signal });
+                const placement = mode === 'interleave' ? 'are interleaved with the other moods' : 'now come first';
+                alert(`Reordered "${playlistName}": ${matchedCount} track(s) matching "${capitalizedMood}" ${placement}.\nSeed: ${shuffleSeed}\nThe previous order can be restored from Undo History.`);
+                return;
+            }
 
             // Step 5: Process Shuffle Response
             const moodTracks = moodSplitTracks.mood_predictions[capitalizedMood];
@@ -216,28 +673,400 @@ function Spotify({ token, onLogout, key: refreshKey }) {
                 return; // Exit gracefully
             }
 
-            // Step 6: Create Playlist
-            const shuffledPlaylistName = `${playlistName} - ${capitalizedMood} Mood`;
-            const newPlaylist = await createPlaylist(token, currentUserId, shuffledPlaylistName, `Shuffled "${playlistName}" based on mood: ${capitalizedMood}`); // uses token, currentUserId
-            if (!newPlaylist?.id) throw new Error("Failed to create the new shuffled playlist on Spotify.");
-
-            // Step 7: Add Tracks
-            const trackIdsOnly = moodTracks.map(track => track.track_id).filter(Boolean);
+            // Step 6: Preview. The playlist is only created once the picked tracks are confirmed
+            const trackIdsOnly = shuffleMoodTracks(moodTracks, createSeededRandom(shuffleSeed)); // The seed decides the order
             if (trackIdsOnly.length === 0) throw new Error("Could not extract track IDs from shuffle service response.");
-            await addTracksToPlaylist(token, newPlaylist.id, trackIdsOnly); // uses token
+            const itemsById = new Map();
+            trackItems.forEach(item => {
+                const { trackIds: [id] } = collectCopyableTrackIds([item]);
+                if (id && !itemsById.has(id)) itemsById.set(id, item);
+            });
+            const includedIds = new Set(trackIdsOnly.filter(id => itemsById.has(id)));
+            const moodByTrackId = {};
+            Object.entries(moodSplitTracks.mood_predictions).forEach(([mood, tracks]) => {
+                (Array.isArray(tracks) ? tracks : []).forEach(track => { if (track?.track_id) moodByTrackId[track.track_id] = mood; });
+            });
+            setShufflePreview({
+                id: `${playlistId}-${shuffleSeed}-${Date.now()}`,
+                sourceId: playlistId,
+                sourceName: playlistName,
+                mood: capitalizedMood,
+                name: `${playlistName} - ${capitalizedMood} Mood`,
+                baseDescription: `Shuffled "${playlistName}" based on mood: ${capitalizedMood}`,
+                seed: shuffleSeed,
+                included: [...includedIds].map(id => itemsById.get(id)),
+                excluded: [...itemsById.keys()].filter(id => !includedIds.has(id)).map(id => itemsById.get(id)),
+                moodByTrackId,
+                unavailableCount: trackItems.length - collectCopyableTrackIds(trackItems).trackIds.length, // Repeats of a track aren't counted
+                isSaving: false,
+            });
+
+        } catch (error) {
+            reportShuffleError(error, playlistId, playlistName);
+        } finally {
+            actionControllerRef.current = null;
+            setIsShuffling(false);
+            setLoadingPlaylistIdForAction(null);
+        }
+    }, [token, currentUserId, loadingPlaylistIdForAction, isShuffling, handleCloseTracks, startAction, getListItem, loadAudioFeatures, canEditPlaylist, reorderPlaylistInPlace, reportShuffleError]);
 
-            alert(`Mood-based playlist "${shuffledPlaylistName}" created successfully with ${trackIdsOnly.length} tracks!`);
+    // Creates the previewed mood shuffle with the tracks (and order) kept in the preview
+    const handleConfirmShufflePreview = useCallback(async ({ name, items }) => {
+        const preview = shufflePreview;
+        if (!token || !currentUserId || !preview || preview.isSaving || loadingPlaylistIdForAction) return;
+
+        setShufflePreview(prev => (prev ? { ...prev, isSaving: true } : prev));
+        setIsShuffling(true);
+        setLoadingPlaylistIdForAction(preview.sourceId);
+        const signal = startAction();
+        const trackIds = items.map(item => item.track.id);
+        // An edited pick no longer matches its seed, so it gets no shuffle parameters (and can't be reshuffled)
+        const isEdited = trackIds.length !== preview.included.length || trackIds.some((id, index) => id !== preview.included[index].track.id);
+        const description = isEdited
+            ? `${preview.baseDescription} (edited)`
+            : withShuffleParams(preview.baseDescription, { seed: preview.seed, mood: preview.mood, source: preview.sourceId });
+        console.log(`Creating "${name}" from the shuffle preview with ${trackIds.length} tracks${isEdited ? ' (edited)' : ''}...`);
+        let newPlaylist = null;
+        try {
+            newPlaylist = await createPlaylist(token, currentUserId, name, description, { signal }); // uses token, currentUserId
+            if (!newPlaylist?.id) throw new Error("Failed to create the new shuffled playlist on Spotify.");
+            await addTracksToPlaylist(token, newPlaylist.id, trackIds, { signal }); // uses token
+
+            setShufflePreview(null);
+            const seedNote = isEdited
+                ? `\nThe tracks were edited in the preview, so it can't be reshuffled from seed ${preview.seed}.`
+                : `\nSeed: ${preview.seed}`;
+            alert(`Mood-based playlist "${name}" created successfully with ${trackIds.length} tracks!${seedNote}`);
             await handleFetchPlaylists(token); // Uses handleFetchPlaylists
+        } catch (error) {
+            // The preview stays open so the edits aren't lost; a half-filled playlist is left for the user to delete
+            setShufflePreview(prev => (prev ? { ...prev, isSaving: false } : prev));
+            if (newPlaylist?.id) {
+                await handleFetchPlaylists(token);
+                if (!isSpotifySessionError(error)) {
+                    alert(`"${name}" was created, but not all tracks could be added: ${describeError(error)}\nDelete it (Clean Up) before trying again.`);
+                    return;
+                }
+            }
+            reportShuffleError(error, preview.sourceId, preview.sourceName);
+        } finally {
+            actionControllerRef.current = null;
+            setIsShuffling(false);
+            setLoadingPlaylistIdForAction(null);
+        }
+    }, [token, currentUserId, shufflePreview, loadingPlaylistIdForAction, startAction, handleFetchPlaylists, reportShuffleError]);
+
+    // Shuffles in the browser (no shuffle backend needed), into a new playlist or the playlist itself.
+    // The same `seed` and tracks always give the same order; without one a new seed is generated.
+    const handleLocalShuffle = useCallback(async (playlistId, playlistName, strategy, { inPlace = false, seed } = {}) => {
+        if (!token || !currentUserId || loadingPlaylistIdForAction || isShuffling) return;
+        const listItem = getListItem(playlistId);
+        if (inPlace && !canEditPlaylist(listItem)) {
+            alert("Only playlists you own or collaborate on can be reordered.");
+            return;
+        }
+
+        setIsShuffling(true);
+        setLoadingPlaylistIdForAction(playlistId);
+        setActivePlaylistIdForMenu(null);
+        handleCloseTracks();
+        const signal = startAction();
+        const strategyLabel = getLocalShuffleLabel(strategy);
+        try {
+            const shuffleSeed = seed ? normalizeSeed(seed) : generateSeed();
+            console.log(`Shuffling ${playlistName} (${playlistId}) locally: ${strategyLabel}, seed ${shuffleSeed}${inPlace ? ', in place' : ''}`);
+            // In place: read the current version first, so the new order is computed from what Spotify has
+            const snapshotId = inPlace ? await fetchPlaylistSnapshotId(token, playlistId, { signal }) : null;
+            const trackItems = await fetchSourceTracks(token, inPlace ? { ...listItem, snapshot_id: snapshotId } : listItem, { signal });
+            if (!trackItems || trackItems.length < 2) throw new ValidationError("A playlist needs at least two tracks to be shuffled.");
+            const order = shuffleTracks(trackItems, strategy, { random: createSeededRandom(shuffleSeed) });
 
+            if (inPlace) {
+                await reorderPlaylistInPlace(playlistId, playlistName, `Shuffle in place (${strategyLabel}, seed ${shuffleSeed})`, trackItems, order, snapshotId, { signal });
+                alert(`"${playlistName}" was shuffled (${strategyLabel}).\nSeed: ${shuffleSeed}\nThe previous order can be restored from Undo History.`);
+                return;
+            }
+
+            const copyable = collectCopyableTrackIds(order.map(index => trackItems[index]));
+            if (copyable.trackIds.length === 0) throw new ValidationError("No tracks in this playlist can be added to a new playlist.");
+            const shuffledPlaylistName = `${playlistName} - Shuffled`;
+            const description = withShuffleParams(`Shuffled "${playlistName}" locally: ${strategyLabel}`, { seed: shuffleSeed, strategy, source: playlistId });
+            const newPlaylist = await createPlaylist(token, currentUserId, shuffledPlaylistName, description, { signal });
+            if (!newPlaylist?.id) throw new Error("Failed to create the new shuffled playlist on Spotify.");
+            await addTracksToPlaylist(token, newPlaylist.id, copyable.trackIds, { signal });
+
+            alert(`Playlist "${shuffledPlaylistName}" created with ${copyable.trackIds.length} tracks (${strategyLabel}, seed ${shuffleSeed}).${describeSkippedTracks(copyable)}`);
+            await handleFetchPlaylists(token);
         } catch (error) {
-            console.error(`Shuffle failed for playlist ${playlistId}:`, error);
-            handleApiError(error, onLogout); // Uses handleApiError, onLogout
+            reportShuffleError(error, playlistId, playlistName);
         } finally {
+            actionControllerRef.current = null;
             setIsShuffling(false);
             setLoadingPlaylistIdForAction(null);
         }
-    // Added handleFetchPlaylists dependency
-    }, [token, currentUserId, loadingPlaylistIdForAction, isShuffling, handleApiError, onLogout, handleFetchPlaylists]);
+    }, [token, currentUserId, loadingPlaylistIdForAction, isShuffling, getListItem, canEditPlaylist, handleCloseTracks, startAction, reorderPlaylistInPlace, reportShuffleError, handleFetchPlaylists]);
+
+    // One shuffle call, one playlist per mood: "<name> - <Mood> Mood" is created, or refilled if this
+    // source's playlist for that mood already exists. Moods without tracks are skipped.
+    const handleSplitByMood = useCallback(async (playlistId, playlistName) => {
+        if (!token || !currentUserId || loadingPlaylistIdForAction || isSplittingByMood) return;
+
+        setIsSplittingByMood(true);
+        setLoadingPlaylistIdForAction(playlistId);
+        setActivePlaylistIdForMenu(null);
+        handleCloseTracks();
+        const signal = startAction();
+        const seed = generateSeed();
+        const summary = []; // One line per mood
+        let changedCount = 0;
+        console.log(`Splitting ${playlistName} (${playlistId}) by mood, seed ${seed}...`);
+        try {
+            const trackItems = await fetchSourceTracks(token, getListItem(playlistId), { signal });
+            const { trackIds } = collectCopyableTrackIds(trackItems || []);
+            if (trackIds.length === 0) throw new ValidationError("No valid track IDs found in playlist.");
+            const audioFeatures = await loadAudioFeatures(trackItems, signal);
+            const result = await sendPlaylistToShuffle(trackIds, null, { signal, audioFeatures, seed });
+            if (result?.error) throw new ApiError(`Shuffle service error: ${result.error}`, { service: 'shuffle' });
+            if (!result?.mood_predictions) throw new ApiError("Shuffle service returned an invalid response format.", { service: 'shuffle' });
+
+            for (const mood of MOODS) {
+                const moodTrackIds = shuffleMoodTracks(result.mood_predictions[mood], createSeededRandom(seed));
+                if (moodTrackIds.length === 0) {
+                    summary.push(`${mood}: no tracks (skipped)`);
+                    continue;
+                }
+                const name = `${playlistName} - ${mood} Mood`;
+                const description = withShuffleParams(`Shuffled "${playlistName}" based on mood: ${mood}`, { seed, mood, source: playlistId });
+                // The playlist an earlier split or mood shuffle of this source made for this mood
+                const existing = playlists.find(playlist => {
+                    if (playlist.owner?.id !== currentUserId || isLibrarySource(playlist)) return false;
+                    const params = parseShuffleParams(playlist.description);
+                    return params ? params.source === playlistId && params.mood === mood : playlist.name === name;
+                });
+                try {
+                    if (existing) {
+                        const snapshotId = await fetchPlaylistSnapshotId(token, existing.id, { signal });
+                        const currentItems = await fetchPlaylistTracks(token, existing.id, { signal });
+                        const journalEntry = recordUndo(existing.id, existing.name, `Split by mood (seed ${seed})`, currentItems, snapshotId);
+                        try {
+                            const { snapshot_id: newSnapshotId } = await replacePlaylistTracks(token, existing.id, moodTrackIds.map(id => `spotify:track:${id}`), { signal });
+                            updatePlaylistSnapshot(existing.id, newSnapshotId, moodTrackIds.length - currentItems.length);
+                            await updatePlaylistDetails(token, existing.id, { description }, { signal });
+                        } catch (error) {
+                            await settleFailedRewrite(error, existing.id, snapshotId, journalEntry);
+                            throw error;
+                        }
+                        summary.push(`${mood}: ${moodTrackIds.length} tracks (updated "${existing.name}")`);
+                    } else {
+                        const newPlaylist = await createPlaylist(token, currentUserId, name, description, { signal });
+                        if (!newPlaylist?.id) throw new Error("Failed to create the playlist on Spotify.");
+                        await addTracksToPlaylist(token, newPlaylist.id, moodTrackIds, { signal });
+                        summary.push(`${mood}: ${moodTrackIds.length} tracks (created "${name}")`);
+                    }
+                    changedCount++;
+                } catch (error) {
+                    // One mood failing doesn't stop the others; cancelling or a lost session does
+                    if (isAbortError(error) || isSpotifySessionError(error)) throw error;
+                    console.error(`Split by mood: ${mood} failed for ${playlistId}:`, error);
+                    summary.push(`${mood}: failed (${error.message})`);
+                }
+            }
+            alert(`Split "${playlistName}" by mood (seed ${seed}):\n${summary.join('\n')}`);
+        } catch (error) {
+            if (isAbortError(error) && summary.length > 0) alert(`Splitting "${playlistName}" by mood was cancelled. Done so far:\n${summary.join('\n')}`);
+            else reportShuffleError(error, playlistId, playlistName);
+        } finally {
+            actionControllerRef.current = null;
+            setIsSplittingByMood(false);
+            setLoadingPlaylistIdForAction(null);
+        }
+        if (changedCount > 0) await handleFetchPlaylists(token);
+    }, [token, currentUserId, loadingPlaylistIdForAction, isSplittingByMood, playlists, getListItem, handleCloseTracks, startAction, loadAudioFeatures, recordUndo, updatePlaylistSnapshot, settleFailedRewrite, reportShuffleError, handleFetchPlaylists]);
+
+    // Creates one playlist that moves from the first stage's mood to the last one's.
+    // `stages`: [{ mood, weight }] in journey order (see planMoodJourney), weights are relative shares.
+    const handleMoodJourney = useCallback(async (playlistId, playlistName, stages) => {
+        if (!token || !currentUserId || loadingPlaylistIdForAction || isBuildingJourney) return;
+        if (!Array.isArray(stages) || stages.length < 2 || stages.some(stage => !MOODS.includes(stage.mood))) {
+            alert("Pick a start and an end mood for the journey.");
+            return;
+        }
+        if (!(stages[0].weight > 0) || !(stages[stages.length - 1].weight > 0)) {
+            alert(`Give the start mood (${stages[0].mood}) and the end mood (${stages[stages.length - 1].mood}) a share above 0%.`);
+            return;
+        }
+
+        setIsBuildingJourney(true);
+        setLoadingPlaylistIdForAction(playlistId);
+        setActivePlaylistIdForMenu(null);
+        handleCloseTracks();
+        const signal = startAction();
+        const seed = generateSeed();
+        const route = stages.map(stage => stage.mood);
+        console.log(`Building mood journey ${route.join(' → ')} from ${playlistName} (${playlistId}), seed ${seed}:`, stages);
+        try {
+            const trackItems = await fetchSourceTracks(token, getListItem(playlistId), { signal });
+            const { trackIds } = collectCopyableTrackIds(trackItems || []);
+            if (trackIds.length === 0) throw new ValidationError("No valid track IDs found in playlist.");
+            const audioFeatures = await loadAudioFeatures(trackItems, signal);
+            const result = await sendPlaylistToShuffle(trackIds, null, { signal, audioFeatures, seed });
+            if (result?.error) throw new ApiError(`Shuffle service error: ${result.error}`, { service: 'shuffle' });
+            if (!result?.mood_predictions) throw new ApiError("Shuffle service returned an invalid response format.", { service: 'shuffle' });
+
+            let journey;
+            try {
+                journey = buildMoodJourney(result.mood_predictions, stages, audioFeatures, { random: createSeededRandom(seed) });
+            } catch (error) {
+                throw new ValidationError(error.message);
+            }
+
+            const journeyName = `${playlistName} - ${route[0]} to ${route[route.length - 1]} Journey`;
+            const description = withShuffleParams(`Mood journey of "${playlistName}": ${route.join(' → ')}`, {
+                seed, journey: route.join('-'), weights: stages.map(stage => stage.weight).join('-'), source: playlistId,
+            });
+            const newPlaylist = await createPlaylist(token, currentUserId, journeyName, description, { signal });
+            if (!newPlaylist?.id) throw new Error("Failed to create the journey playlist on Spotify.");
+            await addTracksToPlaylist(token, newPlaylist.id, journey.trackIds, { signal });
+
+            const breakdown = route.map(mood => `${mood}: ${journey.counts[mood] || 0}`).join(', ');
+            alert(`Playlist "${journeyName}" created with ${journey.trackIds.length} tracks (${breakdown}).\nSeed: ${seed}`);
+            await handleFetchPlaylists(token);
+        } catch (error) {
+            reportShuffleError(error, playlistId, playlistName);
+        } finally {
+            actionControllerRef.current = null;
+            setIsBuildingJourney(false);
+            setLoadingPlaylistIdForAction(null);
+        }
+    }, [token, currentUserId, loadingPlaylistIdForAction, isBuildingJourney, getListItem, handleCloseTracks, startAction, loadAudioFeatures, reportShuffleError, handleFetchPlaylists]);
+
+    // Creates a mix sampled from the mood buckets: `weights` is mood -> relative share, `length` the track count
+    const handleMoodBlend = useCallback(async (playlistId, playlistName, { weights, length }) => {
+        if (!token || !currentUserId || loadingPlaylistIdForAction || isBlending) return;
+        if (!weights || !MOODS.some(mood => weights[mood] > 0) || !(length > 0)) {
+            alert("Give at least one mood a weight and choose how many tracks the blend should have.");
+            return;
+        }
+
+        setIsBlending(true);
+        setLoadingPlaylistIdForAction(playlistId);
+        setActivePlaylistIdForMenu(null);
+        handleCloseTracks();
+        const signal = startAction();
+        const seed = generateSeed();
+        const blend = formatBlendWeights(weights);
+        console.log(`Blending ${playlistName} (${playlistId}): ${blend}, ${length} tracks, seed ${seed}`);
+        try {
+            const trackItems = await fetchSourceTracks(token, getListItem(playlistId), { signal });
+            const { trackIds } = collectCopyableTrackIds(trackItems || []);
+            if (trackIds.length === 0) throw new ValidationError("No valid track IDs found in playlist.");
+            const audioFeatures = await loadAudioFeatures(trackItems, signal);
+            const result = await sendPlaylistToShuffle(trackIds, null, { signal, audioFeatures, seed });
+            if (result?.error) throw new ApiError(`Shuffle service error: ${result.error}`, { service: 'shuffle' });
+            if (!result?.mood_predictions) throw new ApiError("Shuffle service returned an invalid response format.", { service: 'shuffle' });
+
+            let mix;
+            try {
+                mix = buildMoodBlend(result.mood_predictions, weights, length, { random: createSeededRandom(seed) });
+            } catch (error) {
+                throw new ValidationError(error.message);
+            }
+
+            const blendName = `${playlistName} - Mood Blend`;
+            const shares = MOODS.filter(mood => weights[mood] > 0).map(mood => `${weights[mood]}% ${mood}`).join(', ');
+            const description = withShuffleParams(`Mood blend of "${playlistName}": ${shares}`, { seed, blend, length, source: playlistId });
+            const newPlaylist = await createPlaylist(token, currentUserId, blendName, description, { signal });
+            if (!newPlaylist?.id) throw new Error("Failed to create the blend playlist on Spotify.");
+            await addTracksToPlaylist(token, newPlaylist.id, mix.trackIds, { signal });
+
+            const breakdown = Object.entries(mix.counts).map(([mood, count]) => `${mood}: ${count}`).join(', ');
+            const shortNote = mix.trackIds.length < length ? `\nOnly ${mix.trackIds.length} of the ${length} tracks could be filled from the chosen moods.` : '';
+            alert(`Playlist "${blendName}" created with ${mix.trackIds.length} tracks (${breakdown}).${shortNote}\nSeed: ${seed}`);
+            await handleFetchPlaylists(token);
+        } catch (error) {
+            reportShuffleError(error, playlistId, playlistName);
+        } finally {
+            actionControllerRef.current = null;
+            setIsBlending(false);
+            setLoadingPlaylistIdForAction(null);
+        }
+    }, [token, currentUserId, loadingPlaylistIdForAction, isBlending, getListItem, handleCloseTracks, startAction, loadAudioFeatures, reportShuffleError, handleFetchPlaylists]);
+
+    // Refills a generated playlist from its source with the shuffle parameters stored in its description:
+    // the same seed reproduces the original order (from the source's current tracks and mood predictions),
+    // a new seed gives a new one
+    const handleReshuffle = useCallback(async (playlistId, playlistName, { newSeed = false } = {}) => {
+        if (!token || loadingPlaylistIdForAction || isShuffling) return;
+        const listItem = getListItem(playlistId);
+        const params = parseShuffleParams(listItem.description);
+        if (!params?.source || !(params.strategy || params.mood || params.journey || params.blend)) {
+            alert(`"${playlistName}" has no shuffle parameters to reshuffle with.`);
+            return;
+        }
+
+        setIsShuffling(true);
+        setLoadingPlaylistIdForAction(playlistId);
+        setActivePlaylistIdForMenu(null);
+        handleCloseTracks();
+        const signal = startAction();
+        const seed = newSeed ? generateSeed() : params.seed;
+        console.log(`Reshuffling ${playlistName} (${playlistId}) from ${params.source} with seed ${seed}:`, params);
+        let journalEntry = null;
+        let snapshotId = null;
+        try {
+            const sourceItems = await fetchSourceTracks(token, getListItem(params.source), { signal });
+            if (!sourceItems || sourceItems.length === 0) throw new ValidationError("The source playlist is empty, so there is nothing to reshuffle.");
+
+            let trackIds;
+            if (params.strategy) {
+                const order = shuffleTracks(sourceItems, params.strategy, { random: createSeededRandom(seed) });
+                trackIds = collectCopyableTrackIds(order.map(index => sourceItems[index])).trackIds;
+            } else {
+                const audioFeatures = await loadAudioFeatures(sourceItems, signal);
+                const result = await sendPlaylistToShuffle(collectCopyableTrackIds(sourceItems).trackIds, params.mood?.toLowerCase(), { signal, audioFeatures, seed });
+                if (!result?.mood_predictions) throw new ApiError("Shuffle service returned an invalid response format.", { service: 'shuffle' });
+                if (params.blend) {
+                    try {
+                        trackIds = buildMoodBlend(result.mood_predictions, parseBlendWeights(params.blend), Number(params.length) || 50, { random: createSeededRandom(seed) }).trackIds;
+                    } catch (error) {
+                        throw new ValidationError(error.message);
+                    }
+                } else if (params.journey) {
+                    const weights = (params.weights || '').split('-').map(Number);
+                    const stages = params.journey.split('-').map((mood, index) => ({ mood, weight: weights[index] ?? 1 }));
+                    try {
+                        trackIds = buildMoodJourney(result.mood_predictions, stages, audioFeatures, { random: createSeededRandom(seed) }).trackIds;
+                    } catch (error) {
+                        throw new ValidationError(error.message);
+                    }
+                } else {
+                    trackIds = shuffleMoodTracks(result.mood_predictions[params.mood], createSeededRandom(seed));
+                }
+            }
+            if (trackIds.length === 0) throw new ValidationError(`No tracks of the source playlist fit "${playlistName}" any more. Nothing was changed.`);
+
+            // Record what the playlist holds now, then replace it
+            snapshotId = await fetchPlaylistSnapshotId(token, playlistId, { signal });
+            const currentItems = await fetchPlaylistTracks(token, playlistId, { signal });
+            journalEntry = recordUndo(playlistId, playlistName, `Reshuffle (seed ${seed})`, currentItems, snapshotId);
+            const { snapshot_id: newSnapshotId } = await replacePlaylistTracks(token, playlistId, trackIds.map(id => `spotify:track:${id}`), { signal });
+            updatePlaylistSnapshot(playlistId, newSnapshotId, trackIds.length - currentItems.length);
+
+            if (seed !== params.seed) {
+                const description = withShuffleParams(decodeDescription(listItem.description), { ...params, seed });
+                await updatePlaylistDetails(token, playlistId, { description }, { signal });
+                setPlaylists(prev => prev.map(playlist => (playlist.id === playlistId ? { ...playlist, description } : playlist)));
+            }
+            alert(`"${playlistName}" was reshuffled with ${trackIds.length} tracks.\nSeed: ${seed}\nThe previous tracks can be restored from Undo History.`);
+        } catch (error) {
+            if (journalEntry) await settleFailedRewrite(error, playlistId, snapshotId, journalEntry);
+            reportShuffleError(error, playlistId, playlistName);
+        } finally {
+            actionControllerRef.current = null;
+            setIsShuffling(false);
+            setLoadingPlaylistIdForAction(null);
+        }
+    }, [token, loadingPlaylistIdForAction, isShuffling, getListItem, handleCloseTracks, startAction, loadAudioFeatures, recordUndo, updatePlaylistSnapshot, settleFailedRewrite, reportShuffleError]);
 
 
     const handleExportPlaylist = useCallback(async (playlistId, playlistName) => {
@@ -245,46 +1074,98 @@ function Spotify({ token, onLogout, key: refreshKey }) {
         setIsExporting(true);
         setLoadingPlaylistIdForAction(playlistId);
         setActivePlaylistIdForMenu(null);
-        setViewingTracksFor(null);
+        handleCloseTracks();
+        const signal = startAction();
         console.log(`Exporting playlist: ${playlistName} (${playlistId})`);
         try {
-            const trackItems = await fetchPlaylistTracks(token, playlistId); // uses token
+            const trackItems = await fetchSourceTracks(token, getListItem(playlistId), { signal }); // uses token
             if (!trackItems || trackItems.length === 0) {
                 alert("Cannot export an empty playlist.");
                 setIsExporting(false); setLoadingPlaylistIdForAction(null); return;
             }
             console.log(`Workspaceed ${trackItems.length} tracks for export.`);
-            exportTracksToCsv(trackItems, playlistName);
+            const audioFeatures = await loadAudioFeatures(trackItems, signal);
+            exportTracksToCsv(trackItems, playlistName, audioFeatures);
         } catch (error) {
             handleApiError(error, onLogout); // uses handleApiError, onLogout
         } finally {
+            actionControllerRef.current = null;
             setIsExporting(false); setLoadingPlaylistIdForAction(null);
         }
      // Added handleApiError, onLogout dependencies
-    }, [token, loadingPlaylistIdForAction, isExporting, handleApiError, onLogout]);
+    }, [token, loadingPlaylistIdForAction, isExporting, handleApiError, onLogout, handleCloseTracks, startAction, getListItem, loadAudioFeatures]);
+
+
+    // Saves the Edit Details form; resolves to true when everything was saved so the modal can close
+    const handleEditPlaylistDetails = useCallback(async (playlistId, { coverImage, ...details }) => {
+        if (!token) return false;
+        console.log(`Updating playlist ${playlistId}:`, { ...details, coverImage: coverImage ? 'new image' : undefined });
+        try {
+            await updatePlaylistDetails(token, playlistId, details);
+        } catch (error) {
+            console.error(`Updating details of ${playlistId} failed:`, error);
+            if (isSpotifySessionError(error)) handleApiError(error, onLogout);
+            else alert(`Could not update the playlist: ${describeError(error)}`);
+            return false;
+        }
+
+        const updates = {};
+        if (details.name !== undefined) updates.name = details.name;
+        if (details.description !== undefined) updates.description = details.description;
+        if (details.isPublic !== undefined) updates.public = details.isPublic;
+        if (details.collaborative !== undefined) updates.collaborative = details.collaborative;
+        setPlaylists(prev => prev.map(playlist => (playlist.id === playlistId ? { ...playlist, ...updates } : playlist)));
+        if (updates.name) updateViewedTracks(playlistId, { playlistName: updates.name });
+
+        if (!coverImage) return true;
+        try {
+            await uploadPlaylistCoverImage(token, playlistId, coverImage);
+            // Spotify processes uploads asynchronously; show the new cover right away
+            const images = [{ url: `data:image/jpeg;base64,${coverImage}` }];
+            setPlaylists(prev => prev.map(playlist => (playlist.id === playlistId ? { ...playlist, images } : playlist)));
+            return true;
+        } catch (error) {
+            console.error(`Uploading cover image for ${playlistId} failed:`, error);
+            if (isSpotifySessionError(error)) {
+                handleApiError(error, onLogout);
+                return false;
+            }
+            const scopeHint = error.status === 403 ? '\nIf you logged in before cover uploads were supported, log out and back in to grant the permission.' : '';
+            alert(`${Object.keys(updates).length > 0 ? 'The details were saved, but the' : 'The'} cover image could not be uploaded: ${describeError(error)}${scopeHint}`);
+            return false;
+        }
+    }, [token, handleApiError, onLogout, updateViewedTracks]);
 
 
     const handleRemoveDuplicates = useCallback(async (playlistId, playlistName) => {
         if (!token || loadingPlaylistIdForAction || isRemovingDuplicates) return;
+        if (isLibrarySource(getListItem(playlistId))) {
+            alert("Duplicates can only be removed from playlists.");
+            return;
+        }
         const confirmation = window.confirm(`Are you sure you want to remove duplicate tracks from "${playlistName}"?`);
         if (!confirmation) return;
 
         setIsRemovingDuplicates(true);
         setLoadingPlaylistIdForAction(playlistId);
         setActivePlaylistIdForMenu(null);
-        setViewingTracksFor(null);
+        handleCloseTracks();
+        const signal = startAction();
         console.log(`Checking for duplicates in: ${playlistName} (${playlistId})`);
+        let journalEntry = null;
+        let snapshotId = null;
         try {
-            const trackItems = await fetchPlaylistTracks(token, playlistId); // uses token
+            const trackItems = await fetchSourceTracks(token, getListItem(playlistId), { signal }); // uses token
             if (!trackItems || trackItems.length === 0) {
                 alert("Playlist is empty.");
                 setIsRemovingDuplicates(false); setLoadingPlaylistIdForAction(null); return;
             }
+            // Remove later occurrences by position; without positions Spotify would also remove the first one
             const seenTrackIds = new Set();
             const duplicatesToRemove = [];
-            trackItems.forEach(item => {
+            trackItems.forEach((item, position) => {
                 if (item?.track?.id && item?.track?.uri) {
-                    if (seenTrackIds.has(item.track.id)) duplicatesToRemove.push({ uri: item.track.uri });
+                    if (seenTrackIds.has(item.track.id)) duplicatesToRemove.push({ uri: item.track.uri, positions: [position] });
                     else seenTrackIds.add(item.track.id);
                 }
             });
@@ -293,19 +1174,204 @@ function Spotify({ token, onLogout, key: refreshKey }) {
                 alert("No duplicate tracks found.");
             } else {
                 console.log(`Found ${duplicatesToRemove.length} duplicate occurrences. Removing...`);
-                const result = await removeTracksFromPlaylist(token, playlistId, duplicatesToRemove); // uses token
+                snapshotId = getListItem(playlistId).snapshot_id || null;
+                journalEntry = recordUndo(playlistId, playlistName, 'Remove duplicates', trackItems, snapshotId);
+                const result = await removeTracksFromPlaylist(token, playlistId, duplicatesToRemove, { signal, snapshotId }); // uses token
                 if (result?.snapshot_id) {
                     alert(`${duplicatesToRemove.length} duplicate track occurrence(s) removed!`);
                     await handleFetchPlaylists(token); // uses handleFetchPlaylists
                 } else throw new Error("Duplicate removal confirmation missing.");
             }
         } catch (error) {
+            if (journalEntry) await settleFailedRewrite(error, playlistId, snapshotId, journalEntry);
             handleApiError(error, onLogout); // uses handleApiError, onLogout
         } finally {
+            actionControllerRef.current = null;
             setIsRemovingDuplicates(false); setLoadingPlaylistIdForAction(null);
         }
     // Added handleFetchPlaylists, handleApiError, onLogout dependencies
-    }, [token, loadingPlaylistIdForAction, isRemovingDuplicates, handleApiError, onLogout, handleFetchPlaylists]);
+    }, [token, loadingPlaylistIdForAction, isRemovingDuplicates, handleApiError, onLogout, handleFetchPlaylists, handleCloseTracks, startAction, getListItem, recordUndo, settleFailedRewrite]);
+
+
+    // --- Edit History ---
+    const handleRestoreEntry = useCallback(async (entry) => {
+        if (!token || restoringEntryId || loadingPlaylistIdForAction) return;
+        const when = new Date(entry.createdAt).toLocaleString();
+        const confirmation = window.confirm(`Restore "${entry.playlistName}" to how it was before "${entry.action}" (${when})?\n\nAll of its current tracks will be replaced.`);
+        if (!confirmation) return;
+
+        setRestoringEntryId(entry.id);
+        setLoadingPlaylistIdForAction(entry.playlistId);
+        console.log(`Restoring ${entry.playlistName} (${entry.playlistId}) to journal entry ${entry.id}...`);
+        const previousSnapshotId = getListItem(entry.playlistId).snapshot_id || null;
+        let journalEntry = null;
+        try {
+            // Record the current state too, so the restore itself can be undone
+            const currentItems = await fetchPlaylistTracks(token, entry.playlistId);
+            journalEntry = recordUndo(entry.playlistId, entry.playlistName, `Restore to ${when}`, currentItems, previousSnapshotId);
+
+            const { snapshot_id: snapshotId, skipped } = await replacePlaylistTracks(token, entry.playlistId, entry.uris);
+            const restoredCount = entry.uris.length - skipped;
+            updatePlaylistSnapshot(entry.playlistId, snapshotId, restoredCount - currentItems.length);
+            if (viewingTracksFor?.playlistId === entry.playlistId) {
+                updateViewedTracks(entry.playlistId, { items: await fetchPlaylistTracks(token, entry.playlistId) });
+            }
+            const skippedNote = skipped > 0 ? `\n${skipped} local or unavailable track(s) could not be restored.` : '';
+            alert(`"${entry.playlistName}" was restored with ${restoredCount} track(s).${skippedNote}`);
+        } catch (error) {
+            console.error(`Restoring ${entry.playlistId} failed:`, error);
+            if (journalEntry) await settleFailedRewrite(error, entry.playlistId, previousSnapshotId, journalEntry);
+            handleApiError(error, onLogout);
+        } finally {
+            setRestoringEntryId(null);
+            setLoadingPlaylistIdForAction(null);
+        }
+    }, [token, restoringEntryId, loadingPlaylistIdForAction, viewingTracksFor, recordUndo, getListItem, updatePlaylistSnapshot, updateViewedTracks, settleFailedRewrite, handleApiError, onLogout]);
+
+    const handleClearHistory = useCallback(() => {
+        if (!window.confirm("Delete all recorded playlist states? Changes made so far can no longer be undone.")) return;
+        clearJournal(currentUserId);
+    }, [currentUserId]);
+
+
+    // --- Delete (Unfollow) ---
+    // Unfollows the playlists in parallel (the request layer caps concurrency) and drops the
+    // successful ones from the list. Resolves to the errors of those that failed.
+    const unfollowPlaylists = useCallback(async (playlistIds) => {
+        const results = await Promise.allSettled(playlistIds.map(playlistId => unfollowPlaylist(token, playlistId)));
+        const removedIds = new Set(playlistIds.filter((_, index) => results[index].status === 'fulfilled'));
+        setPlaylists(prev => prev.filter(playlist => !removedIds.has(playlist.id)));
+        if (removedIds.has(viewingTracksFor?.playlistId)) handleCloseTracks();
+        if (removedIds.has(activePlaylistIdForMenu)) setActivePlaylistIdForMenu(null);
+        console.log(`Deleted ${removedIds.size} of ${playlistIds.length} playlist(s).`);
+        return results.filter(result => result.status === 'rejected').map(result => result.reason);
+    }, [token, viewingTracksFor, activePlaylistIdForMenu, handleCloseTracks]);
+
+    const handleUnfollowPlaylist = useCallback(async (playlistId, playlistName) => {
+        if (!token || loadingPlaylistIdForAction || isDeletingPlaylists) return;
+        const isOwned = getListItem(playlistId).owner?.id === currentUserId;
+        const question = isOwned
+            ? `Delete "${playlistName}"?\n\nIt can be recovered later from your Spotify account page.`
+            : `Remove "${playlistName}" from your library? You can follow it again later.`;
+        if (!window.confirm(question)) return;
+
+        setIsDeletingPlaylists(true);
+        setLoadingPlaylistIdForAction(playlistId);
+        try {
+            const [error] = await unfollowPlaylists([playlistId]);
+            if (error) handleApiError(error, onLogout);
+        } finally {
+            setIsDeletingPlaylists(false);
+            setLoadingPlaylistIdForAction(null);
+        }
+    }, [token, loadingPlaylistIdForAction, isDeletingPlaylists, currentUserId, getListItem, unfollowPlaylists, handleApiError, onLogout]);
+
+    const handleBulkDelete = useCallback(async (playlistIds) => {
+        if (!token || playlistIds.length === 0 || loadingPlaylistIdForAction || isDeletingPlaylists) return;
+        const confirmation = window.confirm(`Delete ${playlistIds.length} generated playlist(s)?\n\nThey can be recovered later from your Spotify account page.`);
+        if (!confirmation) return;
+
+        setIsDeletingPlaylists(true);
+        try {
+            const errors = await unfollowPlaylists(playlistIds);
+            const sessionError = errors.find(isSpotifySessionError);
+            if (sessionError) {
+                handleApiError(sessionError, onLogout);
+            } else if (errors.length > 0) {
+                alert(`Deleted ${playlistIds.length - errors.length} playlist(s); ${errors.length} could not be deleted:\n${describeError(errors[0])}`);
+            } else {
+                alert(`Deleted ${playlistIds.length} playlist(s).`);
+            }
+        } finally {
+            setIsDeletingPlaylists(false);
+        }
+    }, [token, loadingPlaylistIdForAction, isDeletingPlaylists, unfollowPlaylists, handleApiError, onLogout]);
+
+
+    const handleCopyToAccount = useCallback(async (playlistId, playlistName, targetAccountId) => {
+        if (!token || loadingPlaylistIdForAction || isCopyingToAccount) return;
+        const targetAccount = accounts.find(account => account.id === targetAccountId);
+        if (!targetAccount) {
+            alert("Target account not found. Please add it again from the sidebar.");
+            return;
+        }
+
+        setIsCopyingToAccount(true);
+        setLoadingPlaylistIdForAction(playlistId);
+        setActivePlaylistIdForMenu(null);
+        const signal = startAction();
+        console.log(`Copying "${playlistName}" (${playlistId}) to account ${targetAccountId}...`);
+        try {
+            // Step 1: Read tracks with the active account
+            const trackItems = await fetchSourceTracks(token, getListItem(playlistId), { signal });
+            if (!trackItems || trackItems.length === 0) {
+                alert("Cannot copy an empty playlist.");
+                return;
+            }
+            const copyable = collectCopyableTrackIds(trackItems);
+            const { trackIds } = copyable;
+
+            // Step 2: Create and fill the copy with the target account's own token
+            const sourceName = accounts.find(account => account.id === currentUserId)?.displayName || currentUserId;
+            try {
+                const targetToken = await getAccountAccessToken(targetAccountId);
+                const newPlaylist = await createPlaylist(targetToken, targetAccountId, playlistName, `Copied from ${sourceName} with Smart Shuffler`, { signal });
+                if (!newPlaylist?.id) throw new Error("Failed to create the playlist in the target account.");
+                await addTracksToPlaylist(targetToken, newPlaylist.id, trackIds, { signal });
+            } catch (targetError) {
+                // The target account's session failing must not log out the active account
+                if (targetError instanceof AuthError) {
+                    throw new ApiError(`The session for ${targetAccount.displayName} is no longer valid. Please remove and add the account again.`, { status: targetError.status, cause: targetError });
+                }
+                throw targetError;
+            }
+
+            alert(`Copied "${playlistName}" to ${targetAccount.displayName} with ${trackIds.length} tracks.${describeSkippedTracks(copyable)}`);
+        } catch (error) {
+            handleApiError(error, onLogout);
+        } finally {
+            actionControllerRef.current = null;
+            setIsCopyingToAccount(false); setLoadingPlaylistIdForAction(null);
+        }
+    }, [token, accounts, currentUserId, loadingPlaylistIdForAction, isCopyingToAccount, handleApiError, onLogout, startAction, getListItem]);
+
+
+    const handleDuplicatePlaylist = useCallback(async (playlistId, playlistName, { name, isPublic = false } = {}) => {
+        if (!token || !currentUserId || loadingPlaylistIdForAction || isDuplicating) return;
+        const copyName = name?.trim() || `${playlistName} (Copy)`;
+
+        setIsDuplicating(true);
+        setLoadingPlaylistIdForAction(playlistId);
+        setActivePlaylistIdForMenu(null);
+        const signal = startAction();
+        console.log(`Duplicating "${playlistName}" (${playlistId}) as "${copyName}"...`);
+        let newPlaylist = null;
+        try {
+            const trackItems = await fetchSourceTracks(token, getListItem(playlistId), { signal });
+            const copyable = collectCopyableTrackIds(trackItems || []);
+
+            newPlaylist = await createPlaylist(token, currentUserId, copyName, `Copy of "${playlistName}" made with Smart Shuffler`, { signal, isPublic });
+            if (!newPlaylist?.id) throw new Error("Failed to create the copy on Spotify.");
+            await addTracksToPlaylist(token, newPlaylist.id, copyable.trackIds, { signal }); // In order, so the copy matches
+
+            alert(`Created "${copyName}" with ${copyable.trackIds.length} tracks.${describeSkippedTracks(copyable)}`);
+            await handleFetchPlaylists(token);
+        } catch (error) {
+            if (isAbortError(error)) {
+                alert(newPlaylist
+                    ? `Duplicating "${playlistName}" was cancelled. The incomplete copy "${copyName}" was kept; delete it if you don't need it.`
+                    : `Duplicating "${playlistName}" was cancelled.`);
+                if (newPlaylist) await handleFetchPlaylists(token);
+                return;
+            }
+            console.error(`Duplicate failed for playlist ${playlistId}:`, error);
+            handleApiError(error, onLogout);
+        } finally {
+            actionControllerRef.current = null;
+            setIsDuplicating(false);
+            setLoadingPlaylistIdForAction(null);
+        }
+    }, [token, currentUserId, loadingPlaylistIdForAction, isDuplicating, handleApiError, onLogout, handleFetchPlaylists, startAction, getListItem]);
 
 
     // --- Render Logic ---
@@ -314,6 +1380,65 @@ function Spotify({ token, onLogout, key: refreshKey }) {
     if (!currentUserId && (isLoadingPlaylists || !playlists.length)) return <div className="loading-message">Loading user data and playlists...</div>;
 
     const isAnyActionRunning = !!loadingPlaylistIdForAction;
+    const otherAccounts = accounts.filter(account => account.id !== currentUserId);
+    const librarySources = playlists.filter(isLibrarySource);
+    const userPlaylists = playlists.filter(playlist => !isLibrarySource(playlist));
+    const isViewedPlaylistEditable = Boolean(viewingTracksFor) && canEditPlaylist(getListItem(viewingTracksFor.playlistId));
+    const historyEntries = historyFilter?.playlistId
+        ? journalEntries.filter(entry => entry.playlistId === historyFilter.playlistId)
+        : journalEntries;
+
+    const renderPlaylistItem = (playlist) => {
+        const isActionBusyOnThis = loadingPlaylistIdForAction === playlist.id;
+        const isShufflingThis = isActionBusyOnThis && isShuffling;
+        const isExportingThis = isActionBusyOnThis && isExporting;
+        const isCleaningThis = isActionBusyOnThis && isRemovingDuplicates;
+        const isCopyingThis = isActionBusyOnThis && isCopyingToAccount;
+        const isViewingThis = viewingTracksFor?.playlistId === playlist.id;
+        // Generated playlists the user can edit carry the parameters to reshuffle them with
+        const shuffleParams = canEditPlaylist(playlist) ? parseShuffleParams(playlist.description) : null;
+
+        return (
+            <PlaylistItem
+                key={playlist.id}
+                playlist={playlist}
+                isMenuActive={activePlaylistIdForMenu === playlist.id}
+                setActiveMenu={() => setActivePlaylistIdForMenu(playlist.id)}
+                clearActiveMenu={() => setActivePlaylistIdForMenu(null)}
+                isTrackViewActive={isViewingThis}
+                onViewTracks={() => handleViewTracksRequest(playlist.id, playlist.name)}
+                onShuffle={(moodOrData, options) => handleShufflePlaylist(playlist.id, playlist.name, moodOrData, options)}
+                onSplitByMood={() => handleSplitByMood(playlist.id, playlist.name)}
+                onMoodJourney={(stages) => handleMoodJourney(playlist.id, playlist.name, stages)}
+                onMoodBlend={(blend) => handleMoodBlend(playlist.id, playlist.name, blend)}
+                onLocalShuffle={(strategy, options) => handleLocalShuffle(playlist.id, playlist.name, strategy, options)}
+                canShuffleInPlace={canEditPlaylist(playlist)}
+                shuffleSeed={shuffleParams?.seed}
+                onReshuffle={shuffleParams?.source ? (options) => handleReshuffle(playlist.id, playlist.name, options) : null}
+                onExport={() => handleExportPlaylist(playlist.id, playlist.name)}
+                onClean={isLibrarySource(playlist) ? null : () => handleRemoveDuplicates(playlist.id, playlist.name)} // Library sources aren't editable
+                onEditDetails={canEditPlaylist(playlist) && playlist.owner?.id === currentUserId ? (changes) => handleEditPlaylistDetails(playlist.id, changes) : null}
+                onShowHistory={canEditPlaylist(playlist) ? () => setHistoryFilter({ playlistId: playlist.id, playlistName: playlist.name }) : null}
+                onDuplicate={(options) => handleDuplicatePlaylist(playlist.id, playlist.name, options)}
+                onUnfollow={isLibrarySource(playlist) ? null : () => handleUnfollowPlaylist(playlist.id, playlist.name)}
+                unfollowLabel={playlist.owner?.id === currentUserId ? 'Delete Playlist' : 'Unfollow Playlist'}
+                otherAccounts={otherAccounts}
+                onCopyToAccount={(accountId) => handleCopyToAccount(playlist.id, playlist.name, accountId)}
+                isLoadingTracks={isViewingThis && viewingTracksFor.isLoading}
+                isShufflingThis={isShufflingThis}
+                isExportingThis={isExportingThis}
+                isCleaningThis={isCleaningThis}
+                isCopyingThis={isCopyingThis}
+                isDeletingThis={isActionBusyOnThis && isDeletingPlaylists}
+                isDuplicatingThis={isActionBusyOnThis && isDuplicating}
+                isSplittingThis={isActionBusyOnThis && isSplittingByMood}
+                isBuildingJourneyThis={isActionBusyOnThis && isBuildingJourney}
+                isBlendingThis={isActionBusyOnThis && isBlending}
+                isAnyActionRunning={isAnyActionRunning}
+                onCancelAction={handleCancelAction}
+            />
+        );
+    };
 
     return (
         <>
@@ -323,58 +1448,89 @@ function Spotify({ token, onLogout, key: refreshKey }) {
                     {/* Header */}
                     <div className="playlist-header">
                         <h2>Your Playlists</h2>
-                        <button onClick={() => handleFetchPlaylists()} disabled={isLoadingPlaylists || isAnyActionRunning}>
-                            {isLoadingPlaylists ? 'Loading...' : 'Refresh'}
-                        </button>
+                        <div className="playlist-header-buttons">
+                            <button onClick={() => setIsCleanupOpen(prev => !prev)} className="secondary-header-button" title="Find and delete playlists created by Smart Shuffler">
+                                Clean Up{generatedPlaylists.length > 0 ? ` (${generatedPlaylists.length})` : ''}
+                            </button>
+                            <button onClick={() => setHistoryFilter(prev => (prev ? null : { playlistId: null }))} className="secondary-header-button">
+                                History{journalEntries.length > 0 ? ` (${journalEntries.length})` : ''}
+                            </button>
+                            <button onClick={() => handleFetchPlaylists()} disabled={isLoadingPlaylists || isAnyActionRunning}>
+                                {isLoadingPlaylists ? 'Loading...' : 'Refresh'}
+                            </button>
+                        </div>
                     </div>
+                    {isCleanupOpen && (
+                        <CleanupPanel
+                            playlists={generatedPlaylists}
+                            onDeleteSelected={handleBulkDelete}
+                            isDeleting={isDeletingPlaylists}
+                            disabled={isAnyActionRunning}
+                            onClose={() => setIsCleanupOpen(false)}
+                        />
+                    )}
+                    {historyFilter && (
+                        <HistoryPanel
+                            entries={historyEntries}
+                            filterPlaylistName={historyFilter.playlistId ? historyFilter.playlistName : null}
+                            onClearFilter={() => setHistoryFilter({ playlistId: null })}
+                            onRestore={handleRestoreEntry}
+                            onDelete={(entry) => removeJournalEntry(entry.id)}
+                            onClearAll={handleClearHistory}
+                            restoringEntryId={restoringEntryId}
+                            disabled={isAnyActionRunning}
+                            onClose={() => setHistoryFilter(null)}
+                        />
+                    )}
                     {/* Loading / Empty State */}
                     {isLoadingPlaylists && !playlists.length && <p className="loading-message">Loading playlists...</p>}
                     {!isLoadingPlaylists && playlists.length === 0 && (
                         <p className="empty-message">No playlists found. Try refreshing or create one.</p>
                     )}
+                    {libraryWarning && <p className="library-warning">{libraryWarning}</p>}
                     {/* Playlist List */}
-                    {!isLoadingPlaylists && playlists.length > 0 && (
+                    {/* Cached playlists stay visible (and usable) while the list revalidates */}
+                    {playlists.length > 0 && (
                         <ul className="playlist-list">
-                            {playlists.map((playlist) => {
-                                const isActionBusyOnThis = loadingPlaylistIdForAction === playlist.id;
-                                const isShufflingThis = isActionBusyOnThis && isShuffling;
-                                const isExportingThis = isActionBusyOnThis && isExporting;
-                                const isCleaningThis = isActionBusyOnThis && isRemovingDuplicates;
-                                const isViewingThis = viewingTracksFor?.playlistId === playlist.id;
-
-                                return (
-                                    <PlaylistItem
-                                        key={playlist.id}
-                                        playlist={playlist}
-                                        isMenuActive={activePlaylistIdForMenu === playlist.id}
-                                        setActiveMenu={() => setActivePlaylistIdForMenu(playlist.id)}
-                                        clearActiveMenu={() => setActivePlaylistIdForMenu(null)}
-                                        isTrackViewActive={isViewingThis}
-                                        onViewTracks={() => handleViewTracksRequest(playlist.id, playlist.name)}
-                                        onShuffle={(moodOrData) => handleShufflePlaylist(playlist.id, playlist.name, moodOrData)}
-                                        onExport={() => handleExportPlaylist(playlist.id, playlist.name)}
-                                        onClean={() => handleRemoveDuplicates(playlist.id, playlist.name)}
-                                        isLoadingTracks={isViewingThis && viewingTracksFor.isLoading}
-                                        isShufflingThis={isShufflingThis}
-                                        isExportingThis={isExportingThis}
-                                        isCleaningThis={isCleaningThis}
-                                        isAnyActionRunning={isAnyActionRunning}
-                                    />
-                                );
-                            })}
+                            {librarySources.length > 0 && <li className="playlist-group-header">Your Library</li>}
+                            {librarySources.map(renderPlaylistItem)}
+                            {librarySources.length > 0 && userPlaylists.length > 0 && <li className="playlist-group-header">Playlists</li>}
+                            {userPlaylists.map(renderPlaylistItem)}
                         </ul>
                     )}
                 </div>
 
-                {/* Track View Panel */}
+                {/* Track View Panel (a pending shuffle preview comes first) */}
                 <div className="track-view-section">
-                    {viewingTracksFor ? (
+                    {shufflePreview ? (
+                        <ShufflePreview
+                            key={shufflePreview.id}
+                            sourceName={shufflePreview.sourceName}
+                            mood={shufflePreview.mood}
+                            initialName={shufflePreview.name}
+                            included={shufflePreview.included}
+                            excluded={shufflePreview.excluded}
+                            moodByTrackId={shufflePreview.moodByTrackId}
+                            unavailableCount={shufflePreview.unavailableCount}
+                            isSaving={shufflePreview.isSaving}
+                            onConfirm={handleConfirmShufflePreview}
+                            onCancel={() => setShufflePreview(null)}
+                        />
+                    ) : viewingTracksFor ? (
                         <TrackListView
                             playlistName={viewingTracksFor.playlistName}
                             tracks={viewingTracksFor.items}
                             isLoading={viewingTracksFor.isLoading}
                             onClose={handleCloseTracks}
                             hasError={viewingTracksFor.error}
+                            audioFeatures={viewingTracksFor.audioFeatures}
+                            featuresStatus={viewingTracksFor.featuresStatus}
+                            onReorder={isViewedPlaylistEditable ? handleReorderTracks : null}
+                            onRemoveTracks={isViewedPlaylistEditable ? handleRemoveTracks : null}
+                            onMoveTracks={isViewedPlaylistEditable ? handleMoveTracks : null}
+                            onCopyTracks={handleCopyTracks}
+                            targetPlaylists={copyTargets}
+                            savingMessage={viewingTracksFor.savingMessage || null}
                         />
                     ) : (
                         <div className="track-view-placeholder">
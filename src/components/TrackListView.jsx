@@ -1,14 +1,168 @@
 // src/components/TrackListView.jsx
-import React from 'react';
+import React, { useState, useMemo, useEffect } from 'react';
+import { AUDIO_FEATURE_COLUMNS, compareByAudioFeature } from '../utils/audioFeatureUtils';
 import './TrackListView.css'; // Create this CSS file
 
-function TrackListView({ playlistName, tracks, onClose, isLoading }) {
+const getArtistNames = (track) => track?.artists?.map(artist => artist.name).join(', ') || '';
+
+// Text columns; audio feature columns come from AUDIO_FEATURE_COLUMNS
+const TEXT_COLUMNS = [
+    { key: 'name', label: 'Name', getText: (track) => track?.name || '' },
+    { key: 'artist', label: 'Artist', getText: getArtistNames },
+];
+
+function TrackListView({
+    playlistName, tracks, onClose, isLoading, audioFeatures, featuresStatus,
+    onReorder, onRemoveTracks, onCopyTracks, onMoveTracks, targetPlaylists = [], savingMessage
+}) {
+    // null column = playlist order
+    const [sort, setSort] = useState({ column: null, direction: 'asc' });
+
+    // --- Selection & Drag State (positions in the playlist) ---
+    const [selected, setSelected] = useState(() => new Set());
+    const [lastClicked, setLastClicked] = useState(null); // Anchor for shift-click ranges
+    const [dragging, setDragging] = useState(false);
+    const [dropBefore, setDropBefore] = useState(null); // Position the dragged rows would be inserted before
+    const [targetPlaylistId, setTargetPlaylistId] = useState(''); // For Copy to / Move to
+
+    // Positions change whenever the track list does, so a selection can't carry over
+    useEffect(() => {
+        setSelected(new Set());
+        setLastClicked(null);
+    }, [tracks]);
+
+    // Dragging only makes sense in playlist order
+    const canReorder = typeof onReorder === 'function' && sort.column === null && !savingMessage;
+    const canRemove = typeof onRemoveTracks === 'function';
+    const canCopy = typeof onCopyTracks === 'function' && targetPlaylists.length > 0;
+    const canMove = typeof onMoveTracks === 'function' && targetPlaylists.length > 0;
+    const canSelect = !savingMessage && (canReorder || canRemove || canCopy || canMove);
+
+    // Drop a target that is no longer offered (renamed/deleted playlist, switched view)
+    useEffect(() => {
+        if (targetPlaylistId && !targetPlaylists.some(playlist => playlist.id === targetPlaylistId)) setTargetPlaylistId('');
+    }, [targetPlaylists, targetPlaylistId]);
+
+    const showFeatures = featuresStatus === 'ready' && Boolean(audioFeatures);
+
+    const sortedTracks = useMemo(() => {
+        if (!tracks) return tracks;
+        const indexed = tracks.map((item, index) => ({ item, index }));
+        const textColumn = TEXT_COLUMNS.find(column => column.key === sort.column);
+        const featureColumn = showFeatures && AUDIO_FEATURE_COLUMNS.find(column => column.key === sort.column);
+        if (textColumn) {
+            const sign = sort.direction === 'desc' ? -1 : 1;
+            indexed.sort((a, b) => sign * textColumn.getText(a.item?.track).localeCompare(textColumn.getText(b.item?.track)));
+        } else if (featureColumn) {
+            const compare = compareByAudioFeature(featureColumn, audioFeatures, sort.direction);
+            indexed.sort((a, b) => compare(a.item, b.item));
+        }
+        return indexed;
+    }, [tracks, sort, showFeatures, audioFeatures]);
+
+    // First click sorts ascending, second descending, third restores playlist order
+    const handleSort = (columnKey) => {
+        setSort(prev => {
+            if (prev.column !== columnKey) return { column: columnKey, direction: 'asc' };
+            if (prev.direction === 'asc') return { column: columnKey, direction: 'desc' };
+            return { column: null, direction: 'asc' };
+        });
+    };
+
+    // Click selects one row, Ctrl/Cmd-click toggles, Shift-click selects a range (as currently sorted)
+    const handleRowClick = (e, index) => {
+        if (!canSelect) return;
+        if (e.shiftKey && lastClicked !== null) {
+            const displayed = sortedTracks.map(row => row.index);
+            const [from, to] = [displayed.indexOf(lastClicked), displayed.indexOf(index)].sort((a, b) => a - b);
+            setSelected(new Set(displayed.slice(from, to + 1)));
+            return;
+        }
+        if (e.ctrlKey || e.metaKey) {
+            setSelected(prev => {
+                const next = new Set(prev);
+                if (next.has(index)) next.delete(index); else next.add(index);
+                return next;
+            });
+        } else {
+            setSelected(prev => (prev.size === 1 && prev.has(index) ? new Set() : new Set([index])));
+        }
+        setLastClicked(index);
+    };
+
+    const handleDragStart = (e, index) => {
+        // Dragging an unselected row moves just that row
+        if (!selected.has(index)) {
+            setSelected(new Set([index]));
+            setLastClicked(index);
+        }
+        setDragging(true);
+        e.dataTransfer.effectAllowed = 'move';
+        e.dataTransfer.setData('text/plain', String(index)); // Firefox won't start a drag without data
+    };
+
+    const handleDragOver = (e, index) => {
+        if (!dragging) return;
+        e.preventDefault();
+        e.dataTransfer.dropEffect = 'move';
+        // Upper half of a row drops before it, lower half after it
+        const rect = e.currentTarget.getBoundingClientRect();
+        const position = e.clientY < rect.top + rect.height / 2 ? index : index + 1;
+        if (position !== dropBefore) setDropBefore(position);
+    };
+
+    const handleDragEnd = () => {
+        setDragging(false);
+        setDropBefore(null);
+    };
+
+    const handleDrop = (e) => {
+        e.preventDefault();
+        const indices = [...selected];
+        const position = dropBefore;
+        handleDragEnd();
+        if (position === null || indices.length === 0) return;
+        onReorder(indices, position);
+    };
+
+    // Rows with missing track data keep their position, so they can be moved too
+    const getRowProps = (index, baseClass) => ({
+        className: [
+            baseClass,
+            selected.has(index) && 'selected',
+            dragging && dropBefore === index && 'drop-before',
+            dragging && dropBefore === index + 1 && index === tracks.length - 1 && 'drop-after',
+        ].filter(Boolean).join(' '),
+        draggable: canReorder,
+        onClick: (e) => handleRowClick(e, index),
+        'aria-selected': canSelect ? selected.has(index) : undefined,
+        onDragStart: canReorder ? (e) => handleDragStart(e, index) : undefined,
+        onDragOver: canReorder ? (e) => handleDragOver(e, index) : undefined,
+        onDrop: canReorder ? handleDrop : undefined,
+        onDragEnd: canReorder ? handleDragEnd : undefined,
+    });
+
+    const renderHeader = (column) => {
+        const isSorted = sort.column === column.key;
+        return (
+            <th
+                key={column.key}
+                className={`track-column-${column.key} sortable${isSorted ? ' sorted' : ''}`}
+                onClick={() => handleSort(column.key)}
+                aria-sort={isSorted ? (sort.direction === 'asc' ? 'ascending' : 'descending') : 'none'}
+                title={`Sort by ${column.label}`}
+            >
+                {column.label}{isSorted && (sort.direction === 'asc' ? ' ▲' : ' ▼')}
+            </th>
+        );
+    };
 
     if (isLoading) {
         return (
             <div className="track-list-view loading">
                  <h2>Loading tracks for "{playlistName}"...</h2>
-                {/* Optional: Add a spinner */}
+                {/* Closing while loading aborts the remaining page requests */}
+                <button onClick={onClose} className="cancel-button">Cancel</button>
             </div>
         );
     }
@@ -19,29 +173,120 @@ function TrackListView({ playlistName, tracks, onClose, isLoading }) {
         return null; // Or a "No tracks to display" message if preferred
     }
 
+    const columnCount = 3 + (showFeatures ? AUDIO_FEATURE_COLUMNS.length : 0) + (canRemove ? 1 : 0);
+
+    // --- Track Actions (positions are sorted so actions keep playlist order) ---
+    const selectedIndices = [...selected].sort((a, b) => a - b);
+
+    // Rows without track data have no URI, so they get an empty cell
+    const renderRemoveCell = (index, removable) => canRemove && (
+        <td className="track-row-actions">
+            {removable && (
+                <button
+                    className="track-remove-button"
+                    title="Remove this track from the playlist"
+                    disabled={Boolean(savingMessage)}
+                    onClick={(e) => { e.stopPropagation(); onRemoveTracks([index]); }}
+                >−</button>
+            )}
+        </td>
+    );
+
     return (
         <div className="track-list-view">
             <div className="track-view-header">
                 <h2>Tracks in "{playlistName}"</h2>
                 <button onClick={onClose} className="close-button" title="Close track view">×</button>
             </div>
-            <ul className="track-scroll-list">
-                {tracks.length > 0 ? (
-                    tracks.map((item, index) => (
-                        item?.track ? (
-                            <li key={item.track.id ? `${item.track.id}-${index}` : `track-${index}`} className="track-item">
-                                <span className="track-name">{item.track.name || 'N/A'}</span>
-                                <span className="track-artist">{item.track.artists?.map(artist => artist.name).join(', ') || 'N/A'}</span>
-                                {/* <span className="track-album">{item.track.album?.name || 'N/A'}</span> */}
-                            </li>
-                        ) : <li key={`missing-${index}`} className="track-item missing">Track data unavailable</li>
-                    ))
-                ) : (
-                    <li className="track-item empty">No tracks found in this playlist.</li>
-                )}
-            </ul>
+            {featuresStatus === 'loading' && <p className="track-features-status">Loading audio features...</p>}
+            {featuresStatus === 'unavailable' && <p className="track-features-status">Audio features are not available for this playlist.</p>}
+            {savingMessage ? (
+                <p className="track-reorder-hint">{savingMessage}</p>
+            ) : selected.size > 0 ? (
+                <div className="track-selection-bar">
+                    <span className="track-selection-count">{selected.size} selected</span>
+                    {canRemove && (
+                        <button className="track-action-button" onClick={() => onRemoveTracks(selectedIndices)}>Remove</button>
+                    )}
+                    {(canCopy || canMove) && (
+                        <>
+                            <select
+                                value={targetPlaylistId}
+                                onChange={(e) => setTargetPlaylistId(e.target.value)}
+                                aria-label="Target playlist"
+                            >
+                                <option value="">Choose playlist...</option>
+                                {targetPlaylists.map(playlist => (
+                                    <option key={playlist.id} value={playlist.id}>{playlist.name}</option>
+                                ))}
+                            </select>
+                            {canCopy && (
+                                <button
+                                    className="track-action-button"
+                                    disabled={!targetPlaylistId}
+                                    onClick={() => onCopyTracks(selectedIndices, targetPlaylistId)}
+                                >Copy to</button>
+                            )}
+                            {canMove && (
+                                <button
+                                    className="track-action-button"
+                                    disabled={!targetPlaylistId}
+                                    onClick={() => onMoveTracks(selectedIndices, targetPlaylistId)}
+                                >Move to</button>
+                            )}
+                        </>
+                    )}
+                    <button className="cancel-button" onClick={() => setSelected(new Set())}>Clear</button>
+                </div>
+            ) : canSelect && (
+                <p className="track-reorder-hint">
+                    {canReorder ? 'Drag rows to reorder. ' : typeof onReorder === 'function' ? 'Switch back to playlist order (#) to reorder tracks. ' : ''}
+                    Click a row to select it; Ctrl/Cmd-click or Shift-click to select several.
+                </p>
+            )}
+            <div className="track-scroll-list">
+                <table className={`track-table${canSelect ? ' selectable' : ''}${canReorder ? ' reorderable' : ''}${savingMessage ? ' saving' : ''}`}>
+                    <thead>
+                        <tr>
+                            <th className="track-column-index" onClick={() => setSort({ column: null, direction: 'asc' })} title="Playlist order">#</th>
+                            {TEXT_COLUMNS.map(renderHeader)}
+                            {showFeatures && AUDIO_FEATURE_COLUMNS.map(renderHeader)}
+                            {canRemove && <th className="track-row-actions" aria-label="Actions" />}
+                        </tr>
+                    </thead>
+                    <tbody>
+                        {sortedTracks.length > 0 ? (
+                            sortedTracks.map(({ item, index }) => {
+                                if (!item?.track) {
+                                    return (
+                                        <tr key={`missing-${index}`} {...getRowProps(index, 'track-item missing')}>
+                                            <td className="track-column-index">{index + 1}</td>
+                                            <td colSpan={columnCount - 1 - (canRemove ? 1 : 0)}>Track data unavailable</td>
+                                            {renderRemoveCell(index, false)}
+                                        </tr>
+                                    );
+                                }
+                                const features = audioFeatures?.[item.track.id];
+                                return (
+                                    <tr key={item.track.id ? `${item.track.id}-${index}` : `track-${index}`} {...getRowProps(index, 'track-item')}>
+                                        <td className="track-column-index">{index + 1}</td>
+                                        <td className="track-name">{item.track.name || 'N/A'}</td>
+                                        <td className="track-artist">{getArtistNames(item.track) || 'N/A'}</td>
+                                        {showFeatures && AUDIO_FEATURE_COLUMNS.map(column => (
+                                            <td key={column.key} className="track-feature">{features ? column.format(features) : ''}</td>
+                                        ))}
+                                        {renderRemoveCell(index, Boolean(item.track.uri))}
+                                    </tr>
+                                );
+                            })
+                        ) : (
+                            <tr className="track-item empty"><td colSpan={columnCount}>No tracks found in this playlist.</td></tr>
+                        )}
+                    </tbody>
+                </table>
+            </div>
         </div>
     );
 }
 
-export default TrackListView;
\ No newline at end of file
+export default TrackListView;
@@ -0,0 +1,158 @@
+// src/services/accountStore.js
+// Remembers every Spotify account logged in on this browser. The active account's tokens
+// live in the token store under 'spotify'; the others are kept here until switched to.
+import {
+    getStoredAccessToken, getRefreshToken, getTokenExpiry, getAccessToken,
+    setTokens, clearTokens, subscribe, EXPIRY_WARNING_MS
+} from './tokenStore';
+import { refreshSpotifyToken, refreshSpotifyTokenFor } from './auth';
+
+const ACCOUNTS_KEY = 'spotify_accounts';
+const ACTIVE_ACCOUNT_KEY = 'spotify_active_account';
+
+const readAccounts = () => {
+    try {
+        return JSON.parse(localStorage.getItem(ACCOUNTS_KEY)) || [];
+    } catch (e) {
+        console.warn("Could not parse stored Spotify accounts, resetting.");
+        return [];
+    }
+};
+
+const writeAccounts = (accounts) => {
+    localStorage.setItem(ACCOUNTS_KEY, JSON.stringify(accounts));
+};
+
+/**
+ * Copies the token store's current Spotify tokens into the active account record.
+ */
+const snapshotActiveTokens = () => {
+    const activeId = getActiveAccountId();
+    const accessToken = getStoredAccessToken('spotify');
+    if (!activeId || !accessToken) return;
+    writeAccounts(readAccounts().map(account => account.id === activeId
+        ? {
+            ...account,
+            accessToken,
+            refreshToken: getRefreshToken('spotify'),
+            expiresAt: getTokenExpiry('spotify'),
+        }
+        : account));
+};
+
+// Keep the active record current when its token is refreshed
+subscribe(({ type, provider }) => {
+    if (provider === 'spotify' && type === 'updated') snapshotActiveTokens();
+});
+
+// --- Reads ---
+
+/**
+ * @returns {string|null} The Spotify user ID of the active account.
+ */
+export const getActiveAccountId = () => localStorage.getItem(ACTIVE_ACCOUNT_KEY);
+
+/**
+ * Lists known accounts without their credentials.
+ * @returns {Array<{id: string, displayName: string, imageUrl: string|null}>}
+ */
+export const getAccounts = () => readAccounts().map(({ id, displayName, imageUrl }) => ({ id, displayName, imageUrl }));
+
+// --- Writes ---
+
+/**
+ * Registers (or updates) the account that the token store currently holds tokens for,
+ * and makes it active.
+ * @param {object} profile - Spotify user profile from fetchUser().
+ */
+export const upsertAccount = (profile) => {
+    if (!profile?.id) throw new Error("A Spotify profile with an ID is required to register an account.");
+    const record = {
+        id: profile.id,
+        displayName: profile.display_name || profile.id,
+        imageUrl: profile.images?.[0]?.url || null,
+    };
+    const accounts = readAccounts();
+    const index = accounts.findIndex(account => account.id === profile.id);
+    if (index === -1) accounts.push(record);
+    else accounts[index] = { ...accounts[index], ...record };
+    writeAccounts(accounts);
+    localStorage.setItem(ACTIVE_ACCOUNT_KEY, profile.id);
+    snapshotActiveTokens();
+};
+
+/**
+ * Saves the active account's tokens and detaches it, so the next login's tokens
+ * are not mistaken for it. Call before redirecting to add another account.
+ */
+export const prepareAccountAdd = () => {
+    snapshotActiveTokens();
+    localStorage.removeItem(ACTIVE_ACCOUNT_KEY);
+};
+
+/**
+ * Makes another known account active by loading its tokens into the token store.
+ * An expired token is loaded as-is; the token store's 'expired' event triggers the refresh.
+ * @param {string} accountId - Spotify user ID to switch to.
+ * @returns {string} The account's (possibly expired) access token.
+ * @throws {Error} If the account is unknown or has no stored token.
+ */
+export const switchAccount = (accountId) => {
+    snapshotActiveTokens();
+    const target = readAccounts().find(account => account.id === accountId);
+    if (!target?.accessToken) throw new Error(`No stored session for Spotify account ${accountId}. Please add it again.`);
+
+    // Clear first so the previous account's refresh token can't linger
+    clearTokens('spotify');
+    localStorage.setItem(ACTIVE_ACCOUNT_KEY, accountId);
+    setTokens('spotify', {
+        accessToken: target.accessToken,
+        expiresAt: target.expiresAt,
+        refreshToken: target.refreshToken,
+    });
+    return target.accessToken;
+};
+
+/**
+ * Forgets an account. Removing the active account also clears the token store's Spotify tokens.
+ * @param {string} accountId - Spotify user ID to remove.
+ * @returns {Array<object>} The remaining accounts (see getAccounts).
+ */
+export const removeAccount = (accountId) => {
+    writeAccounts(readAccounts().filter(account => account.id !== accountId));
+    if (getActiveAccountId() === accountId) {
+        localStorage.removeItem(ACTIVE_ACCOUNT_KEY);
+        clearTokens('spotify');
+    }
+    return getAccounts();
+};
+
+/**
+ * Forgets every account.
+ */
+export const clearAccounts = () => {
+    localStorage.removeItem(ACCOUNTS_KEY);
+    localStorage.removeItem(ACTIVE_ACCOUNT_KEY);
+};
+
+/**
+ * Returns a usable access token for any known account, refreshing it if needed.
+ * Refreshing a non-active account updates only its record, never the active session.
+ * @param {string} accountId - Spotify user ID.
+ * @returns {Promise<string>} The access token.
+ * @throws {Error} If the account is unknown or its token can't be refreshed.
+ */
+export const getAccountAccessToken = async (accountId) => {
+    if (accountId === getActiveAccountId()) {
+        return getAccessToken('spotify') || refreshSpotifyToken();
+    }
+    const account = readAccounts().find(a => a.id === accountId);
+    if (!account?.accessToken) throw new Error(`No stored session for Spotify account ${accountId}. Please add it again.`);
+    if (account.expiresAt && Date.now() < account.expiresAt - EXPIRY_WARNING_MS) return account.accessToken;
+    if (!account.refreshToken) throw new Error(`The session for ${account.displayName} has expired. Please add the account again.`);
+
+    console.log(`Refreshing token for inactive account ${accountId}...`);
+    const renewed = await refreshSpotifyTokenFor(account.refreshToken);
+    writeAccounts(readAccounts().map(a => a.id === accountId ? { ...a, ...renewed } : a));
+    return renewed.accessToken;
+};
@@ -0,0 +1,111 @@
+// src/services/amazonClient.js
+// Authenticated requests to Amazon Music with automatic token renewal via the local backend.
+import { getAccessToken, getStoredAccessToken, getRefreshToken, setTokens } from './tokenStore';
+import { getConfigValue } from './configService';
+import { AuthError, BackendUnavailableError } from './errors';
+
+/**
+ * @returns {string} Base URL of the local backend that holds the Amazon client secret (code exchange + refresh).
+ */
+export const getAmazonTokenApiUrl = () => getConfigValue('amazonTokenApiUrl');
+
+const RECONNECT_MESSAGE = 'Please reconnect your Amazon Music account.';
+
+// Shared in-flight refresh so parallel requests don't each hit the backend
+let refreshPromise = null;
+
+/**
+ * Exchanges the stored Amazon refresh token for a new access token via the backend.
+ * @returns {Promise<string>} The new access token.
+ * @throws {AuthError|BackendUnavailableError} If the refresh token is missing or rejected, or the backend is down.
+ */
+export const refreshAmazonToken = async () => {
+    const refreshToken = getRefreshToken('amazon');
+    if (!refreshToken) throw new AuthError(`Amazon session expired. ${RECONNECT_MESSAGE}`, { service: 'amazon' });
+    if (!refreshPromise) {
+        console.log("Refreshing Amazon access token...");
+        const refreshUrl = `${getAmazonTokenApiUrl()}/refresh_amazon_token`;
+        refreshPromise = fetch(refreshUrl, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ refresh_token: refreshToken }),
+        })
+            .catch((error) => {
+                throw new BackendUnavailableError(`Amazon token service is unreachable at ${refreshUrl}.`, { endpoint: refreshUrl, service: 'amazon', cause: error });
+            })
+            .then(async (res) => {
+                if (!res.ok) {
+                    const errorBody = await res.text();
+                    const message = `Amazon token refresh failed: ${res.status} - ${errorBody}`;
+                    if (res.status >= 500) throw new BackendUnavailableError(message, { status: res.status, endpoint: refreshUrl, service: 'amazon' });
+                    throw new AuthError(message, { status: res.status, endpoint: refreshUrl, service: 'amazon' });
+                }
+                return res.json();
+            })
+            .then((data) => {
+                if (!data.access_token) throw new AuthError('Amazon access_token not found in refresh response.', { service: 'amazon' });
+                setTokens('amazon', {
+                    accessToken: data.access_token,
+                    expiresIn: data.expires_in,
+                    refreshToken: data.refresh_token, // Amazon normally reuses the same refresh token
+                });
+                console.log("Amazon token refresh successful.");
+                return data.access_token;
+            })
+            .finally(() => { refreshPromise = null; });
+    }
+    return refreshPromise;
+};
+
+/**
+ * Returns a usable Amazon access token, refreshing first if the stored one has expired.
+ * @returns {Promise<string>} The access token.
+ * @throws {AuthError|BackendUnavailableError} If not connected, or the token is expired and can't be refreshed.
+ */
+const getUsableAmazonToken = async () => {
+    const token = getAccessToken('amazon');
+    if (token) return token;
+    if (!getStoredAccessToken('amazon')) {
+        throw new AuthError('Amazon access token is missing. Please connect to Amazon.', { service: 'amazon' });
+    }
+    try {
+        return await refreshAmazonToken();
+    } catch (error) {
+        console.error("Amazon token refresh before request failed:", error);
+        if (error instanceof BackendUnavailableError) throw error; // Reconnecting won't help
+        throw new AuthError(`Amazon session expired and could not be renewed. ${RECONNECT_MESSAGE}`, { service: 'amazon', cause: error });
+    }
+};
+
+/**
+ * fetch() wrapper for Amazon Music API calls. Adds the bearer token, and on a 401
+ * refreshes the token once and retries before giving up.
+ * @param {string} url - Request URL.
+ * @param {object} [options={}] - fetch options.
+ * @returns {Promise<Response>} The (possibly retried) response. Non-401 errors are left to the caller.
+ * @throws {AuthError|BackendUnavailableError} If no usable token can be obtained.
+ */
+export const amazonFetch = async (url, options = {}) => {
+    const send = (token) => fetch(url, {
+        ...options,
+        headers: { ...options.headers, Authorization: `Bearer ${token}` },
+    });
+
+    const response = await send(await getUsableAmazonToken());
+    if (response.status !== 401) return response;
+
+    console.warn(`Amazon request returned 401, attempting token refresh: ${url}`);
+    let newToken;
+    try {
+        newToken = await refreshAmazonToken();
+    } catch (error) {
+        console.error("Amazon token refresh after 401 failed:", error);
+        if (error instanceof BackendUnavailableError) throw error;
+        throw new AuthError(`Your Amazon access token is invalid or expired. ${RECONNECT_MESSAGE}`, { status: 401, endpoint: url, service: 'amazon', cause: error });
+    }
+    const retried = await send(newToken);
+    if (retried.status === 401) {
+        throw new AuthError(`Amazon rejected the renewed access token. ${RECONNECT_MESSAGE}`, { status: 401, endpoint: url, service: 'amazon' });
+    }
+    return retried;
+};
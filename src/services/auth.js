@@ -1,31 +1,218 @@
-export const getToken = () => {
-  const hash = window.location.hash;
-  let token = localStorage.getItem('spotify_access_token');
-
-  if (!token && hash) {
-    const params = new URLSearchParams(hash.substring(1));
-    const accessToken = params.get('access_token');
-    if (accessToken) {
-      token = accessToken;
-      const expiresIn = params.get('expires_in');
-      const expiryTime = new Date().getTime() + expiresIn * 1000;
-
-      localStorage.setItem('spotify_access_token', token);
-      localStorage.setItem('spotify_token_expiry_time', expiryTime);
-      window.location.hash = '';
+// src/services/auth.js
+// Spotify Authorization Code + PKCE flow: login URL, code exchange and token refresh.
+import { setTokens, getRefreshToken, getStoredAccessToken } from './tokenStore';
+import { createOAuthState } from './oauthState';
+import { getConfigValue } from './configService';
+import { ApiError, AuthError } from './errors';
+
+// Client ID and redirect URI are read from runtime config (Settings page); the redirect URI
+// must match the Spotify Dev dashboard
+const AUTH_ENDPOINT = 'https://accounts.spotify.com/authorize';
+const TOKEN_ENDPOINT = 'https://accounts.spotify.com/api/token';
+export const SCOPES = [
+    'playlist-read-private', 'playlist-read-collaborative',
+    'playlist-modify-private', 'playlist-modify-public',
+    'user-read-private', // Added scope often needed for user ID
+    'user-library-read', // Liked Songs and saved albums as shuffle/export sources
+    'user-follow-read', // Followed artists, whose discographies are offered as sources
+    'ugc-image-upload', // Custom playlist cover images
+];
+
+const CODE_VERIFIER_KEY = 'spotify_code_verifier';
+
+// --- PKCE Helpers ---
+
+/**
+ * Generates a random PKCE code verifier (RFC 7636: 43-128 unreserved characters).
+ * @param {number} [length=64] - Length of the verifier.
+ * @returns {string} The code verifier.
+ */
+export const generateCodeVerifier = (length = 64) => {
+    const possible = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789-._~';
+    const values = window.crypto.getRandomValues(new Uint8Array(length));
+    return Array.from(values, (value) => possible[value % possible.length]).join('');
+};
+
+/**
+ * Derives the S256 code challenge for a code verifier.
+ * @param {string} verifier - The PKCE code verifier.
+ * @returns {Promise<string>} Base64url-encoded SHA-256 digest of the verifier.
+ */
+export const generateCodeChallenge = async (verifier) => {
+    const digest = await window.crypto.subtle.digest('SHA-256', new TextEncoder().encode(verifier));
+    return btoa(String.fromCharCode(...new Uint8Array(digest)))
+        .replace(/\+/g, '-')
+        .replace(/\//g, '_')
+        .replace(/=+$/, '');
+};
+
+// --- Token Storage ---
+
+/**
+ * Persists a Spotify token response. Spotify may omit refresh_token on refresh,
+ * in which case the existing one stays valid.
+ * @param {object} data - Token endpoint response ({ access_token, expires_in, refresh_token? }).
+ * @returns {string} The new access token.
+ */
+const storeSpotifyTokens = (data) => {
+    if (!data?.access_token) throw new Error('Spotify access_token not found in token response.');
+    setTokens('spotify', {
+        accessToken: data.access_token,
+        expiresIn: data.expires_in || 3600,
+        refreshToken: data.refresh_token,
+    });
+    return data.access_token;
+};
+
+// --- Flow ---
+
+/**
+ * Builds the Spotify authorize URL and stores the code verifier for the callback.
+ * @returns {Promise<string>} The URL to redirect the browser to.
+ */
+export const buildSpotifyAuthUrl = async () => {
+    const verifier = generateCodeVerifier();
+    const challenge = await generateCodeChallenge(verifier);
+    localStorage.setItem(CODE_VERIFIER_KEY, verifier);
+
+    const params = new URLSearchParams({
+        client_id: getConfigValue('spotifyClientId'),
+        response_type: 'code',
+        redirect_uri: getConfigValue('spotifyRedirectUri'),
+        scope: SCOPES.join(' '),
+        code_challenge_method: 'S256',
+        code_challenge: challenge,
+        state: createOAuthState('spotify'),
+        show_dialog: 'true',
+    });
+    return `${AUTH_ENDPOINT}?${params.toString()}`;
+};
+
+/**
+ * Posts a form-encoded request to the Spotify token endpoint.
+ * @param {object} body - Form fields.
+ * @returns {Promise<object>} The token response JSON.
+ * @throws {AuthError|ApiError} AuthError if the grant was rejected, ApiError otherwise.
+ */
+const requestSpotifyToken = async (body) => {
+    const res = await fetch(TOKEN_ENDPOINT, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+        body: new URLSearchParams(body).toString(),
+    });
+    if (!res.ok) {
+        let errorData = {}; try { errorData = await res.json(); } catch (e) {}
+        console.error(`Spotify token endpoint error (${body.grant_type}):`, res.status, errorData);
+        const message = `Spotify token request failed (${res.status}): ${errorData.error_description || errorData.error || res.statusText}`;
+        // 400/401 mean the code or refresh token was rejected (e.g., invalid_grant): the user must log in again
+        if (res.status === 400 || res.status === 401) throw new AuthError(message, { status: res.status, service: 'spotify' });
+        throw new ApiError(message, { status: res.status, service: 'spotify', retryable: res.status >= 500 });
     }
-  }
+    return res.json();
+};
+
+/**
+ * Exchanges an authorization code for tokens using the stored code verifier.
+ * @param {string} code - The authorization code from the callback.
+ * @returns {Promise<string>} The new access token.
+ * @throws {Error} If the verifier is missing or the exchange fails.
+ */
+export const exchangeSpotifyCode = async (code) => {
+    const verifier = localStorage.getItem(CODE_VERIFIER_KEY);
+    if (!verifier) throw new AuthError('PKCE code verifier missing. Please start the login again.', { service: 'spotify' });
+    const data = await requestSpotifyToken({
+        grant_type: 'authorization_code',
+        code,
+        redirect_uri: getConfigValue('spotifyRedirectUri'),
+        client_id: getConfigValue('spotifyClientId'),
+        code_verifier: verifier,
+    });
+    localStorage.removeItem(CODE_VERIFIER_KEY);
+    return storeSpotifyTokens(data);
+};
 
-  const expiryTime = localStorage.getItem('spotify_token_expiry_time');
-  if (token && expiryTime && new Date().getTime() > expiryTime) {
-    logout();
-    return null;
-  }
+/**
+ * Refreshes an arbitrary Spotify refresh token without touching the active session
+ * (used for accounts other than the active one).
+ * @param {string} refreshToken - The refresh token to use.
+ * @returns {Promise<{accessToken: string, expiresAt: number, refreshToken: string}>}
+ * @throws {Error} If the refresh fails.
+ */
+export const refreshSpotifyTokenFor = async (refreshToken) => {
+    const data = await requestSpotifyToken({
+        grant_type: 'refresh_token',
+        refresh_token: refreshToken,
+        client_id: getConfigValue('spotifyClientId'),
+    });
+    return {
+        accessToken: data.access_token,
+        expiresAt: Date.now() + (parseInt(data.expires_in, 10) || 3600) * 1000,
+        refreshToken: data.refresh_token || refreshToken,
+    };
+};
+
+// Shared in-flight refresh so concurrent callers don't burn the refresh token twice: { refreshToken, promise }.
+// It belongs to the refresh token it used, so a refresh started before an account switch is never
+// handed to (or stored for) the account switched to.
+let inFlightRefresh = null;
+// Access token -> the one a refresh replaced it with, so work that started with an older token
+// (a long migration or shuffle) carries on with the current one
+const renewedTokens = new Map();
+
+/**
+ * Uses the stored refresh token to obtain a new access token. If another account became active
+ * meanwhile, the new token is returned without being stored.
+ * @returns {Promise<string>} The new access token.
+ * @throws {Error} If no refresh token is stored or the refresh fails.
+ */
+export const refreshSpotifyToken = async () => {
+    const refreshToken = getRefreshToken('spotify');
+    if (!refreshToken) throw new AuthError('No Spotify refresh token available. Please log in again.', { service: 'spotify' });
+    if (inFlightRefresh?.refreshToken !== refreshToken) {
+        console.log('Refreshing Spotify access token...');
+        const previousToken = getStoredAccessToken('spotify');
+        const promise = requestSpotifyToken({
+            grant_type: 'refresh_token',
+            refresh_token: refreshToken,
+            client_id: getConfigValue('spotifyClientId'),
+        })
+            .then((data) => {
+                if (getRefreshToken('spotify') !== refreshToken) {
+                    console.warn('Spotify account changed during the token refresh; the new token was not stored.');
+                    return data.access_token;
+                }
+                const newToken = storeSpotifyTokens(data);
+                if (previousToken && previousToken !== newToken) renewedTokens.set(previousToken, newToken);
+                return newToken;
+            })
+            .finally(() => {
+                if (inFlightRefresh?.promise === promise) inFlightRefresh = null;
+            });
+        inFlightRefresh = { refreshToken, promise };
+    }
+    return inFlightRefresh.promise;
+};
 
-  return token;
+/**
+ * @param {string} token - A Spotify access token a caller is holding.
+ * @returns {string} The token that refreshes have replaced it with, or `token` if it is still the latest.
+ */
+export const getRenewedSpotifyToken = (token) => {
+    let latest = token;
+    while (renewedTokens.has(latest)) latest = renewedTokens.get(latest);
+    return latest;
 };
 
-export const logout = () => {
-  localStorage.removeItem('spotify_access_token');
-  localStorage.removeItem('spotify_token_expiry_time');
-};
\ No newline at end of file
+/**
+ * Gets a new access token after Spotify rejected `token` (401). Only the active session's token is
+ * refreshed; a token of another account (cross-account copy) can't be renewed here.
+ * @param {string} token - The rejected access token.
+ * @returns {Promise<string|null>} The new access token, or null if `token` isn't the active session's.
+ * @throws {AuthError|ApiError} If the refresh fails.
+ */
+export const renewRejectedSpotifyToken = async (token) => {
+    const latest = getRenewedSpotifyToken(token);
+    if (latest !== token) return latest; // Already refreshed since the caller got its token
+    if (token !== getStoredAccessToken('spotify')) return null;
+    return refreshSpotifyToken();
+};
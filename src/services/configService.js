@@ -0,0 +1,93 @@
+// src/services/configService.js
+// Runtime configuration: env-var defaults (REACT_APP_*) overridable from the Settings page,
+// plus health checks for the local backends.
+
+const CONFIG_STORAGE_KEY = 'smart_shuffler_config';
+const HEALTH_PATH = '/health';
+const HEALTH_TIMEOUT_MS = 5000;
+
+// Defaults come from the build environment, falling back to the original hard-coded values
+export const CONFIG_DEFAULTS = {
+    spotifyClientId: process.env.REACT_APP_SPOTIFY_CLIENT_ID || '1d71d19478764af89e8836b6b5240bd3',
+    spotifyRedirectUri: process.env.REACT_APP_SPOTIFY_REDIRECT_URI || 'https://smart-shuffler.vercel.app/callback',
+    moodApiUrl: process.env.REACT_APP_MOOD_API_URL || 'http://127.0.0.1:5001',
+    shuffleApiUrl: process.env.REACT_APP_SHUFFLE_API_URL || 'http://localhost:5000',
+    amazonTokenApiUrl: process.env.REACT_APP_AMAZON_TOKEN_API_URL || 'http://localhost:5001',
+};
+
+// Backends the app talks to, and the features that depend on each
+export const BACKENDS = [
+    { key: 'shuffleApiUrl', name: 'Shuffle Service', features: ['Mood shuffle'] },
+    { key: 'moodApiUrl', name: 'Mood Prediction Service', features: ['Webcam mood detection'] },
+    { key: 'amazonTokenApiUrl', name: 'Amazon Token Service', features: ['Amazon Music connect & token refresh'] },
+];
+
+const readOverrides = () => {
+    try {
+        return JSON.parse(localStorage.getItem(CONFIG_STORAGE_KEY)) || {};
+    } catch (e) {
+        console.warn("Could not parse stored configuration, using defaults.");
+        return {};
+    }
+};
+
+/**
+ * @returns {object} The effective configuration (defaults merged with saved overrides).
+ */
+export const getConfig = () => ({ ...CONFIG_DEFAULTS, ...readOverrides() });
+
+/**
+ * @param {string} key - A key of CONFIG_DEFAULTS.
+ * @returns {string} The effective value. URLs are returned without a trailing slash.
+ */
+export const getConfigValue = (key) => {
+    const value = getConfig()[key];
+    return key.endsWith('Url') ? String(value).replace(/\/+$/, '') : value;
+};
+
+/**
+ * Saves overrides. Values equal to the default (or empty) are dropped so env changes still apply.
+ * @param {object} values - Partial configuration.
+ * @returns {object} The new effective configuration.
+ */
+export const saveConfig = (values) => {
+    const overrides = { ...readOverrides() };
+    Object.entries(values).forEach(([key, value]) => {
+        if (!(key in CONFIG_DEFAULTS)) return;
+        const trimmed = String(value ?? '').trim();
+        if (!trimmed || trimmed === CONFIG_DEFAULTS[key]) delete overrides[key];
+        else overrides[key] = trimmed;
+    });
+    localStorage.setItem(CONFIG_STORAGE_KEY, JSON.stringify(overrides));
+    return getConfig();
+};
+
+/**
+ * Drops all overrides.
+ * @returns {object} The default configuration.
+ */
+export const resetConfig = () => {
+    localStorage.removeItem(CONFIG_STORAGE_KEY);
+    return getConfig();
+};
+
+/**
+ * Pings a backend's health endpoint.
+ * @param {string} baseUrl - Backend base URL.
+ * @returns {Promise<{ok: boolean, status: number|null, latencyMs: number|null, error: string|null}>}
+ *   Never rejects; failures are reported in the result.
+ */
+export const checkBackendHealth = async (baseUrl) => {
+    const controller = new AbortController();
+    const timeoutId = setTimeout(() => controller.abort(), HEALTH_TIMEOUT_MS);
+    const startedAt = Date.now();
+    try {
+        const res = await fetch(`${String(baseUrl).replace(/\/+$/, '')}${HEALTH_PATH}`, { signal: controller.signal });
+        return { ok: res.ok, status: res.status, latencyMs: Date.now() - startedAt, error: res.ok ? null : res.statusText || `HTTP ${res.status}` };
+    } catch (error) {
+        const message = error.name === 'AbortError' ? `No response within ${HEALTH_TIMEOUT_MS / 1000}s` : error.message;
+        return { ok: false, status: null, latencyMs: null, error: message };
+    } finally {
+        clearTimeout(timeoutId);
+    }
+};
@@ -0,0 +1,103 @@
+// src/services/errors.js
+// Error types thrown by the service layer so callers can branch on properties instead of messages.
+
+/**
+ * Error from an HTTP API call.
+ * @property {number|null} status - HTTP status, or null for network failures.
+ * @property {string|null} endpoint - Method and path that failed (e.g., "POST /playlists/{id}/tracks").
+ * @property {string|null} service - Which API failed: 'spotify', 'youtube', 'amazon', 'shuffle' or 'mood'.
+ * @property {boolean} retryable - Whether retrying later may succeed (429, 5xx, network).
+ * @property {number|null} retryAfterMs - Server-requested wait for 429 responses.
+ */
+export class ApiError extends Error {
+    constructor(message, { status = null, endpoint = null, service = null, retryable = false, retryAfterMs = null, cause } = {}) {
+        super(message);
+        this.name = 'ApiError';
+        this.status = status;
+        this.endpoint = endpoint;
+        this.service = service;
+        this.retryable = retryable;
+        this.retryAfterMs = retryAfterMs;
+        if (cause) this.cause = cause;
+    }
+}
+
+/**
+ * The credentials for `service` are missing, expired or were rejected (401).
+ * Only a Spotify AuthError ends the app session; other services just need reconnecting.
+ */
+export class AuthError extends ApiError {
+    constructor(message, options = {}) {
+        super(message, options);
+        this.name = 'AuthError';
+    }
+}
+
+/**
+ * Still rate limited (429) after the request layer's retries were used up.
+ */
+export class RateLimitError extends ApiError {
+    constructor(message, options = {}) {
+        super(message, { retryable: true, ...options });
+        this.name = 'RateLimitError';
+    }
+}
+
+/**
+ * The requested resource does not exist (404), e.g., a playlist deleted in another client.
+ */
+export class NotFoundError extends ApiError {
+    constructor(message, options = {}) {
+        super(message, options);
+        this.name = 'NotFoundError';
+    }
+}
+
+/**
+ * One of our own backends (shuffle, mood prediction, Amazon token service) is unreachable or failing.
+ */
+export class BackendUnavailableError extends ApiError {
+    constructor(message, options = {}) {
+        super(message, { retryable: true, ...options });
+        this.name = 'BackendUnavailableError';
+    }
+}
+
+/**
+ * Invalid input detected before any request was sent (missing IDs, unknown mood, empty playlist...).
+ */
+export class ValidationError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'ValidationError';
+    }
+}
+
+/**
+ * Picks the error class matching an HTTP status.
+ * @param {string} message - Error message.
+ * @param {object} options - ApiError options; `status` selects the class.
+ * @returns {ApiError} An AuthError, NotFoundError, RateLimitError or plain ApiError.
+ */
+export const createHttpError = (message, options = {}) => {
+    switch (options.status) {
+        case 401: return new AuthError(message, options);
+        case 404: return new NotFoundError(message, options);
+        case 429: return new RateLimitError(message, options);
+        default: return new ApiError(message, options);
+    }
+};
+
+/**
+ * True for the error a request rejects with after its AbortSignal fires (i.e., the user cancelled).
+ * Callers should stop quietly instead of reporting it.
+ * @param {*} error - Any caught error.
+ * @returns {boolean}
+ */
+export const isAbortError = (error) => error?.name === 'AbortError';
+
+/**
+ * @param {AbortSignal} [signal] - An aborted signal.
+ * @returns {Error} The signal's abort reason, or a DOMException named 'AbortError'.
+ */
+export const createAbortError = (signal) => signal?.reason ?? new DOMException('The operation was aborted.', 'AbortError');
@@ -1,16 +1,17 @@
+import { requireAccessToken } from './tokenStore';
+import { amazonFetch } from './amazonClient';
+import { createHttpError } from './errors';
+
 export const fetchYouTubePlaylists = async () => {
-    const token = localStorage.getItem('youtube_access_token');
-    if (!token) {
-      throw new Error('YouTube access token is missing. Please connect to YouTube.');
-    }
+    const token = requireAccessToken('youtube', 'YouTube');
   
     const response = await fetch('https://www.googleapis.com/youtube/v3/playlists?part=snippet,contentDetails&mine=true', {
       headers: { Authorization: `Bearer ${token}` },
     });
   
     if (!response.ok) {
-      const errorData = await response.json();
-      throw new Error(`Failed to fetch YouTube playlists: ${errorData.error.message}`);
+      const errorData = await response.json().catch(() => ({}));
+      throw createHttpError(`Failed to fetch YouTube playlists: ${errorData.error?.message || response.statusText}`, { status: response.status, service: 'youtube' });
     }
   
     const data = await response.json();
@@ -22,18 +23,12 @@ export const fetchYouTubePlaylists = async () => {
   };
   
   export const fetchAmazonPlaylists = async () => {
-    const token = localStorage.getItem('amazon_access_token');
-    if (!token) {
-      throw new Error('Amazon access token is missing. Please connect to Amazon.');
-    }
-  
-    const response = await fetch('https://api.amazonmusic.com/playlists', {
-      headers: { Authorization: `Bearer ${token}` },
-    });
+    // amazonFetch renews an expired token (or retries after a 401) before giving up
+    const response = await amazonFetch('https://api.amazonmusic.com/playlists');
   
     if (!response.ok) {
-      const errorData = await response.json();
-      throw new Error(`Failed to fetch Amazon playlists: ${errorData.error.message}`);
+      const errorData = await response.json().catch(() => ({}));
+      throw createHttpError(`Failed to fetch Amazon playlists: ${errorData.error?.message || response.statusText}`, { status: response.status, service: 'amazon' });
     }
   
     const data = await response.json();
@@ -0,0 +1,169 @@
+// src/services/libraryCache.js
+// IndexedDB cache of the playlist list (per account), playlist tracks (per snapshot_id) and
+// audio features (per track; they never change).
+// Every function fails soft: without IndexedDB (private browsing, tests) reads miss and writes are skipped.
+
+const DB_NAME = 'smart_shuffler_library';
+const DB_VERSION = 2; // 2: audio features store
+const PLAYLISTS_STORE = 'playlists'; // { accountId, items, fetchedAt }
+const TRACKS_STORE = 'tracks'; // { playlistId, snapshotId, items, fetchedAt }
+const AUDIO_FEATURES_STORE = 'audioFeatures'; // { trackId, features } (features null if Spotify has none)
+
+let dbPromise = null;
+
+const openDb = () => {
+    if (!dbPromise) {
+        dbPromise = new Promise((resolve, reject) => {
+            if (typeof indexedDB === 'undefined') {
+                reject(new Error('IndexedDB is not available in this browser.'));
+                return;
+            }
+            const request = indexedDB.open(DB_NAME, DB_VERSION);
+            request.onupgradeneeded = () => {
+                const db = request.result;
+                if (!db.objectStoreNames.contains(PLAYLISTS_STORE)) db.createObjectStore(PLAYLISTS_STORE, { keyPath: 'accountId' });
+                if (!db.objectStoreNames.contains(TRACKS_STORE)) db.createObjectStore(TRACKS_STORE, { keyPath: 'playlistId' });
+                if (!db.objectStoreNames.contains(AUDIO_FEATURES_STORE)) db.createObjectStore(AUDIO_FEATURES_STORE, { keyPath: 'trackId' });
+            };
+            request.onsuccess = () => {
+                const db = request.result;
+                // Another tab upgrading the schema: let go so it isn't blocked, reopen on next use
+                db.onversionchange = () => { db.close(); dbPromise = null; };
+                resolve(db);
+            };
+            request.onerror = () => reject(request.error);
+        });
+        dbPromise.catch(error => console.warn("Library cache unavailable, continuing without it:", error));
+    }
+    return dbPromise;
+};
+
+// Runs one request in its own transaction and resolves with its result once committed
+const withStore = async (storeName, mode, operation) => {
+    const db = await openDb();
+    return new Promise((resolve, reject) => {
+        const transaction = db.transaction(storeName, mode);
+        const request = operation(transaction.objectStore(storeName));
+        transaction.oncomplete = () => resolve(request.result);
+        transaction.onerror = () => reject(transaction.error);
+        transaction.onabort = () => reject(transaction.error);
+    });
+};
+
+// Runs several requests in one transaction; collect() builds the result once it has committed
+const withStoreBatch = async (storeName, mode, operation, collect) => {
+    const db = await openDb();
+    return new Promise((resolve, reject) => {
+        const transaction = db.transaction(storeName, mode);
+        const requests = operation(transaction.objectStore(storeName));
+        transaction.oncomplete = () => resolve(collect ? collect(requests) : undefined);
+        transaction.onerror = () => reject(transaction.error);
+        transaction.onabort = () => reject(transaction.error);
+    });
+};
+
+// Cache failures are logged and swallowed; callers fall back to the network
+const safely = async (label, fallback, operation) => {
+    try {
+        return await operation();
+    } catch (error) {
+        console.warn(`Library cache ${label} failed:`, error);
+        return fallback;
+    }
+};
+
+// --- Playlists ---
+
+/**
+ * @param {string} accountId - Spotify user ID.
+ * @returns {Promise<{items: Array<object>, fetchedAt: number}|null>} The last fetched playlist list, or null.
+ */
+export const getCachedPlaylists = (accountId) => safely('read (playlists)', null, async () => {
+    if (!accountId) return null;
+    const record = await withStore(PLAYLISTS_STORE, 'readonly', store => store.get(accountId));
+    return record ? { items: record.items, fetchedAt: record.fetchedAt } : null;
+});
+
+/**
+ * @param {string} accountId - Spotify user ID.
+ * @param {Array<object>} items - Playlist objects from fetchPlaylists (each carries its snapshot_id).
+ * @returns {Promise<void>}
+ */
+export const setCachedPlaylists = (accountId, items) => safely('write (playlists)', undefined, async () => {
+    if (!accountId || !Array.isArray(items)) return;
+    await withStore(PLAYLISTS_STORE, 'readwrite', store => store.put({ accountId, items, fetchedAt: Date.now() }));
+});
+
+// --- Tracks ---
+
+/**
+ * @param {string} playlistId - Spotify playlist ID.
+ * @param {string} snapshotId - The playlist's current snapshot_id.
+ * @returns {Promise<Array<object>|null>} Cached track items, or null if missing or cached for another snapshot.
+ */
+export const getCachedTracks = (playlistId, snapshotId) => safely('read (tracks)', null, async () => {
+    if (!playlistId || !snapshotId) return null;
+    const record = await withStore(TRACKS_STORE, 'readonly', store => store.get(playlistId));
+    return record?.snapshotId === snapshotId ? record.items : null;
+});
+
+/**
+ * @param {string} playlistId - Spotify playlist ID.
+ * @param {string} snapshotId - The snapshot_id the items belong to.
+ * @param {Array<object>} items - Playlist track items from fetchPlaylistTracks.
+ * @returns {Promise<void>}
+ */
+export const setCachedTracks = (playlistId, snapshotId, items) => safely('write (tracks)', undefined, async () => {
+    if (!playlistId || !snapshotId || !Array.isArray(items)) return;
+    await withStore(TRACKS_STORE, 'readwrite', store => store.put({ playlistId, snapshotId, items, fetchedAt: Date.now() }));
+});
+
+/**
+ * Drops a playlist's cached tracks (call after modifying it).
+ * @param {string} playlistId - Spotify playlist ID.
+ * @returns {Promise<void>}
+ */
+export const invalidateCachedTracks = (playlistId) => safely('invalidate (tracks)', undefined, async () => {
+    if (!playlistId) return;
+    await withStore(TRACKS_STORE, 'readwrite', store => store.delete(playlistId));
+});
+
+// --- Audio Features ---
+
+/**
+ * @param {Array<string>} trackIds - Spotify track IDs.
+ * @returns {Promise<object>} Map of trackId -> features (or null when Spotify has none) for the IDs found.
+ *   IDs missing from the result have never been fetched.
+ */
+export const getCachedAudioFeatures = (trackIds) => safely('read (audio features)', {}, async () => {
+    if (!trackIds?.length) return {};
+    return withStoreBatch(
+        AUDIO_FEATURES_STORE, 'readonly',
+        store => trackIds.map(trackId => store.get(trackId)),
+        requests => Object.fromEntries(requests
+            .map(request => request.result)
+            .filter(Boolean)
+            .map(record => [record.trackId, record.features]))
+    );
+});
+
+/**
+ * @param {object} featuresById - Map of trackId -> features (or null).
+ * @returns {Promise<void>}
+ */
+export const setCachedAudioFeatures = (featuresById) => safely('write (audio features)', undefined, async () => {
+    const entries = Object.entries(featuresById || {});
+    if (entries.length === 0) return;
+    await withStoreBatch(AUDIO_FEATURES_STORE, 'readwrite', store => entries.map(
+        ([trackId, features]) => store.put({ trackId, features })
+    ));
+});
+
+/**
+ * Empties the library part of the cache (on logout). Audio features aren't account data and are kept.
+ * @returns {Promise<void>}
+ */
+export const clearLibraryCache = () => safely('clear', undefined, async () => {
+    await withStore(PLAYLISTS_STORE, 'readwrite', store => store.clear());
+    await withStore(TRACKS_STORE, 'readwrite', store => store.clear());
+});
@@ -0,0 +1,118 @@
+// src/services/librarySources.js
+// Library sources (Liked Songs, saved albums, followed artists' discographies) presented as
+// playlist-like items so they flow through the same view/shuffle/export actions as playlists.
+// Each carries a `sourceType`; real playlists don't have one.
+import {
+    fetchSavedTracks, fetchSavedTracksSummary, fetchSavedAlbums, fetchFollowedArtists,
+    fetchAlbumTracks, fetchArtistTracks, fetchPlaylistTracksCached
+} from './spotifyService';
+import { getCachedTracks, setCachedTracks } from './libraryCache';
+import { isAbortError } from './errors';
+
+export const SOURCE_TYPES = {
+    LIKED: 'liked',
+    ALBUM: 'album',
+    ARTIST: 'artist',
+};
+
+export const SOURCE_LABELS = {
+    [SOURCE_TYPES.LIKED]: 'Liked Songs',
+    [SOURCE_TYPES.ALBUM]: 'Album',
+    [SOURCE_TYPES.ARTIST]: 'Artist',
+};
+
+/**
+ * @param {object} item - A playlist or library source.
+ * @returns {boolean} True for library sources, which can't be edited like playlists.
+ */
+export const isLibrarySource = (item) => Boolean(item?.sourceType);
+
+/**
+ * Lists the user's library sources. Each kind is fetched independently, so a missing scope
+ * (sessions from before these sources existed) only hides that kind.
+ * @param {string} token - The Spotify access token.
+ * @param {{signal?: AbortSignal}} [options] - Pass `signal` to cancel the requests.
+ * @returns {Promise<{sources: Array<object>, failed: Array<string>}>} Playlist-like sources, plus the
+ *   labels of kinds that could not be loaded.
+ */
+export const fetchLibrarySources = async (token, { signal } = {}) => {
+    const [liked, albums, artists] = await Promise.allSettled([
+        fetchSavedTracksSummary(token, { signal }),
+        fetchSavedAlbums(token, { signal }),
+        fetchFollowedArtists(token, { signal }),
+    ]);
+
+    const sources = [];
+    const failed = [];
+    const collect = (result, label, toSources) => {
+        if (result.status === 'fulfilled') {
+            sources.push(...toSources(result.value));
+            return;
+        }
+        if (isAbortError(result.reason)) throw result.reason;
+        console.warn(`Could not load ${label}:`, result.reason);
+        failed.push(label);
+    };
+
+    collect(liked, 'Liked Songs', ({ total, latestAddedAt }) => (total > 0 ? [{
+        id: 'liked',
+        name: 'Liked Songs',
+        sourceType: SOURCE_TYPES.LIKED,
+        tracks: { total },
+        // Changes whenever a song is liked or unliked (count or newest entry)
+        snapshot_id: `${total}:${latestAddedAt}`,
+    }] : []));
+
+    collect(albums, 'saved albums', (items) => items.filter(item => item?.album?.id).map(({ album }) => ({
+        id: `album:${album.id}`,
+        sourceId: album.id,
+        name: `${album.name} – ${album.artists?.map(artist => artist.name).join(', ') || 'Unknown artist'}`,
+        albumName: album.name,
+        sourceType: SOURCE_TYPES.ALBUM,
+        tracks: { total: album.total_tracks ?? album.tracks?.total ?? 0 },
+        snapshot_id: `album:${album.id}`, // Album track lists don't change
+    })));
+
+    collect(artists, 'followed artists', (items) => items.filter(artist => artist?.id).map(artist => ({
+        id: `artist:${artist.id}`,
+        sourceId: artist.id,
+        name: artist.name,
+        sourceType: SOURCE_TYPES.ARTIST,
+        tracks: null, // Unknown until the discography is fetched
+        snapshot_id: null, // New releases can't be detected cheaply, so never cached
+    })));
+
+    return { sources, failed };
+};
+
+// Serves a source's tracks from the library cache while its snapshot_id is unchanged
+const withTrackCache = async (item, fetchTracks) => {
+    if (item.snapshot_id) {
+        const cached = await getCachedTracks(item.id, item.snapshot_id);
+        if (cached) return cached;
+    }
+    const items = await fetchTracks();
+    if (item.snapshot_id) setCachedTracks(item.id, item.snapshot_id, items);
+    return items;
+};
+
+/**
+ * Fetches the tracks of a playlist or library source, as playlist track items ({ track }).
+ * @param {string} token - The Spotify access token.
+ * @param {object} item - A playlist (needs `id`, ideally `snapshot_id`) or a library source.
+ * @param {{signal?: AbortSignal}} [options] - Pass `signal` to cancel the requests.
+ * @returns {Promise<Array<object>>} Track items.
+ * @throws {AuthError|ValidationError|ApiError} If any API request fails.
+ */
+export const fetchSourceTracks = async (token, item, { signal } = {}) => {
+    switch (item?.sourceType) {
+        case SOURCE_TYPES.LIKED:
+            return withTrackCache(item, () => fetchSavedTracks(token, { signal }));
+        case SOURCE_TYPES.ALBUM:
+            return withTrackCache(item, () => fetchAlbumTracks(token, { id: item.sourceId, name: item.albumName }, { signal }));
+        case SOURCE_TYPES.ARTIST:
+            return fetchArtistTracks(token, item.sourceId, { signal });
+        default:
+            return fetchPlaylistTracksCached(token, item?.id, item?.snapshot_id || null, { signal });
+    }
+};
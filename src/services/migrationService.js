@@ -1,18 +1,22 @@
-export const fetchYouTubeTracks = async (playlistId) => {
-    const token = localStorage.getItem('youtube_access_token');
-    if (!token) throw new Error('YouTube access token is missing. Please connect to YouTube.');
+import { requireAccessToken } from './tokenStore';
+import { amazonFetch } from './amazonClient';
+import { AuthError, createHttpError } from './errors';
+
+export const fetchYouTubeTracks = async (playlistId, { signal } = {}) => {
+    const token = requireAccessToken('youtube', 'YouTube');
 
     const response = await fetch(`https://www.googleapis.com/youtube/v3/playlistItems?part=snippet&playlistId=${playlistId}`, {
         headers: { Authorization: `Bearer ${token}` },
+        signal,
     });
 
     if (!response.ok) {
         if (response.status === 401) {
-            alert('Your YouTube access token is invalid or expired. Please reconnect your YouTube account.');
+            throw new AuthError('Your YouTube access token is invalid or expired. Please reconnect your YouTube account.', { status: 401, service: 'youtube' });
         }
-        const errorData = await response.json();
+        const errorData = await response.json().catch(() => ({}));
         console.error('Error fetching YouTube tracks:', errorData);
-        throw new Error(`Failed to fetch YouTube tracks: ${errorData.error.message}`);
+        throw createHttpError(`Failed to fetch YouTube tracks: ${errorData.error?.message || response.statusText}`, { status: response.status, service: 'youtube' });
     }
 
     const data = await response.json();
@@ -23,21 +27,14 @@ export const fetchYouTubeTracks = async (playlistId) => {
     }));
 };
 
-export const fetchAmazonTracks = async (playlistId) => {
-    const token = localStorage.getItem('amazon_access_token');
-    if (!token) throw new Error('Amazon access token is missing. Please connect to Amazon.');
-
-    const response = await fetch(`https://api.amazonmusic.com/playlists/${playlistId}/tracks`, {
-        headers: { Authorization: `Bearer ${token}` },
-    });
+export const fetchAmazonTracks = async (playlistId, { signal } = {}) => {
+    // 401s are handled inside amazonFetch (refresh + retry, then a reconnect error)
+    const response = await amazonFetch(`https://api.amazonmusic.com/playlists/${playlistId}/tracks`, { signal });
 
     if (!response.ok) {
-        if (response.status === 401) {
-            alert('Your Amazon access token is invalid or expired. Please reconnect your Amazon Music account.');
-        }
-        const errorData = await response.json();
+        const errorData = await response.json().catch(() => ({}));
         console.error('Error fetching Amazon tracks:', errorData);
-        throw new Error(`Failed to fetch Amazon tracks: ${errorData.error.message}`);
+        throw createHttpError(`Failed to fetch Amazon tracks: ${errorData.error?.message || response.statusText}`, { status: response.status, service: 'amazon' });
     }
 
     const data = await response.json();
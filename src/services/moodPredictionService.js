@@ -1,31 +1,34 @@
 // src/services/moodPredictionService.js
 import axios from 'axios';
+import { getConfigValue } from './configService';
+import { ApiError, BackendUnavailableError, ValidationError, createAbortError } from './errors';
 
-// Define the base URL for your mood prediction backend
-const MOOD_PREDICTION_API_URL = 'http://127.0.0.1:5001'; // Adjust if needed
+// Base URL for the mood prediction backend is configurable on the Settings page
 
 /**
  * Sends a webcam screenshot (base64) to the mood prediction backend.
  * @param {string} base64Screenshot - The base64 encoded image string (e.g., from webcamRef.current.getScreenshot()).
+ * @param {{signal?: AbortSignal}} [options] - Pass `signal` to cancel the request.
  * @returns {Promise<string>} A promise that resolves with the predicted mood string (e.g., "Happy").
- * @throws {Error} Throws an error if the API call fails or doesn't return a valid mood.
+ * @throws {ValidationError|BackendUnavailableError|ApiError} If the image is missing, the backend is down, or no valid mood is returned.
  */
-export const predictMoodFromScreenshot = async (base64Screenshot) => {
+export const predictMoodFromScreenshot = async (base64Screenshot, { signal } = {}) => {
     if (!base64Screenshot) {
-        throw new Error("Screenshot data is missing.");
+        throw new ValidationError("Screenshot data is missing.");
     }
 
     console.log("Sending image to mood prediction API...");
+    const endpoint = `${getConfigValue('moodApiUrl')}/predict-face-mood`;
     try {
-        const response = await axios.post(`${MOOD_PREDICTION_API_URL}/predict-face-mood`, {
+        const response = await axios.post(endpoint, {
             image: base64Screenshot, // Send base64 image string
-        }, { timeout: 15000 }); // Add a timeout (e.g., 15 seconds)
+        }, { timeout: 15000, signal }); // Add a timeout (e.g., 15 seconds)
 
         const predictedMoodResult = response?.data?.mood; // Use optional chaining
 
         if (!predictedMoodResult || typeof predictedMoodResult !== 'string') {
             console.error("Invalid mood prediction response:", response.data);
-            throw new Error("Mood prediction API did not return a valid mood string.");
+            throw new ApiError("Mood prediction API did not return a valid mood string.", { endpoint, service: 'mood' });
         }
 
         // Optional: Capitalize mood here if the service should always return it capitalized
@@ -36,9 +39,13 @@ export const predictMoodFromScreenshot = async (base64Screenshot) => {
 
     } catch (error) {
         console.error("Error calling mood prediction API:", error.response?.data || error.message);
-        // Re-throw a more specific error or the original error
-        // This allows the calling component's error handler to catch it
-        throw new Error(`Failed to predict mood from image: ${error.response?.data?.error || error.message}`);
+        if (error instanceof ApiError) throw error;
+        if (axios.isCancel(error)) throw createAbortError(signal); // Normalise axios' CanceledError
+        const message = `Failed to predict mood from image: ${error.response?.data?.error || error.message}`;
+        // No response (timeout, connection refused) or a 5xx means the backend itself is down
+        const status = error.response?.status ?? null;
+        if (status === null || status >= 500) throw new BackendUnavailableError(message, { status, endpoint, service: 'mood', cause: error });
+        throw new ApiError(message, { status, endpoint, service: 'mood', cause: error });
     }
 };
 
@@ -0,0 +1,55 @@
+// src/services/oauthState.js
+// Per-request OAuth `state` nonces: generated when a login/connect link is followed,
+// remembered with the provider they belong to, and consumed once in Callback.
+
+const PENDING_STATES_KEY = 'oauth_pending_states';
+const STATE_TTL_MS = 10 * 60 * 1000; // Authorization round-trips older than this are rejected
+
+const readPendingStates = () => {
+    try {
+        return JSON.parse(localStorage.getItem(PENDING_STATES_KEY)) || {};
+    } catch (e) {
+        console.warn("Could not parse pending OAuth states, resetting.");
+        return {};
+    }
+};
+
+const writePendingStates = (states) => {
+    localStorage.setItem(PENDING_STATES_KEY, JSON.stringify(states));
+};
+
+const dropExpired = (states, now = Date.now()) => Object.fromEntries(
+    Object.entries(states).filter(([, entry]) => now - entry.createdAt < STATE_TTL_MS)
+);
+
+/**
+ * Creates and persists a random state nonce for an authorization request.
+ * @param {string} provider - The provider the request is for ('spotify', 'youtube', 'amazon').
+ * @returns {string} The nonce to send as the `state` parameter.
+ */
+export const createOAuthState = (provider) => {
+    const bytes = window.crypto.getRandomValues(new Uint8Array(16));
+    const nonce = Array.from(bytes, (b) => b.toString(16).padStart(2, '0')).join('');
+    const states = dropExpired(readPendingStates());
+    states[nonce] = { provider, createdAt: Date.now() };
+    writePendingStates(states);
+    return nonce;
+};
+
+/**
+ * Verifies a state returned to the callback and removes it so it can't be replayed.
+ * @param {string|null} state - The `state` parameter from the callback URL.
+ * @returns {string} The provider the state was issued for.
+ * @throws {Error} If the state is missing, unknown or stale.
+ */
+export const consumeOAuthState = (state) => {
+    if (!state) throw new Error('The authorization response did not include a state parameter.');
+    const states = readPendingStates();
+    const entry = states[state];
+    delete states[state];
+    writePendingStates(dropExpired(states));
+
+    if (!entry) throw new Error('The authorization response does not match any login or connect request from this browser.');
+    if (Date.now() - entry.createdAt >= STATE_TTL_MS) throw new Error('The authorization request has expired. Please try again.');
+    return entry.provider;
+};
@@ -0,0 +1,60 @@
+import { createOAuthState, consumeOAuthState } from './oauthState';
+
+const TEN_MINUTES = 10 * 60 * 1000;
+
+beforeEach(() => {
+    localStorage.clear();
+});
+
+afterEach(() => {
+    jest.restoreAllMocks();
+});
+
+describe('OAuth state', () => {
+    test('a state round-trips to the provider it was created for', () => {
+        const spotifyState = createOAuthState('spotify');
+        const youtubeState = createOAuthState('youtube');
+        expect(spotifyState).toMatch(/^[0-9a-f]{32}$/);
+        expect(youtubeState).not.toBe(spotifyState);
+        expect(consumeOAuthState(youtubeState)).toBe('youtube');
+        expect(consumeOAuthState(spotifyState)).toBe('spotify');
+    });
+
+    test('rejects a missing or unknown state', () => {
+        createOAuthState('spotify');
+        expect(() => consumeOAuthState(null)).toThrow('did not include a state');
+        expect(() => consumeOAuthState('f'.repeat(32))).toThrow('does not match any login or connect request');
+    });
+
+    test('a state can be used only once', () => {
+        const state = createOAuthState('amazon');
+        expect(consumeOAuthState(state)).toBe('amazon');
+        expect(() => consumeOAuthState(state)).toThrow('does not match any login or connect request');
+    });
+
+    test('rejects a state older than ten minutes, and does not keep it', () => {
+        const now = Date.now();
+        const clock = jest.spyOn(Date, 'now').mockReturnValue(now);
+        const state = createOAuthState('spotify');
+        clock.mockReturnValue(now + TEN_MINUTES);
+        expect(() => consumeOAuthState(state)).toThrow('has expired');
+        clock.mockReturnValue(now);
+        expect(() => consumeOAuthState(state)).toThrow('does not match any login or connect request');
+    });
+
+    test('drops expired states when new ones are created', () => {
+        const now = Date.now();
+        const clock = jest.spyOn(Date, 'now').mockReturnValue(now);
+        createOAuthState('youtube');
+        clock.mockReturnValue(now + TEN_MINUTES);
+        createOAuthState('spotify');
+        expect(Object.keys(JSON.parse(localStorage.getItem('oauth_pending_states')))).toHaveLength(1);
+    });
+
+    test('survives unreadable stored states', () => {
+        jest.spyOn(console, 'warn').mockImplementation(() => {});
+        localStorage.setItem('oauth_pending_states', '{not json');
+        const state = createOAuthState('spotify');
+        expect(consumeOAuthState(state)).toBe('spotify');
+    });
+});
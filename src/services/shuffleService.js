@@ -1,14 +1,23 @@
-const SHUFFLE_API_ENDPOINT = 'http://localhost:5000/shuffle';
+import { getConfigValue } from './configService';
+import { ApiError, BackendUnavailableError, ValidationError, isAbortError } from './errors';
+
+// Base URL is configurable on the Settings page; the endpoint is <base>/shuffle
+const getShuffleEndpoint = () => `${getConfigValue('shuffleApiUrl')}/shuffle`;
 
 /**
  * Sends an array of Spotify track IDs to the backend shuffle service.
  * @param {Array<string>} trackIds - An array of Spotify track IDs (e.g., ['id1', 'id2', ...]).
  * @param {string} [mood] - Optional mood to shuffle by.
+ * @param {{signal?: AbortSignal, audioFeatures?: object, seed?: string}} [options] - Pass `signal` to cancel the request.
+ *   `audioFeatures` (trackId -> features, from fetchAudioFeatures) is sent along as `audio_features` when given.
+ *   `seed` is sent as `seed`. Callers order the returned buckets with the same seed (shuffleMoodTracks),
+ *   so the result doesn't depend on whether the service uses it.
  * @returns {Promise<object>} A promise that resolves to the shuffled tracks grouped by mood.
+ * @throws {ValidationError|BackendUnavailableError|ApiError} On bad input, an unreachable/failing backend, or a rejected request.
  */
-export const sendPlaylistToShuffle = async (trackIds, mood) => {
+export const sendPlaylistToShuffle = async (trackIds, mood, { signal, audioFeatures, seed } = {}) => {
   if (!Array.isArray(trackIds) || trackIds.length === 0) {
-    throw new Error("Invalid input: trackIds must be provided as a non-empty array.");
+    throw new ValidationError("Invalid input: trackIds must be provided as a non-empty array.");
   }
 
   const bodyData = { track_ids: trackIds };
@@ -17,21 +26,38 @@ export const sendPlaylistToShuffle = async (trackIds, mood) => {
     const validMoods = ['Angry', 'Calm', 'Excited', 'Happy', 'Sad'];
     const formattedMood = validMoods.find((m) => m.toLowerCase() === mood.toLowerCase());
     if (!formattedMood) {
-      throw new Error(`Invalid mood: ${mood}. Available moods: ${validMoods.join(', ')}`);
+      throw new ValidationError(`Invalid mood: ${mood}. Available moods: ${validMoods.join(', ')}`);
     }
     bodyData.mood = formattedMood;
   }
+  if (seed) bodyData.seed = seed;
+  if (audioFeatures) {
+    // Only the requested tracks, skipping ones Spotify has no features for
+    bodyData.audio_features = Object.fromEntries(
+      trackIds.filter((id) => audioFeatures[id]).map((id) => [id, audioFeatures[id]])
+    );
+  }
 
+  const endpoint = getShuffleEndpoint();
   try {
-    const response = await fetch(SHUFFLE_API_ENDPOINT, {
-      method: 'POST',
-      headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify(bodyData),
-    });
+    let response;
+    try {
+      response = await fetch(endpoint, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(bodyData),
+        signal,
+      });
+    } catch (networkError) {
+      if (isAbortError(networkError)) throw networkError;
+      throw new BackendUnavailableError(`Shuffle service is unreachable at ${endpoint}.`, { endpoint, service: 'shuffle', cause: networkError });
+    }
 
     if (!response.ok) {
       const errorText = await response.text();
-      throw new Error(`Shuffle API request failed with status ${response.status}: ${errorText}`);
+      const message = `Shuffle API request failed with status ${response.status}: ${errorText}`;
+      if (response.status >= 500) throw new BackendUnavailableError(message, { status: response.status, endpoint, service: 'shuffle' });
+      throw new ApiError(message, { status: response.status, endpoint, service: 'shuffle' });
     }
 
     const jsonResponse = await response.json();
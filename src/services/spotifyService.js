@@ -1,53 +1,192 @@
+import { ApiError, AuthError, ValidationError, createHttpError, createAbortError, isAbortError } from './errors';
+import { getRenewedSpotifyToken, renewRejectedSpotifyToken } from './auth';
+import {
+    getCachedTracks, setCachedTracks, invalidateCachedTracks, getCachedAudioFeatures, setCachedAudioFeatures
+} from './libraryCache';
 
 const BASE_URL = 'https://api.spotify.com/v1'; // Correct Spotify API Base URL
+export const MAX_COVER_IMAGE_BASE64_LENGTH = 256 * 1024; // Spotify's limit for the base64 cover payload
+
+// --- Request Layer ---
+// Every Spotify call goes through spotifyRequest: it honours Retry-After on 429, retries GETs after
+// 5xx/network failures with exponential backoff, caps concurrent requests and throws ApiError.
+// Tokens are swapped for the one a refresh replaced them with, and a 401 renews the session's token
+// once and sends the request again, so long operations survive the token expiring halfway through.
+// Writes are only retried on 429: after a 5xx or a network failure Spotify may already have applied
+// them, and sending e.g. an "add tracks" request again would add the tracks twice.
+// Every exported function also accepts an options object with an AbortSignal; aborting stops
+// the request (and any pagination/chunk loop) and rejects with an AbortError.
+
+const MAX_RETRIES = 4;
+const BASE_BACKOFF_MS = 500;
+const MAX_BACKOFF_MS = 30000;
+const MAX_CONCURRENT_REQUESTS = 4;
+
+let activeRequests = 0;
+const waitingRequests = []; // resolvers waiting for a free slot
+let rateLimitedUntil = 0; // After a 429, all requests pause until this timestamp
+
+// Resolves after ms, or rejects early if the signal aborts
+const sleep = (ms, signal) => new Promise((resolve, reject) => {
+    if (signal?.aborted) return reject(createAbortError(signal));
+    const onAbort = () => { clearTimeout(timeoutId); reject(createAbortError(signal)); };
+    const timeoutId = setTimeout(() => { signal?.removeEventListener('abort', onAbort); resolve(); }, ms);
+    signal?.addEventListener('abort', onAbort, { once: true });
+});
+
+const acquireSlot = (signal) => new Promise((resolve, reject) => {
+    if (signal?.aborted) return reject(createAbortError(signal));
+    if (activeRequests < MAX_CONCURRENT_REQUESTS) {
+        activeRequests++;
+        resolve();
+        return;
+    }
+    // An aborted waiter leaves the queue without ever holding a slot
+    const onAbort = () => {
+        const index = waitingRequests.indexOf(grant);
+        if (index !== -1) waitingRequests.splice(index, 1);
+        reject(createAbortError(signal));
+    };
+    const grant = () => { signal?.removeEventListener('abort', onAbort); resolve(); };
+    waitingRequests.push(grant);
+    signal?.addEventListener('abort', onAbort, { once: true });
+});
+
+const releaseSlot = () => {
+    const next = waitingRequests.shift();
+    if (next) next(); // Hand the slot straight to the next waiter
+    else activeRequests--;
+};
+
+// Exponential backoff with jitter (50-100% of the capped delay)
+const backoffDelay = (attempt) => Math.min(BASE_BACKOFF_MS * 2 ** attempt, MAX_BACKOFF_MS) * (0.5 + Math.random() / 2);
+
+const parseRetryAfter = (res) => {
+    const header = res.headers.get('Retry-After');
+    if (!header) return null;
+    const seconds = Number(header);
+    if (!Number.isNaN(seconds)) return seconds * 1000;
+    const date = Date.parse(header); // HTTP-date form
+    return Number.isNaN(date) ? null : Math.max(date - Date.now(), 0);
+};
+
+/**
+ * Performs an authenticated Spotify Web API request.
+ * @param {string} token - The Spotify access token.
+ * @param {string} url - Absolute URL, or a path relative to the API base (e.g., '/me').
+ * @param {object} [options]
+ * @param {string} [options.method='GET'] - HTTP method.
+ * @param {object|string} [options.body] - JSON body, or a raw string body when `contentType` is given.
+ * @param {string} [options.contentType] - Sends `body` as-is with this Content-Type (e.g., 'image/jpeg').
+ * @param {string} [options.context='Spotify request'] - Prefix for error messages (e.g., 'Failed to create playlist').
+ * @param {AbortSignal} [options.signal] - Cancels the request, including any pending retry wait.
+ *   A 401 is retried once with a renewed token (see renewRejectedSpotifyToken).
+ * @returns {Promise<object|null>} Parsed JSON response, or null for empty responses.
+ * @throws {ApiError} With status, endpoint and retryable set, once retries are exhausted or for non-retryable errors
+ *   (and for 5xx/network failures of anything but GET, which are not retried).
+ *   401 → AuthError, 404 → NotFoundError, 429 → RateLimitError (see createHttpError).
+ */
+export const spotifyRequest = async (token, url, { method = 'GET', body, contentType, context = 'Spotify request', signal } = {}) => {
+    if (!token) throw new AuthError(`Token is required: ${context}.`, { service: 'spotify' });
+    const fullUrl = url.startsWith('http') ? url : `${BASE_URL}${url}`;
+    const endpoint = `${method} ${new URL(fullUrl).pathname.replace(/^\/v1/, '')}`;
+    let accessToken = getRenewedSpotifyToken(token);
+    let hasRenewedToken = false;
+    const headers = { Authorization: `Bearer ${accessToken}` };
+    if (body !== undefined) headers['Content-Type'] = contentType || 'application/json';
+    const payload = body === undefined || contentType ? body : JSON.stringify(body);
+    const isRead = method === 'GET'; // Safe to send again whatever happened to the first attempt
+
+    for (let attempt = 0; ; attempt++) {
+        const pause = rateLimitedUntil - Date.now();
+        if (pause > 0) await sleep(pause, signal);
+
+        let res = null;
+        let networkError = null;
+        await acquireSlot(signal);
+        try {
+            res = await fetch(fullUrl, { method, headers, body: payload, signal });
+        } catch (error) {
+            networkError = error;
+        } finally {
+            releaseSlot();
+        }
+        if (isAbortError(networkError)) throw networkError; // Cancelled, not a network failure
+
+        // Network failure (offline, DNS, CORS on 5xx pages...)
+        if (networkError) {
+            if (isRead && attempt < MAX_RETRIES) {
+                const delay = backoffDelay(attempt);
+                console.warn(`Network error on ${endpoint}, retrying in ${Math.round(delay)}ms (attempt ${attempt + 1}/${MAX_RETRIES}):`, networkError.message);
+                await sleep(delay, signal);
+                continue;
+            }
+            throw new ApiError(`${context}: network error (${networkError.message})`, { endpoint, service: 'spotify', retryable: true, cause: networkError });
+        }
+
+        if (res.ok) {
+            const text = await res.text();
+            return text ? JSON.parse(text) : null;
+        }
+
+        let errorData = {};
+        try { errorData = await res.json(); } catch (e) { /* Response is not JSON */ }
+
+        // Expired token: renew it once and send again (a rejected request was not applied)
+        if (res.status === 401 && !hasRenewedToken) {
+            hasRenewedToken = true;
+            const renewedToken = await renewRejectedSpotifyToken(accessToken).catch((error) => {
+                console.warn(`Could not renew the Spotify token after a 401 on ${endpoint}:`, error);
+                return null;
+            });
+            if (renewedToken && renewedToken !== accessToken) {
+                console.log(`Spotify returned 401 on ${endpoint}, retrying with a renewed token.`);
+                accessToken = renewedToken;
+                headers.Authorization = `Bearer ${accessToken}`;
+                continue;
+            }
+        }
+        const retryable = res.status === 429 || res.status >= 500;
+        const retryAfterMs = res.status === 429 ? parseRetryAfter(res) : null;
+
+        if ((res.status === 429 || (retryable && isRead)) && attempt < MAX_RETRIES) {
+            const delay = retryAfterMs ?? backoffDelay(attempt);
+            if (res.status === 429) rateLimitedUntil = Math.max(rateLimitedUntil, Date.now() + delay);
+            console.warn(`Spotify returned ${res.status} on ${endpoint}, retrying in ${Math.round(delay)}ms (attempt ${attempt + 1}/${MAX_RETRIES}).`);
+            await sleep(delay, signal);
+            continue;
+        }
+
+        console.error(`Spotify API Error (${endpoint}):`, res.status, errorData);
+        throw createHttpError(
+            `${context} (${res.status}): ${errorData.error?.message || res.statusText || 'Unknown error'}`,
+            { status: res.status, endpoint, service: 'spotify', retryable, retryAfterMs }
+        );
+    }
+};
 
 // --- Helper for paginated requests ---
 /**
  * Fetches all items from a paginated Spotify API endpoint.
  * @param {string} token - The Spotify access token.
  * @param {string} url - The initial URL of the paginated resource.
+ * @param {{signal?: AbortSignal}} [options] - Aborting stops before the next page is requested.
  * @returns {Promise<Array<object>>} A promise that resolves to an array containing all items from all pages.
- * @throws {Error} If any API request fails.
+ * @throws {ApiError} If any API request fails.
  */
-const fetchPaginated = async (token, url) => {
-    // Check if token is provided
-    if (!token) throw new Error("Token is required for paginated fetch.");
+const fetchPaginated = async (token, url, { signal } = {}) => {
     let items = [];
     let nextUrl = url;
-    try {
-        while (nextUrl) {
-            console.debug(`Fetching paginated data from: ${nextUrl}`); // Debug log
-            // Make the fetch request with the Authorization header
-            const res = await fetch(nextUrl, {
-                headers: { Authorization: `Bearer ${token}` },
-            });
-            // Check if the response was successful
-            if (!res.ok) {
-                let errorData = {};
-                try {
-                    // Try to parse error details from Spotify's JSON response
-                    errorData = await res.json();
-                } catch (e) {
-                    // Ignore if response is not JSON
-                    console.warn("Could not parse error response as JSON during pagination.");
-                }
-                console.error(`Spotify API Error during pagination (${nextUrl}):`, res.status, errorData);
-                // Throw a detailed error
-                throw new Error(`API request failed (${res.status}): ${errorData.error?.message || res.statusText || 'Unknown error'}`);
-            }
-            // Parse the successful JSON response
-            const data = await res.json();
-            // Concatenate items from the current page
-            items = items.concat(data.items || []);
-            // Get the URL for the next page, if it exists
-            nextUrl = data.next;
-        }
-        console.debug(`Paginated fetch complete. Total items: ${items.length}`); // Debug log
-        return items; // Return all collected items
-    } catch (error) {
-        console.error("Error during paginated fetch processing:", error);
-        throw error; // Re-throw the error for the caller to handle
+    while (nextUrl) {
+        console.debug(`Fetching paginated data from: ${nextUrl}`); // Debug log
+        const data = await spotifyRequest(token, nextUrl, { context: 'API request failed', signal });
+        // Concatenate items from the current page
+        items = items.concat(data?.items || []);
+        // Get the URL for the next page, if it exists
+        nextUrl = data?.next;
     }
+    console.debug(`Paginated fetch complete. Total items: ${items.length}`); // Debug log
+    return items; // Return all collected items
 };
 
 // --- Service Functions ---
@@ -55,58 +194,225 @@ const fetchPaginated = async (token, url) => {
 /**
  * Fetches the profile information for the current user.
  * @param {string} token - The Spotify access token.
+ * @param {{signal?: AbortSignal}} [options] - Pass `signal` to cancel the request.
  * @returns {Promise<object>} User profile object.
- * @throws {Error} If token is missing or API request fails.
+ * @throws {AuthError|ApiError} If token is missing or API request fails.
  */
-export const fetchUser = async (token) => {
-    if (!token) throw new Error("Token is required for fetchUser.");
-    const url = `${BASE_URL}/me`;
-    try {
-        const res = await fetch(url, { headers: { Authorization: `Bearer ${token}` } });
-        if (!res.ok) {
-            let errorData = {}; try { errorData = await res.json(); } catch (e) {}
-            console.error(`Spotify API Error (${url}):`, errorData);
-            throw new Error(`Failed to fetch user profile (${res.status}): ${errorData.error?.message || res.statusText}`);
-        }
-        return await res.json();
-    } catch (error) {
-        console.error("Network/fetch error in fetchUser:", error);
-        // Avoid re-wrapping the specific error thrown above
-        if (error.message.startsWith("Failed to fetch user profile")) throw error;
-        throw new Error(`Network error fetching user profile: ${error.message}`);
-    }
+export const fetchUser = async (token, { signal } = {}) => {
+    if (!token) throw new AuthError("Token is required for fetchUser.", { service: 'spotify' });
+    return spotifyRequest(token, '/me', { context: 'Failed to fetch user profile', signal });
 };
 
 /**
  * Fetches all playlists for the current user.
  * @param {string} token - The Spotify access token.
+ * @param {{signal?: AbortSignal}} [options] - Pass `signal` to cancel the request.
  * @returns {Promise<Array<object>>} Array of playlist objects.
- * @throws {Error} If token is missing or API request fails.
+ * @throws {AuthError|ApiError} If token is missing or API request fails.
  */
-export const fetchPlaylists = async (token) => {
-    if (!token) throw new Error("Token is required for fetchPlaylists.");
+export const fetchPlaylists = async (token, { signal } = {}) => {
+    if (!token) throw new AuthError("Token is required for fetchPlaylists.", { service: 'spotify' });
     // Start fetching with a limit (e.g., 50 playlists per page)
     const initialUrl = `${BASE_URL}/me/playlists?limit=50`;
     // Use the helper function to handle pagination automatically
-    return fetchPaginated(token, initialUrl);
+    return fetchPaginated(token, initialUrl, { signal });
 };
 
 /**
  * Fetches all tracks for a specific playlist.
  * @param {string} token - The Spotify access token.
  * @param {string} playlistId - The ID of the playlist.
+ * @param {{signal?: AbortSignal}} [options] - Pass `signal` to cancel the request.
  * @returns {Promise<Array<object>>} Array of playlist track objects.
- * @throws {Error} If token/playlistId is missing or API request fails.
+ * @throws {AuthError|ValidationError|ApiError} If token/playlistId is missing or API request fails.
  */
-export const fetchPlaylistTracks = async (token, playlistId) => {
-    if (!token) throw new Error("Token is required for fetchPlaylistTracks.");
-    if (!playlistId) throw new Error("Playlist ID must be provided to fetch tracks.");
+export const fetchPlaylistTracks = async (token, playlistId, { signal } = {}) => {
+    if (!token) throw new AuthError("Token is required for fetchPlaylistTracks.", { service: 'spotify' });
+    if (!playlistId) throw new ValidationError("Playlist ID must be provided to fetch tracks.");
     // Request specific fields to minimize data, including 'uri' needed for removal
     const fields = 'items(track(id,uri,name,artists(name),album(name),duration_ms)),next';
     // Fetch up to 100 tracks per page
     const initialUrl = `${BASE_URL}/playlists/${playlistId}/tracks?limit=100&fields=${encodeURIComponent(fields)}`;
     // Use the helper function to handle pagination
-    return fetchPaginated(token, initialUrl);
+    return fetchPaginated(token, initialUrl, { signal });
+};
+
+/**
+ * Like fetchPlaylistTracks, but served from the library cache while the playlist's
+ * snapshot_id is unchanged. Fresh results are cached for next time.
+ * @param {string} token - The Spotify access token.
+ * @param {string} playlistId - The ID of the playlist.
+ * @param {string|null} snapshotId - The playlist's current snapshot_id (from fetchPlaylists); without one the cache is bypassed.
+ * @param {{signal?: AbortSignal}} [options] - Pass `signal` to cancel the request.
+ * @returns {Promise<Array<object>>} Array of playlist track objects.
+ * @throws {AuthError|ValidationError|ApiError} If token/playlistId is missing or API request fails.
+ */
+export const fetchPlaylistTracksCached = async (token, playlistId, snapshotId, { signal } = {}) => {
+    if (snapshotId) {
+        const cached = await getCachedTracks(playlistId, snapshotId);
+        if (cached) {
+            console.debug(`Using cached tracks for playlist ${playlistId} (snapshot ${snapshotId}).`);
+            return cached;
+        }
+    }
+    const items = await fetchPlaylistTracks(token, playlistId, { signal });
+    if (snapshotId) setCachedTracks(playlistId, snapshotId, items); // Not awaited; caching never delays the caller
+    return items;
+};
+
+// --- Audio Features ---
+
+// The subset of Spotify's audio features the app uses
+export const AUDIO_FEATURE_KEYS = ['tempo', 'energy', 'valence', 'danceability', 'key', 'mode'];
+
+const pickAudioFeatures = (raw) => (
+    raw ? Object.fromEntries(AUDIO_FEATURE_KEYS.map(key => [key, raw[key] ?? null])) : null
+);
+
+/**
+ * Fetches audio features for tracks, 100 IDs per request.
+ * @param {string} token - The Spotify access token.
+ * @param {Array<string>} trackIds - Spotify track IDs (duplicates/empty values are ignored).
+ * @param {{signal?: AbortSignal}} [options] - Pass `signal` to cancel the requests.
+ * @returns {Promise<object>} Map of trackId -> { tempo, energy, valence, danceability, key, mode },
+ *   or null for tracks Spotify has no features for.
+ * @throws {AuthError|ApiError} If token is missing or API request fails (apps without access get a 403).
+ */
+export const fetchAudioFeatures = async (token, trackIds, { signal } = {}) => {
+    if (!token) throw new AuthError("Token is required for fetchAudioFeatures.", { service: 'spotify' });
+    const uniqueIds = [...new Set((trackIds || []).filter(Boolean))];
+    const chunkSize = 100; // Spotify API limit for audio features
+    const chunks = [];
+    for (let i = 0; i < uniqueIds.length; i += chunkSize) chunks.push(uniqueIds.slice(i, i + chunkSize));
+
+    // Chunks are requested together; spotifyRequest caps how many run concurrently
+    const responses = await Promise.all(chunks.map(chunk => spotifyRequest(
+        token, `/audio-features?ids=${chunk.join(',')}`, { context: 'Failed to fetch audio features', signal }
+    )));
+    const featuresById = {};
+    responses.forEach((data, index) => {
+        const byId = new Map((data?.audio_features || []).filter(Boolean).map(raw => [raw.id, raw]));
+        chunks[index].forEach(id => { featuresById[id] = pickAudioFeatures(byId.get(id)); });
+    });
+    return featuresById;
+};
+
+/**
+ * Like fetchAudioFeatures, but only requests tracks that aren't in the library cache yet.
+ * @param {string} token - The Spotify access token.
+ * @param {Array<string>} trackIds - Spotify track IDs.
+ * @param {{signal?: AbortSignal}} [options] - Pass `signal` to cancel the requests.
+ * @returns {Promise<object>} Map of trackId -> features (or null), see fetchAudioFeatures.
+ * @throws {AuthError|ApiError} If token is missing or API request fails.
+ */
+export const fetchAudioFeaturesCached = async (token, trackIds, { signal } = {}) => {
+    const uniqueIds = [...new Set((trackIds || []).filter(Boolean))];
+    const cached = await getCachedAudioFeatures(uniqueIds);
+    const missingIds = uniqueIds.filter(id => !(id in cached));
+    if (missingIds.length === 0) return cached;
+    console.debug(`Audio features: ${uniqueIds.length - missingIds.length} cached, fetching ${missingIds.length}.`);
+    const fetched = await fetchAudioFeatures(token, missingIds, { signal });
+    setCachedAudioFeatures(fetched); // Not awaited; caching never delays the caller
+    return { ...cached, ...fetched };
+};
+
+// --- Library (Liked Songs, saved albums, followed artists) ---
+
+/**
+ * Fetches all of the user's Liked Songs. Items have the same shape as playlist track items.
+ * @param {string} token - The Spotify access token.
+ * @param {{signal?: AbortSignal}} [options] - Pass `signal` to cancel the request.
+ * @returns {Promise<Array<object>>} Array of { added_at, track } objects, newest first.
+ * @throws {AuthError|ApiError} If token is missing or API request fails.
+ */
+export const fetchSavedTracks = async (token, { signal } = {}) => {
+    if (!token) throw new AuthError("Token is required for fetchSavedTracks.", { service: 'spotify' });
+    return fetchPaginated(token, `${BASE_URL}/me/tracks?limit=50`, { signal });
+};
+
+/**
+ * Fetches just enough of Liked Songs to list it and tell whether it changed.
+ * @param {string} token - The Spotify access token.
+ * @param {{signal?: AbortSignal}} [options] - Pass `signal` to cancel the request.
+ * @returns {Promise<{total: number, latestAddedAt: string|null}>} Track count and newest added_at.
+ * @throws {AuthError|ApiError} If token is missing or API request fails.
+ */
+export const fetchSavedTracksSummary = async (token, { signal } = {}) => {
+    if (!token) throw new AuthError("Token is required for fetchSavedTracksSummary.", { service: 'spotify' });
+    const data = await spotifyRequest(token, '/me/tracks?limit=1', { context: 'Failed to fetch Liked Songs', signal });
+    return { total: data?.total ?? 0, latestAddedAt: data?.items?.[0]?.added_at || null };
+};
+
+/**
+ * Fetches all albums saved in the user's library.
+ * @param {string} token - The Spotify access token.
+ * @param {{signal?: AbortSignal}} [options] - Pass `signal` to cancel the request.
+ * @returns {Promise<Array<object>>} Array of { added_at, album } objects.
+ * @throws {AuthError|ApiError} If token is missing or API request fails.
+ */
+export const fetchSavedAlbums = async (token, { signal } = {}) => {
+    if (!token) throw new AuthError("Token is required for fetchSavedAlbums.", { service: 'spotify' });
+    return fetchPaginated(token, `${BASE_URL}/me/albums?limit=50`, { signal });
+};
+
+/**
+ * Fetches all artists the user follows.
+ * @param {string} token - The Spotify access token.
+ * @param {{signal?: AbortSignal}} [options] - Pass `signal` to cancel the request.
+ * @returns {Promise<Array<object>>} Array of artist objects.
+ * @throws {AuthError|ApiError} If token is missing or API request fails.
+ */
+export const fetchFollowedArtists = async (token, { signal } = {}) => {
+    if (!token) throw new AuthError("Token is required for fetchFollowedArtists.", { service: 'spotify' });
+    // Cursor-paginated and wrapped in an 'artists' object, so fetchPaginated doesn't fit
+    let artists = [];
+    let nextUrl = `${BASE_URL}/me/following?type=artist&limit=50`;
+    while (nextUrl) {
+        const data = await spotifyRequest(token, nextUrl, { context: 'Failed to fetch followed artists', signal });
+        artists = artists.concat(data?.artists?.items || []);
+        nextUrl = data?.artists?.next;
+    }
+    return artists;
+};
+
+/**
+ * Fetches all tracks of an album, shaped like playlist track items ({ track }).
+ * @param {string} token - The Spotify access token.
+ * @param {{id: string, name?: string}} album - The album; its name is copied onto each track.
+ * @param {{signal?: AbortSignal}} [options] - Pass `signal` to cancel the request.
+ * @returns {Promise<Array<object>>} Array of { track } objects.
+ * @throws {AuthError|ValidationError|ApiError} If token/album is missing or API request fails.
+ */
+export const fetchAlbumTracks = async (token, album, { signal } = {}) => {
+    if (!token) throw new AuthError("Token is required for fetchAlbumTracks.", { service: 'spotify' });
+    if (!album?.id) throw new ValidationError("Album ID must be provided to fetch album tracks.");
+    const tracks = await fetchPaginated(token, `${BASE_URL}/albums/${album.id}/tracks?limit=50`, { signal });
+    // Album track objects don't include their album
+    return tracks.map(track => ({ track: { ...track, album: { id: album.id, name: album.name || '' } } }));
+};
+
+/**
+ * Fetches an artist's discography (albums and singles), shaped like playlist track items.
+ * @param {string} token - The Spotify access token.
+ * @param {string} artistId - The artist's Spotify ID.
+ * @param {{signal?: AbortSignal}} [options] - Pass `signal` to cancel the requests.
+ * @returns {Promise<Array<object>>} Array of { track } objects, one per distinct song title.
+ * @throws {AuthError|ValidationError|ApiError} If token/artistId is missing or API request fails.
+ */
+export const fetchArtistTracks = async (token, artistId, { signal } = {}) => {
+    if (!token) throw new AuthError("Token is required for fetchArtistTracks.", { service: 'spotify' });
+    if (!artistId) throw new ValidationError("Artist ID must be provided to fetch the discography.");
+    const albums = await fetchPaginated(token, `${BASE_URL}/artists/${artistId}/albums?include_groups=album,single&limit=50`, { signal });
+    // All albums are requested at once; spotifyRequest caps how many run concurrently
+    const albumTracks = await Promise.all(albums.map(album => fetchAlbumTracks(token, album, { signal })));
+    // A single usually reappears on its album: keep the first release of each title
+    const seenTitles = new Set();
+    return albumTracks.flat().filter(item => {
+        const title = item.track.name?.toLowerCase();
+        if (!title || seenTitles.has(title)) return false;
+        seenTitles.add(title);
+        return true;
+    });
 };
 
 /**
@@ -115,31 +421,93 @@ export const fetchPlaylistTracks = async (token, playlistId) => {
  * @param {string} userId - The user's Spotify ID.
  * @param {string} name - The name for the new playlist.
  * @param {string} [description=''] - Optional description.
+ * @param {{signal?: AbortSignal, isPublic?: boolean, collaborative?: boolean}} [options] - Pass `signal` to cancel
+ *   the request. Playlists are private and non-collaborative unless `isPublic`/`collaborative` say otherwise.
  * @returns {Promise<object>} The newly created playlist object.
- * @throws {Error} If required args are missing or API request fails.
+ * @throws {AuthError|ValidationError|ApiError} If required args are missing or API request fails.
  */
-export const createPlaylist = async (token, userId, name, description = '') => {
-     if (!token) throw new Error("Token is required for createPlaylist.");
-     if (!userId || !name) throw new Error("User ID and Playlist Name are required.");
-     const url = `${BASE_URL}/users/${userId}/playlists`;
-     try {
-        const res = await fetch(url, {
-            method: 'POST',
-            headers: { Authorization: `Bearer ${token}`, 'Content-Type': 'application/json' },
-            // Create a private, non-collaborative playlist
-            body: JSON.stringify({ name, description, public: false, collaborative: false }),
-        });
-        if (!res.ok) {
-            let errorData = {}; try { errorData = await res.json(); } catch (e) {}
-            console.error(`Spotify API Error (${url}):`, errorData);
-            throw new Error(`Failed to create playlist (${res.status}): ${errorData.error?.message || res.statusText}`);
-        }
-        return await res.json();
-     } catch (error) {
-        console.error("Network/fetch error in createPlaylist:", error);
-        if (error.message.startsWith("Failed to create playlist")) throw error;
-        throw new Error(`Network error creating playlist: ${error.message}`);
-     }
+export const createPlaylist = async (token, userId, name, description = '', { signal, isPublic = false, collaborative = false } = {}) => {
+     if (!token) throw new AuthError("Token is required for createPlaylist.", { service: 'spotify' });
+     if (!userId || !name) throw new ValidationError("User ID and Playlist Name are required.");
+     if (isPublic && collaborative) throw new ValidationError("A collaborative playlist can't be public.");
+     return spotifyRequest(token, `/users/${userId}/playlists`, {
+        method: 'POST',
+        body: { name, description, public: isPublic, collaborative },
+        context: 'Failed to create playlist',
+        signal,
+     });
+};
+
+/**
+ * Changes a playlist's details. Only the fields present in `details` are sent.
+ * @param {string} token - The Spotify access token.
+ * @param {string} playlistId - The ID of the playlist.
+ * @param {{name?: string, description?: string, isPublic?: boolean, collaborative?: boolean}} details - New values.
+ * @param {{signal?: AbortSignal}} [options] - Pass `signal` to cancel the request.
+ * @returns {Promise<void>}
+ * @throws {AuthError|ValidationError|ApiError} If required args are missing or API request fails.
+ */
+export const updatePlaylistDetails = async (token, playlistId, { name, description, isPublic, collaborative } = {}, { signal } = {}) => {
+    if (!token) throw new AuthError("Token is required for updatePlaylistDetails.", { service: 'spotify' });
+    if (!playlistId) throw new ValidationError("Playlist ID is required.");
+    if (name !== undefined && !name.trim()) throw new ValidationError("Playlist name can't be empty.");
+    if (isPublic && collaborative) throw new ValidationError("A collaborative playlist can't be public.");
+    const body = {};
+    if (name !== undefined) body.name = name.trim();
+    if (description !== undefined) body.description = description;
+    if (isPublic !== undefined) body.public = isPublic;
+    if (collaborative !== undefined) body.collaborative = collaborative;
+    if (Object.keys(body).length === 0) return;
+    await spotifyRequest(token, `/playlists/${playlistId}`, {
+        method: 'PUT',
+        body,
+        context: 'Failed to update playlist details',
+        signal,
+    });
+};
+
+/**
+ * Replaces a playlist's cover image. Needs the 'ugc-image-upload' scope.
+ * @param {string} token - The Spotify access token.
+ * @param {string} playlistId - The ID of the playlist.
+ * @param {string} jpegBase64 - Base64-encoded JPEG data without a data: URL prefix, at most 256 KB.
+ * @param {{signal?: AbortSignal}} [options] - Pass `signal` to cancel the request.
+ * @returns {Promise<void>}
+ * @throws {AuthError|ValidationError|ApiError} If required args are missing or API request fails
+ *   (403 if the session was granted before cover uploads were supported).
+ */
+export const uploadPlaylistCoverImage = async (token, playlistId, jpegBase64, { signal } = {}) => {
+    if (!token) throw new AuthError("Token is required for uploadPlaylistCoverImage.", { service: 'spotify' });
+    if (!playlistId) throw new ValidationError("Playlist ID is required.");
+    if (!jpegBase64) throw new ValidationError("Cover image data is required.");
+    if (jpegBase64.length > MAX_COVER_IMAGE_BASE64_LENGTH) throw new ValidationError("Cover image must be at most 256 KB.");
+    await spotifyRequest(token, `/playlists/${playlistId}/images`, {
+        method: 'PUT',
+        body: jpegBase64,
+        contentType: 'image/jpeg',
+        context: 'Failed to upload cover image',
+        signal,
+    });
+};
+
+/**
+ * Removes a playlist from the user's library. For playlists the user owns this is how Spotify
+ * deletes them (they can be recovered from the Spotify account page).
+ * @param {string} token - The Spotify access token.
+ * @param {string} playlistId - The ID of the playlist.
+ * @param {{signal?: AbortSignal}} [options] - Pass `signal` to cancel the request.
+ * @returns {Promise<void>}
+ * @throws {AuthError|ValidationError|ApiError} If required args are missing or API request fails.
+ */
+export const unfollowPlaylist = async (token, playlistId, { signal } = {}) => {
+    if (!token) throw new AuthError("Token is required for unfollowPlaylist.", { service: 'spotify' });
+    if (!playlistId) throw new ValidationError("Playlist ID is required.");
+    await spotifyRequest(token, `/playlists/${playlistId}/followers`, {
+        method: 'DELETE',
+        context: 'Failed to delete playlist',
+        signal,
+    });
+    invalidateCachedTracks(playlistId);
 };
 
 /**
@@ -147,127 +515,215 @@ export const createPlaylist = async (token, userId, name, description = '') => {
  * @param {string} token - The Spotify access token.
  * @param {string} playlistId - The ID of the playlist.
  * @param {Array<string>} trackIds - Array of Spotify Track IDs.
+ * @param {{signal?: AbortSignal}} [options] - Pass `signal` to cancel; chunks not yet sent are skipped.
  * @returns {Promise<{snapshot_id: string|null}>} Object containing the snapshot ID.
- * @throws {Error} If required args are missing or API request fails.
+ * @throws {AuthError|ValidationError|ApiError} If required args are missing or API request fails.
  */
-export const addTracksToPlaylist = async (token, playlistId, trackIds) => {
-    if (!token) throw new Error("Token is required for addTracksToPlaylist.");
-    if (!playlistId) throw new Error("Playlist ID is required.");
+export const addTracksToPlaylist = async (token, playlistId, trackIds, { signal } = {}) => {
+    if (!token) throw new AuthError("Token is required for addTracksToPlaylist.", { service: 'spotify' });
+    if (!playlistId) throw new ValidationError("Playlist ID is required.");
     if (!Array.isArray(trackIds) || trackIds.length === 0) {
         console.warn("No track IDs provided to addTracksToPlaylist.");
         return { snapshot_id: null }; // Not an error, just nothing to do
     }
     // Convert IDs to the required Spotify URI format
     const uris = trackIds.map(id => `spotify:track:${id}`);
-    const url = `${BASE_URL}/playlists/${playlistId}/tracks`;
     const chunkSize = 100; // Spotify API limit for adding tracks
     let snapshotId = null;
     try {
-        // Process tracks in chunks
+        // Process tracks in chunks, in order, so the playlist order matches trackIds
         for (let i = 0; i < uris.length; i += chunkSize) {
             const chunk = uris.slice(i, i + chunkSize);
-            const res = await fetch(url, {
+            const data = await spotifyRequest(token, `/playlists/${playlistId}/tracks`, {
                 method: 'POST',
-                headers: { Authorization: `Bearer ${token}`, 'Content-Type': 'application/json' },
-                body: JSON.stringify({ uris: chunk }),
+                body: { uris: chunk },
+                context: `Failed to add tracks (chunk ${i / chunkSize})`,
+                signal,
             });
-            if (!res.ok) {
-                let errorData = {}; try { errorData = await res.json(); } catch (e) {}
-                const chunkIndex = i / chunkSize;
-                console.error(`Spotify API Error adding tracks (chunk ${chunkIndex}):`, errorData);
-                throw new Error(`Failed to add tracks (chunk ${chunkIndex}, status ${res.status}): ${errorData.error?.message || res.statusText}`);
-            }
-            const data = await res.json();
-            snapshotId = data.snapshot_id; // Store the latest snapshot ID
+            snapshotId = data?.snapshot_id ?? snapshotId; // Store the latest snapshot ID
         }
-        return { snapshot_id: snapshotId }; // Return the final snapshot ID
-    } catch (error) {
-        console.error("Error during addTracksToPlaylist loop:", error);
-        if (error.message.startsWith("Failed to add tracks")) throw error;
-        throw new Error(`Network error adding tracks: ${error.message}`);
+    } finally {
+        invalidateCachedTracks(playlistId); // Even a partial add changes the playlist
     }
+    return { snapshot_id: snapshotId }; // Return the final snapshot ID
 };
 
 /**
- * Removes specified tracks (all occurrences) from a playlist using track URIs. Handles chunking.
+ * Removes tracks from a playlist using track URIs. Handles chunking.
+ * Without `positions` every occurrence of a URI is removed; with them only those occurrences are.
  * @param {string} token - The Spotify access token.
  * @param {string} playlistId - The ID of the playlist.
- * @param {Array<{uri: string}>} tracksToRemove - Array of objects containing track URIs.
+ * @param {Array<{uri: string, positions?: Array<number>}>} tracksToRemove - Array of objects containing track URIs
+ *   and, optionally, the 0-based positions of the occurrences to remove.
+ * @param {{signal?: AbortSignal, snapshotId?: string|null}} [options] - Pass `signal` to cancel; chunks not yet sent
+ *   are skipped. Pass `snapshotId` when using positions so they are applied to that version of the playlist.
  * @returns {Promise<{snapshot_id: string|null}>} Object containing the snapshot ID.
- * @throws {Error} If required args are missing or API request fails.
+ * @throws {AuthError|ValidationError|ApiError} If required args are missing or API request fails.
  */
-export const removeTracksFromPlaylist = async (token, playlistId, tracksToRemove) => {
-    if (!token) throw new Error("Token is required for removeTracksFromPlaylist.");
-    if (!playlistId) throw new Error("Playlist ID is required.");
+export const removeTracksFromPlaylist = async (token, playlistId, tracksToRemove, { signal, snapshotId: baseSnapshotId = null } = {}) => {
+    if (!token) throw new AuthError("Token is required for removeTracksFromPlaylist.", { service: 'spotify' });
+    if (!playlistId) throw new ValidationError("Playlist ID is required.");
     if (!Array.isArray(tracksToRemove) || tracksToRemove.length === 0) {
         console.warn("No tracks specified for removal.");
         return { snapshot_id: null };
     }
-    const url = `${BASE_URL}/playlists/${playlistId}/tracks`;
     const chunkSize = 100; // Spotify API limit for removing tracks
-    let snapshotId = null;
+    // Positional removals are split into one entry per position and sent from the end of the
+    // playlist backwards, so removing one chunk never shifts the positions of the next
+    const isPositional = tracksToRemove.some(entry => entry.positions?.length);
+    const ordered = isPositional
+        ? tracksToRemove
+            .flatMap(entry => (entry.positions?.length ? entry.positions.map(position => ({ uri: entry.uri, positions: [position] })) : [entry]))
+            .sort((a, b) => (b.positions?.[0] ?? -1) - (a.positions?.[0] ?? -1))
+        : tracksToRemove;
+    let snapshotId = baseSnapshotId;
     try {
         // Process tracks in chunks
-        for (let i = 0; i < tracksToRemove.length; i += chunkSize) {
-            const chunk = tracksToRemove.slice(i, i + chunkSize);
-            const res = await fetch(url, {
+        for (let i = 0; i < ordered.length; i += chunkSize) {
+            const chunk = ordered.slice(i, i + chunkSize);
+            const body = { tracks: chunk }; // API expects payload format: { tracks: [{uri: "...", positions?: [...]}, ...] }
+            if (isPositional && snapshotId) body.snapshot_id = snapshotId;
+            const data = await spotifyRequest(token, `/playlists/${playlistId}/tracks`, {
                 method: 'DELETE',
-                headers: { Authorization: `Bearer ${token}`, 'Content-Type': 'application/json' },
-                // API expects payload format: { tracks: [{uri: "..."}, ...] }
-                body: JSON.stringify({ tracks: chunk }),
+                body,
+                context: `Failed to remove tracks (chunk ${i / chunkSize})`,
+                signal,
             });
-            if (!res.ok) {
-                let errorData = {}; try { errorData = await res.json(); } catch (e) {}
-                const chunkIndex = i / chunkSize;
-                console.error(`Spotify API Error removing tracks (chunk ${chunkIndex}):`, errorData);
-                throw new Error(`Failed to remove tracks (chunk ${chunkIndex}, status ${res.status}): ${errorData.error?.message || res.statusText}`);
-            }
-            const data = await res.json();
-            snapshotId = data.snapshot_id; // Store the latest snapshot ID
+            snapshotId = data?.snapshot_id ?? snapshotId; // Store the latest snapshot ID
+        }
+    } finally {
+        invalidateCachedTracks(playlistId); // Even a partial removal changes the playlist
+    }
+    return { snapshot_id: snapshotId }; // Return the final snapshot ID
+};
+
+/**
+ * Replaces all tracks of a playlist with `uris`, in that order. The first 100 replace the
+ * contents, the rest are appended. Local files can't be added through the API and are skipped.
+ * @param {string} token - The Spotify access token.
+ * @param {string} playlistId - The ID of the playlist.
+ * @param {Array<string>} uris - Track (or episode) URIs in the desired order.
+ * @param {{signal?: AbortSignal}} [options] - `signal` is only checked before anything is sent: once the first
+ *   chunk has replaced the contents, stopping would leave the playlist truncated, so the rest is always sent.
+ * @returns {Promise<{snapshot_id: string|null, skipped: number}>} The final snapshot ID and how many URIs were skipped.
+ * @throws {AuthError|ValidationError|ApiError} If required args are missing or API request fails.
+ */
+export const replacePlaylistTracks = async (token, playlistId, uris, { signal } = {}) => {
+    if (!token) throw new AuthError("Token is required for replacePlaylistTracks.", { service: 'spotify' });
+    if (!playlistId) throw new ValidationError("Playlist ID is required.");
+    if (!Array.isArray(uris)) throw new ValidationError("A list of track URIs is required.");
+    const addable = uris.filter(uri => typeof uri === 'string' && !uri.startsWith('spotify:local:'));
+    const chunkSize = 100; // Spotify API limit for replacing/adding tracks
+    if (signal?.aborted) throw createAbortError(signal);
+    let snapshotId = null;
+    try {
+        // PUT replaces everything (an empty list clears the playlist), POST appends the rest
+        for (let i = 0; i === 0 || i < addable.length; i += chunkSize) {
+            const chunk = addable.slice(i, i + chunkSize);
+            const data = await spotifyRequest(token, `/playlists/${playlistId}/tracks`, {
+                method: i === 0 ? 'PUT' : 'POST',
+                body: { uris: chunk },
+                context: `Failed to replace tracks (chunk ${i / chunkSize})`,
+            });
+            snapshotId = data?.snapshot_id ?? snapshotId;
         }
-        return { snapshot_id: snapshotId }; // Return the final snapshot ID
-    } catch (error) {
-        console.error("Error during removeTracksFromPlaylist loop:", error);
-        if (error.message.startsWith("Failed to remove tracks")) throw error;
-        throw new Error(`Network error removing tracks: ${error.message}`);
+    } finally {
+        invalidateCachedTracks(playlistId); // Even a partial replace changes the playlist
+    }
+    return { snapshot_id: snapshotId, skipped: uris.length - addable.length };
+};
+
+/**
+ * Moves a contiguous range of tracks within a playlist.
+ * Positions refer to the playlist as it was before this move (Spotify's reorder semantics).
+ * @param {string} token - The Spotify access token.
+ * @param {string} playlistId - The ID of the playlist.
+ * @param {{rangeStart: number, insertBefore: number, rangeLength?: number, snapshotId?: string|null}} move -
+ *   The range to move and where to insert it. With `snapshotId`, Spotify applies the move to that version
+ *   of the playlist, so concurrent edits elsewhere don't shift the positions.
+ * @param {{signal?: AbortSignal}} [options] - Pass `signal` to cancel the request.
+ * @returns {Promise<{snapshot_id: string|null}>} Object containing the new snapshot ID.
+ * @throws {AuthError|ValidationError|ApiError} If required args are missing or API request fails.
+ */
+export const reorderPlaylistTracks = async (token, playlistId, { rangeStart, insertBefore, rangeLength = 1, snapshotId = null }, { signal } = {}) => {
+    if (!token) throw new AuthError("Token is required for reorderPlaylistTracks.", { service: 'spotify' });
+    if (!playlistId) throw new ValidationError("Playlist ID is required.");
+    if (!Number.isInteger(rangeStart) || !Number.isInteger(insertBefore) || !Number.isInteger(rangeLength) || rangeStart < 0 || insertBefore < 0 || rangeLength < 1) {
+        throw new ValidationError("A valid track range and insert position are required to reorder tracks.");
     }
+    const body = { range_start: rangeStart, insert_before: insertBefore, range_length: rangeLength };
+    if (snapshotId) body.snapshot_id = snapshotId;
+    try {
+        const data = await spotifyRequest(token, `/playlists/${playlistId}/tracks`, {
+            method: 'PUT',
+            body,
+            context: 'Failed to reorder tracks',
+            signal,
+        });
+        return { snapshot_id: data?.snapshot_id ?? null };
+    } finally {
+        invalidateCachedTracks(playlistId);
+    }
+};
+
+/**
+ * Fetches a playlist's current snapshot ID (e.g., to resynchronize after a failed edit).
+ * @param {string} token - The Spotify access token.
+ * @param {string} playlistId - The ID of the playlist.
+ * @param {{signal?: AbortSignal}} [options] - Pass `signal` to cancel the request.
+ * @returns {Promise<string|null>} The snapshot ID.
+ * @throws {AuthError|ValidationError|ApiError} If required args are missing or API request fails.
+ */
+export const fetchPlaylistSnapshotId = async (token, playlistId, { signal } = {}) => {
+    if (!token) throw new AuthError("Token is required for fetchPlaylistSnapshotId.", { service: 'spotify' });
+    if (!playlistId) throw new ValidationError("Playlist ID is required.");
+    const data = await spotifyRequest(token, `/playlists/${playlistId}?fields=snapshot_id`, {
+        context: 'Failed to fetch playlist',
+        signal,
+    });
+    return data?.snapshot_id ?? null;
 };
 
 /**
  * Gets the user ID for the current user.
  * @param {string} token - The Spotify access token.
+ * @param {{signal?: AbortSignal}} [options] - Pass `signal` to cancel the request.
  * @returns {Promise<string>} The user's Spotify ID.
- * @throws {Error} If token is missing or fetching user profile fails.
+ * @throws {AuthError|ApiError} If token is missing or fetching user profile fails.
  */
-export const getUserId = async (token) => {
-    const user = await fetchUser(token); // Reuses fetchUser
+export const getUserId = async (token, { signal } = {}) => {
+    const user = await fetchUser(token, { signal }); // Reuses fetchUser
     if (!user?.id) {
         console.error("User profile data fetched but missing ID:", user);
-        throw new Error("Could not retrieve User ID from user profile data.");
+        throw new ApiError("Could not retrieve User ID from user profile data.", { service: 'spotify' });
     }
     return user.id;
 };
 
-export const getCurrentUserId = async (token) => {
-    const res = await fetch('https://api.spotify.com/v1/me', {
-      headers: { Authorization: `Bearer ${token}` },
-    });
-    if (!res.ok) throw new Error("Failed to get current Spotify user ID.");
-    const data = await res.json();
-    return data.id;
-  };
-  
+/**
+ * Gets the current user's Spotify ID (used by the migration flow).
+ * @param {string} token - The Spotify access token.
+ * @param {{signal?: AbortSignal}} [options] - Pass `signal` to cancel the request.
+ * @returns {Promise<string>} The user's Spotify ID.
+ * @throws {ApiError} If the request fails.
+ */
+export const getCurrentUserId = async (token, { signal } = {}) => {
+    const data = await spotifyRequest(token, '/me', { context: 'Failed to get current Spotify user ID', signal });
+    return data?.id;
+};
+
 /**
  * Searches for a track on Spotify using ONLY the title.
  * @param {string} token - Spotify access token.
  * @param {object} metadata - Object containing { title }. Other fields ignored.
  * @param {number} [limit=1] - Max number of results to return (default 1).
+ * @param {{signal?: AbortSignal}} [options] - Pass `signal` to cancel the request.
  * @returns {Promise<object|null>} The first matching track object, or null if no match.
- * @throws {Error} If required args are missing or API request fails.
+ * @throws {AuthError|ValidationError|ApiError} If required args are missing or API request fails.
  */
-export const searchSpotifyTrack = async (token, metadata, limit = 1) => {
-    if (!token) throw new Error("Token is required for search.");
-    if (!metadata?.title) throw new Error("Track title is required for search.");
+export const searchSpotifyTrack = async (token, metadata, limit = 1, { signal } = {}) => {
+    if (!token) throw new AuthError("Token is required for search.", { service: 'spotify' });
+    if (!metadata?.title) throw new ValidationError("Track title is required for search.");
 
     const { title } = metadata;
     // Construct query using only track field filter, removing internal quotes
@@ -276,28 +732,16 @@ export const searchSpotifyTrack = async (token, metadata, limit = 1) => {
 
     // Build URL parameters
     const params = new URLSearchParams({ q: query, type: type, limit: limit });
-    const url = `${BASE_URL}/search?${params.toString()}`;
     console.log(`Searching Spotify (Title Only): ${query}`);
 
-    try {
-        const response = await fetch(url, { headers: { Authorization: `Bearer ${token}` } });
-        if (!response.ok) {
-            let errorData = {}; try { errorData = await response.json(); } catch (e) {}
-            console.error(`Spotify Search API Error (${url}):`, errorData);
-            throw new Error(`Search request failed (${response.status}): ${errorData.error?.message || response.statusText}`);
-        }
-        const data = await response.json();
-        // Check if the response structure is as expected and items exist
-        if (data.tracks?.items?.length > 0) {
-            console.log(`Found track: ${data.tracks.items[0].name} by ${data.tracks.items[0].artists.map(a=>a.name).join(', ')}`);
-            return data.tracks.items[0]; // Return the first (most relevant) match
-        } else {
-            console.log(`No track found for title query: ${query}`);
-            return null; // Indicate no match found
-        }
-    } catch (error) {
-        console.error("Network/fetch error during Spotify search:", error);
-        if (error.message.startsWith("Search request failed")) throw error;
-        throw new Error(`Network error during search: ${error.message}`);
+    // Rate limiting (429) and transient failures are retried inside spotifyRequest
+    const data = await spotifyRequest(token, `/search?${params.toString()}`, { context: 'Search request failed', signal });
+    // Check if the response structure is as expected and items exist
+    if (data?.tracks?.items?.length > 0) {
+        console.log(`Found track: ${data.tracks.items[0].name} by ${data.tracks.items[0].artists.map(a=>a.name).join(', ')}`);
+        return data.tracks.items[0]; // Return the first (most relevant) match
+    } else {
+        console.log(`No track found for title query: ${query}`);
+        return null; // Indicate no match found
     }
 };
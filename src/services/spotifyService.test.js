@@ -0,0 +1,194 @@
+jest.mock('./auth', () => ({
+    getRenewedSpotifyToken: jest.fn(token => token),
+    renewRejectedSpotifyToken: jest.fn(),
+}));
+
+// spotifyRequest keeps its rate limit and request slots in module state, so every test loads a fresh copy
+let spotifyRequest;
+let auth;
+
+const response = (status, body, headers = {}) => ({
+    ok: status >= 200 && status < 300,
+    status,
+    statusText: '',
+    headers: { get: (name) => headers[name] ?? null },
+    text: async () => (body === undefined ? '' : JSON.stringify(body)),
+    json: async () => body ?? {},
+});
+
+// Lets pending promise callbacks run, then moves the fake clock on
+const flush = async () => {
+    for (let i = 0; i < 20; i++) await Promise.resolve();
+};
+const advance = async (ms) => {
+    await flush();
+    jest.advanceTimersByTime(ms);
+    await flush();
+};
+
+beforeEach(() => {
+    jest.useFakeTimers();
+    jest.resetModules();
+    ({ spotifyRequest } = require('./spotifyService'));
+    auth = require('./auth');
+    global.fetch = jest.fn();
+    jest.spyOn(Math, 'random').mockReturnValue(0); // Backoff without jitter: half the capped delay
+    ['log', 'warn', 'error'].forEach(level => jest.spyOn(console, level).mockImplementation(() => {}));
+});
+
+afterEach(() => {
+    jest.useRealTimers();
+    jest.restoreAllMocks();
+    delete global.fetch;
+});
+
+describe('rate limiting', () => {
+    test('waits for Retry-After seconds before sending again', async () => {
+        fetch.mockResolvedValueOnce(response(429, {}, { 'Retry-After': '2' })).mockResolvedValueOnce(response(200, { id: 'me' }));
+        const request = spotifyRequest('token', '/me');
+        await advance(1999);
+        expect(fetch).toHaveBeenCalledTimes(1);
+        await advance(1);
+        await expect(request).resolves.toEqual({ id: 'me' });
+        expect(fetch).toHaveBeenCalledTimes(2);
+    });
+
+    test('understands Retry-After as an HTTP date', async () => {
+        const retryAt = new Date(Date.now() + 3000).toUTCString();
+        fetch.mockResolvedValueOnce(response(429, {}, { 'Retry-After': retryAt })).mockResolvedValueOnce(response(200, {}));
+        const request = spotifyRequest('token', '/me');
+        await advance(2000);
+        expect(fetch).toHaveBeenCalledTimes(1);
+        await advance(1000);
+        await request;
+        expect(fetch).toHaveBeenCalledTimes(2);
+    });
+
+    test('pauses other requests until the rate limit is over', async () => {
+        fetch.mockResolvedValueOnce(response(429, {}, { 'Retry-After': '5' })).mockResolvedValue(response(200, {}));
+        const first = spotifyRequest('token', '/me');
+        await flush();
+        const second = spotifyRequest('token', '/me/playlists');
+        await advance(4000);
+        expect(fetch).toHaveBeenCalledTimes(1);
+        await advance(1000);
+        await Promise.all([first, second]);
+        expect(fetch).toHaveBeenCalledTimes(3);
+    });
+
+    test('throws a RateLimitError once the retries are used up', async () => {
+        fetch.mockResolvedValue(response(429, {}, { 'Retry-After': '1' }));
+        const request = spotifyRequest('token', '/me');
+        const failure = request.catch(error => error); // Handled now, so the rejection isn't reported as unhandled
+        for (let attempt = 0; attempt < 4; attempt++) await advance(1000);
+        expect(await failure).toMatchObject({ name: 'RateLimitError', status: 429, retryAfterMs: 1000 });
+        expect(fetch).toHaveBeenCalledTimes(5);
+    });
+});
+
+describe('retries', () => {
+    test('backs off exponentially between failed reads', async () => {
+        fetch
+            .mockResolvedValueOnce(response(503))
+            .mockResolvedValueOnce(response(502))
+            .mockResolvedValueOnce(response(200, { ok: true }));
+        const request = spotifyRequest('token', '/me');
+        await advance(249);
+        expect(fetch).toHaveBeenCalledTimes(1);
+        await advance(1); // 500ms * 2^0, halved by the jitter
+        expect(fetch).toHaveBeenCalledTimes(2);
+        await advance(499);
+        expect(fetch).toHaveBeenCalledTimes(2);
+        await advance(1); // 500ms * 2^1, halved
+        await expect(request).resolves.toEqual({ ok: true });
+    });
+
+    test('retries reads after network failures', async () => {
+        fetch.mockRejectedValueOnce(new TypeError('Failed to fetch')).mockResolvedValueOnce(response(200, { id: 'me' }));
+        const request = spotifyRequest('token', '/me');
+        await advance(250);
+        await expect(request).resolves.toEqual({ id: 'me' });
+    });
+
+    test('does not retry writes after a 5xx or a network failure', async () => {
+        fetch.mockResolvedValueOnce(response(500));
+        await expect(spotifyRequest('token', '/playlists/p1/tracks', { method: 'POST', body: { uris: [] } }))
+            .rejects.toMatchObject({ name: 'ApiError', status: 500, retryable: true });
+        fetch.mockRejectedValueOnce(new TypeError('Failed to fetch'));
+        await expect(spotifyRequest('token', '/playlists/p1/tracks', { method: 'POST', body: { uris: [] } }))
+            .rejects.toMatchObject({ name: 'ApiError', status: null, retryable: true });
+        expect(fetch).toHaveBeenCalledTimes(2);
+    });
+
+    test('retries writes after a 429', async () => {
+        fetch.mockResolvedValueOnce(response(429, {}, { 'Retry-After': '1' })).mockResolvedValueOnce(response(201, { snapshot_id: 's2' }));
+        const request = spotifyRequest('token', '/playlists/p1/tracks', { method: 'POST', body: { uris: [] } });
+        await advance(1000);
+        await expect(request).resolves.toEqual({ snapshot_id: 's2' });
+        expect(fetch).toHaveBeenCalledTimes(2);
+    });
+
+    test('does not retry client errors', async () => {
+        fetch.mockResolvedValueOnce(response(404, { error: { message: 'Not found' } }));
+        await expect(spotifyRequest('token', '/playlists/gone')).rejects.toMatchObject({ name: 'NotFoundError', status: 404, retryable: false });
+        expect(fetch).toHaveBeenCalledTimes(1);
+    });
+});
+
+describe('concurrency', () => {
+    test('sends at most four requests at a time', async () => {
+        const pending = [];
+        fetch.mockImplementation(() => new Promise(resolve => pending.push(resolve)));
+        const requests = Array.from({ length: 6 }, (_, index) => spotifyRequest('token', `/playlists/p${index}`));
+        await flush();
+        expect(fetch).toHaveBeenCalledTimes(4);
+
+        pending.shift()(response(200, {}));
+        await flush();
+        expect(fetch).toHaveBeenCalledTimes(5);
+
+        while (pending.length > 0) {
+            pending.shift()(response(200, {}));
+            await flush();
+        }
+        await Promise.all(requests);
+        expect(fetch).toHaveBeenCalledTimes(6);
+    });
+});
+
+describe('token renewal', () => {
+    test('sends the token a refresh replaced the given one with', async () => {
+        auth.getRenewedSpotifyToken.mockReturnValue('renewed');
+        fetch.mockResolvedValueOnce(response(200, {}));
+        await spotifyRequest('stale', '/me');
+        expect(auth.getRenewedSpotifyToken).toHaveBeenCalledWith('stale');
+        expect(fetch.mock.calls[0][1].headers.Authorization).toBe('Bearer renewed');
+    });
+
+    test('renews the token once after a 401 and sends the request again', async () => {
+        auth.renewRejectedSpotifyToken.mockResolvedValue('fresh');
+        const sentTokens = [];
+        fetch.mockImplementation(async (url, { headers }) => {
+            sentTokens.push(headers.Authorization); // The headers object is reused for the retry
+            return sentTokens.length === 1 ? response(401) : response(200, { id: 'me' });
+        });
+        await expect(spotifyRequest('expired', '/me')).resolves.toEqual({ id: 'me' });
+        expect(auth.renewRejectedSpotifyToken).toHaveBeenCalledWith('expired');
+        expect(sentTokens).toEqual(['Bearer expired', 'Bearer fresh']);
+    });
+
+    test('throws an AuthError when the renewed token is rejected too', async () => {
+        auth.renewRejectedSpotifyToken.mockResolvedValue('fresh');
+        fetch.mockResolvedValue(response(401));
+        await expect(spotifyRequest('expired', '/me')).rejects.toMatchObject({ name: 'AuthError', status: 401 });
+        expect(auth.renewRejectedSpotifyToken).toHaveBeenCalledTimes(1);
+        expect(fetch).toHaveBeenCalledTimes(2);
+    });
+
+    test('throws an AuthError without sending again when the token cannot be renewed', async () => {
+        auth.renewRejectedSpotifyToken.mockRejectedValue(new Error('No refresh token'));
+        fetch.mockResolvedValue(response(401));
+        await expect(spotifyRequest('expired', '/me')).rejects.toMatchObject({ name: 'AuthError', status: 401 });
+        expect(fetch).toHaveBeenCalledTimes(1);
+    });
+});
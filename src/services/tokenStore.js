@@ -0,0 +1,202 @@
+// src/services/tokenStore.js
+// Single place that reads/writes OAuth tokens for every provider and tracks their expiry.
+// Storage layout per provider: <provider>_access_token, <provider>_token_expires (ms), <provider>_refresh_token
+import { AuthError } from './errors';
+
+export const PROVIDERS = ['spotify', 'youtube', 'amazon'];
+
+// How long before expiry the 'expiring' event fires
+export const EXPIRY_WARNING_MS = 5 * 60 * 1000;
+
+const keysFor = (provider) => ({
+    access: `${provider}_access_token`,
+    expires: `${provider}_token_expires`,
+    refresh: `${provider}_refresh_token`,
+});
+
+const assertProvider = (provider) => {
+    if (!PROVIDERS.includes(provider)) throw new Error(`Unknown token provider: ${provider}`);
+};
+
+// --- Events ---
+
+const listeners = new Set();
+const timers = {}; // provider -> { expiring, expired }
+
+/**
+ * Subscribes to token events.
+ * @param {function({type: 'updated'|'expiring'|'expired'|'cleared', provider: string}): void} listener
+ * @returns {function(): void} Unsubscribe function.
+ */
+export const subscribe = (listener) => {
+    listeners.add(listener);
+    return () => listeners.delete(listener);
+};
+
+const emit = (type, provider) => {
+    listeners.forEach((listener) => {
+        try {
+            listener({ type, provider });
+        } catch (error) {
+            console.error(`Token store listener failed on '${type}' for ${provider}:`, error);
+        }
+    });
+};
+
+const clearTimers = (provider) => {
+    if (!timers[provider]) return;
+    clearTimeout(timers[provider].expiring);
+    clearTimeout(timers[provider].expired);
+    delete timers[provider];
+};
+
+/**
+ * (Re)schedules the 'expiring' and 'expired' events for a provider from its stored expiry.
+ * @param {string} provider - Provider name.
+ */
+export const scheduleExpiry = (provider) => {
+    assertProvider(provider);
+    clearTimers(provider);
+    const expiry = getTokenExpiry(provider);
+    if (!expiry || !localStorage.getItem(keysFor(provider).access)) return;
+
+    const now = Date.now();
+    timers[provider] = {
+        expiring: setTimeout(() => emit('expiring', provider), Math.max(expiry - EXPIRY_WARNING_MS - now, 0)),
+        expired: setTimeout(() => emit('expired', provider), Math.max(expiry - now, 0)),
+    };
+};
+
+// --- Reads ---
+
+/**
+ * @param {string} provider - Provider name.
+ * @returns {number|null} Expiry timestamp in ms, or null if not recorded.
+ */
+export const getTokenExpiry = (provider) => {
+    assertProvider(provider);
+    const expiry = parseInt(localStorage.getItem(keysFor(provider).expires), 10);
+    return Number.isNaN(expiry) ? null : expiry;
+};
+
+/**
+ * A token without a recorded expiry is treated as valid; the API will reject it if not.
+ * @param {string} provider - Provider name.
+ * @returns {boolean} True if the stored access token has passed its expiry.
+ */
+export const isTokenExpired = (provider) => {
+    const expiry = getTokenExpiry(provider);
+    return expiry !== null && Date.now() >= expiry;
+};
+
+/**
+ * Returns the stored access token only if it has not expired.
+ * @param {string} provider - Provider name.
+ * @returns {string|null} The access token, or null if missing/expired.
+ */
+export const getAccessToken = (provider) => {
+    assertProvider(provider);
+    const token = localStorage.getItem(keysFor(provider).access);
+    if (!token || isTokenExpired(provider)) return null;
+    return token;
+};
+
+/**
+ * Like getAccessToken, but throws a user-facing error when the token is missing or expired.
+ * @param {string} provider - Provider name.
+ * @param {string} serviceName - Display name used in the error (e.g., 'YouTube').
+ * @returns {string} The access token.
+ * @throws {AuthError} If the token is missing or expired.
+ */
+export const requireAccessToken = (provider, serviceName) => {
+    const token = getAccessToken(provider);
+    if (token) return token;
+    if (getStoredAccessToken(provider)) {
+        throw new AuthError(`${serviceName} access token has expired. Please reconnect to ${serviceName}.`, { service: provider });
+    }
+    throw new AuthError(`${serviceName} access token is missing. Please connect to ${serviceName}.`, { service: provider });
+};
+
+/**
+ * Returns the stored access token regardless of expiry (e.g., to decide whether to try a refresh).
+ * @param {string} provider - Provider name.
+ * @returns {string|null}
+ */
+export const getStoredAccessToken = (provider) => {
+    assertProvider(provider);
+    return localStorage.getItem(keysFor(provider).access);
+};
+
+/**
+ * @param {string} provider - Provider name.
+ * @returns {string|null} The stored refresh token, if any.
+ */
+export const getRefreshToken = (provider) => {
+    assertProvider(provider);
+    return localStorage.getItem(keysFor(provider).refresh);
+};
+
+/**
+ * @param {string} provider - Provider name.
+ * @returns {{connected: boolean, expired: boolean, expiresAt: number|null, canRefresh: boolean}}
+ */
+export const getTokenStatus = (provider) => ({
+    connected: !!getStoredAccessToken(provider),
+    expired: isTokenExpired(provider),
+    expiresAt: getTokenExpiry(provider),
+    canRefresh: !!getRefreshToken(provider),
+});
+
+// --- Writes ---
+
+/**
+ * Stores tokens for a provider and schedules expiry events.
+ * A missing refreshToken leaves any existing one in place.
+ * @param {string} provider - Provider name.
+ * @param {object} tokens
+ * @param {string} tokens.accessToken - The access token.
+ * @param {number|string} [tokens.expiresIn] - Lifetime in seconds.
+ * @param {number} [tokens.expiresAt] - Absolute expiry timestamp (ms); used when expiresIn is absent.
+ * @param {string} [tokens.refreshToken] - Refresh token, if issued.
+ */
+export const setTokens = (provider, { accessToken, expiresIn, expiresAt, refreshToken }) => {
+    assertProvider(provider);
+    if (!accessToken) throw new Error(`An access token is required to store ${provider} tokens.`);
+    const keys = keysFor(provider);
+    localStorage.setItem(keys.access, accessToken);
+    if (refreshToken) localStorage.setItem(keys.refresh, refreshToken);
+    const seconds = parseInt(expiresIn, 10);
+    if (!Number.isNaN(seconds)) {
+        localStorage.setItem(keys.expires, (Date.now() + seconds * 1000).toString());
+    } else if (Number.isFinite(expiresAt)) {
+        localStorage.setItem(keys.expires, expiresAt.toString());
+    } else {
+        localStorage.removeItem(keys.expires);
+    }
+    scheduleExpiry(provider);
+    emit('updated', provider);
+};
+
+/**
+ * Removes all stored tokens for a provider.
+ * @param {string} provider - Provider name.
+ */
+export const clearTokens = (provider) => {
+    assertProvider(provider);
+    const keys = keysFor(provider);
+    localStorage.removeItem(keys.access);
+    localStorage.removeItem(keys.expires);
+    localStorage.removeItem(keys.refresh);
+    clearTimers(provider);
+    emit('cleared', provider);
+};
+
+/**
+ * Removes tokens for every provider.
+ */
+export const clearAllTokens = () => {
+    PROVIDERS.forEach(clearTokens);
+};
+
+// Pick up tokens persisted by a previous session
+PROVIDERS.forEach(scheduleExpiry);
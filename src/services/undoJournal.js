@@ -0,0 +1,127 @@
+// src/services/undoJournal.js
+// Local journal of playlist states recorded before destructive edits (remove duplicates, remove,
+// move, reorder, restore), so any of them can be restored later. Entries are kept per account in
+// localStorage; the track list is stored as URIs in playlist order, so an entry's index is the position.
+
+const JOURNAL_KEY = 'smart_shuffler_undo_journal';
+const MAX_ENTRIES_PER_PLAYLIST = 10;
+const MAX_ENTRIES = 50;
+
+const listeners = new Set();
+
+/**
+ * Subscribes to journal changes (entries recorded, removed or cleared).
+ * @param {function(): void} listener
+ * @returns {function(): void} Unsubscribe function.
+ */
+export const subscribeToJournal = (listener) => {
+    listeners.add(listener);
+    return () => listeners.delete(listener);
+};
+
+const emit = () => {
+    listeners.forEach((listener) => {
+        try {
+            listener();
+        } catch (error) {
+            console.error("Undo journal listener failed:", error);
+        }
+    });
+};
+
+const readEntries = () => {
+    try {
+        const entries = JSON.parse(localStorage.getItem(JOURNAL_KEY));
+        return Array.isArray(entries) ? entries : [];
+    } catch (e) {
+        console.warn("Could not parse the undo journal, resetting.");
+        return [];
+    }
+};
+
+// Drops the oldest entries until the journal fits in localStorage. Returns false, leaving the
+// stored journal as it was, if even the newest entry alone doesn't fit.
+const writeEntries = (entries) => {
+    let kept = entries;
+    for (;;) {
+        try {
+            localStorage.setItem(JOURNAL_KEY, JSON.stringify(kept));
+            return true;
+        } catch (error) {
+            if (kept.length <= 1) return false;
+            console.warn(`Undo journal is too large for localStorage, dropping the oldest entry (${kept.length} left).`);
+            kept = kept.slice(0, -1); // Entries are stored newest first
+        }
+    }
+};
+
+/**
+ * Records a playlist's track list before it is changed.
+ * @param {object} state
+ * @param {string} state.accountId - Spotify user ID the playlist belongs to (the active account).
+ * @param {string} state.playlistId - Spotify playlist ID.
+ * @param {string} state.playlistName - Name shown in the history panel.
+ * @param {string} state.action - What is about to change it (e.g., 'Remove duplicates').
+ * @param {Array<object>} state.trackItems - Playlist track items ({ track: { uri } }) in playlist order.
+ * @param {string|null} [state.snapshotId] - The snapshot_id of that version, if known.
+ * @returns {object|null} The stored entry, or null if it could not be stored.
+ */
+export const recordPlaylistState = ({ accountId, playlistId, playlistName, action, trackItems, snapshotId = null }) => {
+    if (!accountId || !playlistId || !Array.isArray(trackItems)) {
+        console.warn("Undo journal: missing account, playlist or tracks; nothing recorded.");
+        return null;
+    }
+    const entry = {
+        id: `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`,
+        accountId,
+        playlistId,
+        playlistName: playlistName || playlistId,
+        action,
+        createdAt: Date.now(),
+        snapshotId,
+        // Rows without track data can't be restored, but keep their slot so positions stay true
+        uris: trackItems.map(item => item?.track?.uri || null),
+    };
+
+    // Newest first; trim per playlist, then overall
+    let playlistCount = 0;
+    const entries = [entry, ...readEntries()].filter(existing => {
+        if (existing.accountId !== accountId || existing.playlistId !== playlistId) return true;
+        playlistCount++;
+        return playlistCount <= MAX_ENTRIES_PER_PLAYLIST;
+    }).slice(0, MAX_ENTRIES);
+
+    if (!writeEntries(entries)) {
+        console.warn(`Undo journal: "${entry.playlistName}" is too large to record.`);
+        return null;
+    }
+    emit();
+    console.log(`Undo journal: recorded "${entry.playlistName}" (${entry.uris.length} tracks) before "${action}".`);
+    return entry;
+};
+
+/**
+ * @param {string} accountId - Spotify user ID.
+ * @param {string} [playlistId] - Only entries for this playlist.
+ * @returns {Array<object>} Entries, newest first: { id, playlistId, playlistName, action, createdAt, snapshotId, uris }.
+ */
+export const getJournalEntries = (accountId, playlistId) => readEntries().filter(entry => (
+    entry.accountId === accountId && (!playlistId || entry.playlistId === playlistId)
+));
+
+/**
+ * @param {string} entryId - ID of the entry to delete.
+ */
+export const removeJournalEntry = (entryId) => {
+    writeEntries(readEntries().filter(entry => entry.id !== entryId));
+    emit();
+};
+
+/**
+ * Deletes all entries of an account.
+ * @param {string} accountId - Spotify user ID.
+ */
+export const clearJournal = (accountId) => {
+    writeEntries(readEntries().filter(entry => entry.accountId !== accountId));
+    emit();
+};
@@ -0,0 +1,142 @@
+import {
+    subscribeToJournal, recordPlaylistState, getJournalEntries, removeJournalEntry, clearJournal
+} from './undoJournal';
+
+const JOURNAL_KEY = 'smart_shuffler_undo_journal';
+
+// In-memory localStorage whose setItem throws like a full browser store once a value passes `quota` characters
+const createFakeStorage = (quota = Infinity) => {
+    const values = new Map();
+    const storage = {
+        quota,
+        getItem: (key) => (values.has(key) ? values.get(key) : null),
+        setItem: (key, value) => {
+            if (String(value).length > storage.quota) throw new DOMException('The quota has been exceeded.', 'QuotaExceededError');
+            values.set(key, String(value));
+        },
+        removeItem: (key) => values.delete(key),
+        clear: () => values.clear(),
+    };
+    return storage;
+};
+
+const useStorage = (storage) => {
+    Object.defineProperty(window, 'localStorage', { value: storage, configurable: true });
+    return storage;
+};
+
+const realStorage = window.localStorage;
+const items = (...ids) => ids.map(id => ({ track: { uri: `spotify:track:${id}` } }));
+const record = (overrides = {}) => recordPlaylistState({
+    accountId: 'alice', playlistId: 'p1', playlistName: 'Road Trip', action: 'Remove duplicates', trackItems: items('a', 'b'), ...overrides,
+});
+
+beforeEach(() => {
+    useStorage(createFakeStorage());
+    ['log', 'warn'].forEach(level => jest.spyOn(console, level).mockImplementation(() => {}));
+});
+
+afterEach(() => {
+    useStorage(realStorage);
+    jest.restoreAllMocks();
+});
+
+describe('recordPlaylistState', () => {
+    test('stores the track URIs in playlist order, keeping the slots of rows without a track', () => {
+        const entry = record({ trackItems: [...items('a'), { track: null }, ...items('b')], snapshotId: 's1' });
+        expect(entry).toMatchObject({
+            accountId: 'alice', playlistId: 'p1', playlistName: 'Road Trip', action: 'Remove duplicates', snapshotId: 's1',
+            uris: ['spotify:track:a', null, 'spotify:track:b'],
+        });
+        expect(getJournalEntries('alice')).toEqual([entry]);
+    });
+
+    test('records nothing without an account, a playlist or tracks', () => {
+        expect(record({ accountId: null })).toBeNull();
+        expect(record({ playlistId: undefined })).toBeNull();
+        expect(record({ trackItems: undefined })).toBeNull();
+        expect(localStorage.getItem(JOURNAL_KEY)).toBeNull();
+    });
+
+    test('keeps the ten newest entries of a playlist', () => {
+        for (let index = 0; index < 12; index++) record({ action: `Edit ${index}` });
+        record({ playlistId: 'p2' });
+        const entries = getJournalEntries('alice', 'p1');
+        expect(entries).toHaveLength(10);
+        expect(entries[0].action).toBe('Edit 11');
+        expect(entries[9].action).toBe('Edit 2');
+        expect(getJournalEntries('alice', 'p2')).toHaveLength(1);
+    });
+
+    test('notifies subscribers until they unsubscribe', () => {
+        const listener = jest.fn();
+        const unsubscribe = subscribeToJournal(listener);
+        record();
+        unsubscribe();
+        record();
+        expect(listener).toHaveBeenCalledTimes(1);
+    });
+});
+
+describe('getJournalEntries', () => {
+    test('filters by account and, optionally, by playlist', () => {
+        const first = record();
+        const second = record({ playlistId: 'p2' });
+        const bobs = record({ accountId: 'bob' });
+        expect(getJournalEntries('alice')).toEqual([second, first]);
+        expect(getJournalEntries('alice', 'p2')).toEqual([second]);
+        expect(getJournalEntries('bob')).toEqual([bobs]);
+        expect(getJournalEntries('carol')).toEqual([]);
+    });
+
+    test('treats an unreadable journal as empty', () => {
+        localStorage.setItem(JOURNAL_KEY, '{broken');
+        expect(getJournalEntries('alice')).toEqual([]);
+    });
+});
+
+describe('removing entries', () => {
+    test('removeJournalEntry deletes just that entry', () => {
+        const first = record();
+        const second = record();
+        removeJournalEntry(first.id);
+        expect(getJournalEntries('alice')).toEqual([second]);
+    });
+
+    test("clearJournal deletes one account's entries", () => {
+        record();
+        record({ playlistId: 'p2' });
+        const bobs = record({ accountId: 'bob' });
+        clearJournal('alice');
+        expect(getJournalEntries('alice')).toEqual([]);
+        expect(getJournalEntries('bob')).toEqual([bobs]);
+    });
+});
+
+describe('when localStorage is full', () => {
+    test('drops the oldest entries to make room for a new one', () => {
+        const storage = useStorage(createFakeStorage());
+        const oldest = record({ action: 'Oldest' });
+        record({ playlistId: 'p2', action: 'Older' });
+        // Room for about two entries: the oldest has to go
+        storage.quota = storage.getItem(JOURNAL_KEY).length + 100;
+        const newest = record({ playlistId: 'p3', action: 'Newest' });
+        expect(newest).not.toBeNull();
+        expect(getJournalEntries('alice').map(entry => entry.action)).toEqual(['Newest', 'Older']);
+        expect(getJournalEntries('alice').some(entry => entry.id === oldest.id)).toBe(false);
+    });
+
+    test('returns null and leaves the journal alone when the entry does not fit on its own', () => {
+        const storage = useStorage(createFakeStorage(2000));
+        const kept = record();
+        const before = storage.getItem(JOURNAL_KEY);
+        const listener = jest.fn();
+        const unsubscribe = subscribeToJournal(listener);
+        const tooLarge = record({ playlistId: 'p2', trackItems: items(...Array.from({ length: 200 }, (_, index) => `track${index}`)) });
+        unsubscribe();
+        expect(tooLarge).toBeNull();
+        expect(storage.getItem(JOURNAL_KEY)).toBe(before);
+        expect(getJournalEntries('alice')).toEqual([kept]);
+        expect(listener).not.toHaveBeenCalled();
+    });
+});
@@ -3,3 +3,8 @@
 // expect(element).toHaveTextContent(/react/i)
 // learn more: https://github.com/testing-library/jest-dom
 import '@testing-library/jest-dom';
+
+// jsdom has no Web Crypto; OAuth state nonces need crypto.getRandomValues
+if (!window.crypto) {
+    Object.defineProperty(window, 'crypto', { value: require('crypto').webcrypto });
+}
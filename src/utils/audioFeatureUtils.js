@@ -0,0 +1,73 @@
+// src/utils/audioFeatureUtils.js
+// Display and sorting helpers for Spotify audio features (see fetchAudioFeatures in spotifyService).
+
+const PITCH_CLASSES = ['C', 'C♯/D♭', 'D', 'D♯/E♭', 'E', 'F', 'F♯/G♭', 'G', 'G♯/A♭', 'A', 'A♯/B♭', 'B'];
+
+/**
+ * @param {number|null} key - Pitch class (0 = C ... 11 = B), -1 or null when unknown.
+ * @param {number|null} mode - 1 for major, 0 for minor.
+ * @returns {string} E.g., "F♯/G♭ minor", or an empty string when unknown.
+ */
+export const formatKey = (key, mode) => {
+    if (key == null || key < 0 || key > 11) return '';
+    const modeName = mode === 1 ? 'major' : mode === 0 ? 'minor' : '';
+    return `${PITCH_CLASSES[key]} ${modeName}`.trim();
+};
+
+const formatRatio = (value) => (value == null ? '' : value.toFixed(2));
+
+/**
+ * Audio feature columns shown in the track view and added to CSV exports.
+ * `sortValue` returns null when the feature is unknown; `csvValue` exports the raw Spotify value(s).
+ */
+export const AUDIO_FEATURE_COLUMNS = [
+    {
+        key: 'tempo', label: 'Tempo', csvHeaders: ['Tempo (BPM)'],
+        format: (features) => (features.tempo == null ? '' : String(Math.round(features.tempo))),
+        sortValue: (features) => features.tempo,
+        csvValue: (features) => [features.tempo],
+    },
+    {
+        key: 'energy', label: 'Energy', csvHeaders: ['Energy'],
+        format: (features) => formatRatio(features.energy),
+        sortValue: (features) => features.energy,
+        csvValue: (features) => [features.energy],
+    },
+    {
+        key: 'valence', label: 'Valence', csvHeaders: ['Valence'],
+        format: (features) => formatRatio(features.valence),
+        sortValue: (features) => features.valence,
+        csvValue: (features) => [features.valence],
+    },
+    {
+        key: 'danceability', label: 'Dance', csvHeaders: ['Danceability'],
+        format: (features) => formatRatio(features.danceability),
+        sortValue: (features) => features.danceability,
+        csvValue: (features) => [features.danceability],
+    },
+    {
+        key: 'key', label: 'Key', csvHeaders: ['Key', 'Mode'],
+        format: (features) => formatKey(features.key, features.mode),
+        // Groups by pitch class, minor before major
+        sortValue: (features) => (features.key == null || features.key < 0 ? null : features.key * 2 + (features.mode ?? 0)),
+        csvValue: (features) => [features.key, features.mode],
+    },
+];
+
+/**
+ * Builds a comparator for track items on an audio feature column. Tracks without features always sort last.
+ * @param {object} column - An entry of AUDIO_FEATURE_COLUMNS.
+ * @param {object} featuresById - Map of trackId -> features (or null).
+ * @param {'asc'|'desc'} direction - Sort direction.
+ * @returns {function(object, object): number} Comparator for Array.prototype.sort.
+ */
+export const compareByAudioFeature = (column, featuresById, direction) => (a, b) => {
+    const featuresA = featuresById?.[a?.track?.id];
+    const featuresB = featuresById?.[b?.track?.id];
+    const valueA = featuresA ? column.sortValue(featuresA) : null;
+    const valueB = featuresB ? column.sortValue(featuresB) : null;
+    if (valueA == null && valueB == null) return 0;
+    if (valueA == null) return 1;
+    if (valueB == null) return -1;
+    return direction === 'desc' ? valueB - valueA : valueA - valueB;
+};
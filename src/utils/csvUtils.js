@@ -1,4 +1,5 @@
 // src/utils/csvUtils.js
+import { AUDIO_FEATURE_COLUMNS } from './audioFeatureUtils';
 
 /**
  * Parses a CSV file expecting a 'trackId' column.
@@ -161,8 +162,9 @@ const escapeCsvField = (field) => {
  * Formats track data from Spotify API into a CSV string and triggers a browser download.
  * @param {Array<object>} trackItems - Array of track items from Spotify API (e.g., [{ track: {...} }, ...]).
  * @param {string} playlistName - The name of the playlist, used for the filename base.
+ * @param {object|null} [audioFeatures] - Map of trackId -> audio features; adds feature columns when given.
  */
-export const exportTracksToCsv = (trackItems, playlistName) => {
+export const exportTracksToCsv = (trackItems, playlistName, audioFeatures = null) => {
   if (!Array.isArray(trackItems)) {
       console.error("exportTracksToCsv: Invalid input. 'trackItems' must be an array.");
       alert("Failed to export: Invalid track data received.");
@@ -173,8 +175,9 @@ export const exportTracksToCsv = (trackItems, playlistName) => {
     return;
   }
 
+  const featureHeaders = audioFeatures ? AUDIO_FEATURE_COLUMNS.flatMap(column => column.csvHeaders) : [];
   const headers = [
-    "Track Name", "Artists", "Album", "Duration (ms)", "Spotify ID"
+    "Track Name", "Artists", "Album", "Duration (ms)", "Spotify ID", ...featureHeaders
   ].map(escapeCsvField);
 
   const rows = trackItems.map(item => {
@@ -185,9 +188,14 @@ export const exportTracksToCsv = (trackItems, playlistName) => {
     const albumName = track.album?.name ?? '';
     const duration = track.duration_ms ?? '';
     const spotifyId = track.id ?? '';
+    // Tracks without features get empty cells so columns stay aligned
+    const features = audioFeatures?.[track.id];
+    const featureValues = audioFeatures
+      ? AUDIO_FEATURE_COLUMNS.flatMap(column => (features ? column.csvValue(features) : column.csvHeaders.map(() => '')))
+      : [];
     return [
       escapeCsvField(trackName), escapeCsvField(artists), escapeCsvField(albumName),
-      escapeCsvField(duration), escapeCsvField(spotifyId)
+      escapeCsvField(duration), escapeCsvField(spotifyId), ...featureValues.map(escapeCsvField)
     ];
   }).filter(row => row !== null);
 
@@ -0,0 +1,11 @@
+// src/utils/descriptionUtils.js
+
+/**
+ * Spotify returns playlist descriptions HTML-escaped (`&quot;`, `&#x27;`...). Decode one before showing
+ * it in a form or writing it back, or the entities end up saved literally.
+ * @param {string} [description]
+ * @returns {string} The plain text.
+ */
+export const decodeDescription = (description) => (
+    new DOMParser().parseFromString(description || '', 'text/html').documentElement.textContent
+);
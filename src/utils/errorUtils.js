@@ -0,0 +1,36 @@
+// src/utils/errorUtils.js
+import {
+    AuthError, RateLimitError, NotFoundError, BackendUnavailableError, ValidationError
+} from '../services/errors';
+
+/**
+ * True only for errors that mean the Spotify session itself is gone (401, missing/rejected token).
+ * Errors from other services never end the session, whatever their message says.
+ * @param {Error} error - Any caught error.
+ * @returns {boolean}
+ */
+export const isSpotifySessionError = (error) => error instanceof AuthError && error.service === 'spotify';
+
+/**
+ * Builds the user-facing text for an error, adding a hint based on its type.
+ * @param {Error} error - Any caught error.
+ * @returns {string} Message suitable for alert().
+ */
+export const describeError = (error) => {
+    const message = error?.message || 'Unknown error.';
+    if (error instanceof RateLimitError) {
+        const wait = error.retryAfterMs ? ` Please wait ${Math.ceil(error.retryAfterMs / 1000)} seconds and try again.` : ' Please wait a moment and try again.';
+        return `Spotify is rate limiting requests.${wait}\n(${message})`;
+    }
+    if (error instanceof BackendUnavailableError) {
+        const fallback = error.service === 'shuffle' ? '\nQuick Shuffle in the playlist menu works without it.' : '';
+        return `${message}\nCheck that the backend is running and its URL on the Settings page.${fallback}`;
+    }
+    if (error instanceof NotFoundError) {
+        return `${message}\nIt may have been deleted or made private. Try refreshing.`;
+    }
+    if (error instanceof AuthError || error instanceof ValidationError) {
+        return message; // These messages already say what to do
+    }
+    return `${message}\n\nPlease try again or check the console for details.`;
+};
@@ -0,0 +1,54 @@
+// src/utils/generatedPlaylists.js
+// Recognizes playlists created by Smart Shuffler so they can be cleaned up in bulk.
+
+// Spotify returns descriptions HTML-escaped, so quotes may arrive as &quot;
+const QUOTE = '(?:"|&quot;|&#34;)';
+const MOODS = '(?:Angry|Calm|Excited|Happy|Sad)';
+
+/**
+ * Kinds of generated playlists, each matched by the name and/or description the app gives them.
+ * Add an entry here whenever a feature starts creating playlists of its own.
+ */
+export const GENERATED_PLAYLIST_KINDS = [
+    {
+        key: 'mood-shuffle',
+        label: 'Mood shuffle',
+        namePattern: new RegExp(` - ${MOODS} Mood$`),
+        descriptionPattern: new RegExp(`^Shuffled ${QUOTE}.*${QUOTE} based on mood: ${MOODS}`),
+    },
+    {
+        key: 'mood-journey',
+        label: 'Mood journey',
+        namePattern: new RegExp(` - ${MOODS} to ${MOODS} Journey$`),
+        descriptionPattern: new RegExp(`^Mood journey of ${QUOTE}.*${QUOTE}: `),
+    },
+    {
+        key: 'mood-blend',
+        label: 'Mood blend',
+        namePattern: / - Mood Blend$/,
+        descriptionPattern: new RegExp(`^Mood blend of ${QUOTE}.*${QUOTE}: `),
+    },
+    {
+        key: 'local-shuffle',
+        label: 'Quick shuffle',
+        namePattern: / - Shuffled$/,
+        descriptionPattern: new RegExp(`^Shuffled ${QUOTE}.*${QUOTE} locally: `),
+    },
+    {
+        key: 'duplicate',
+        label: 'Duplicate',
+        descriptionPattern: new RegExp(`^Copy of ${QUOTE}.*${QUOTE} made with Smart Shuffler$`),
+    },
+];
+
+/**
+ * @param {object} playlist - A playlist from fetchPlaylists.
+ * @param {string} currentUserId - Only playlists this user owns count as generated.
+ * @returns {object|null} The matching entry of GENERATED_PLAYLIST_KINDS, or null.
+ */
+export const getGeneratedPlaylistKind = (playlist, currentUserId) => {
+    if (!playlist?.id || playlist.sourceType || playlist.owner?.id !== currentUserId) return null;
+    return GENERATED_PLAYLIST_KINDS.find(kind => (
+        kind.descriptionPattern?.test(playlist.description || '') || kind.namePattern?.test(playlist.name || '')
+    )) || null;
+};
@@ -0,0 +1,58 @@
+// src/utils/imageUtils.js
+import { ValidationError } from '../services/errors';
+import { MAX_COVER_IMAGE_BASE64_LENGTH } from '../services/spotifyService';
+
+const MAX_COVER_SIZE_PX = 640; // Spotify displays covers at up to 640×640
+const JPEG_QUALITIES = [0.92, 0.8, 0.7, 0.6, 0.5, 0.4];
+
+const readAsDataUrl = (file) => new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(reader.result);
+    reader.onerror = () => reject(new ValidationError(`Could not read "${file.name}".`));
+    reader.readAsDataURL(file);
+});
+
+const loadImage = (dataUrl) => new Promise((resolve, reject) => {
+    const image = new Image();
+    image.onload = () => resolve(image);
+    image.onerror = () => reject(new ValidationError("The selected file is not a readable image."));
+    image.src = dataUrl;
+});
+
+const toBase64 = (dataUrl) => dataUrl.slice(dataUrl.indexOf(',') + 1);
+
+/**
+ * Turns an image file into a JPEG that fits Spotify's cover upload limit (256 KB of base64).
+ * JPEGs that already fit are used as-is; anything else is scaled to at most 640px and re-encoded,
+ * lowering the quality (then the size) until it fits.
+ * @param {File} file - The image chosen by the user.
+ * @returns {Promise<{base64: string, dataUrl: string}>} Base64 JPEG data for uploadPlaylistCoverImage, and a
+ *   data: URL for previews.
+ * @throws {ValidationError} If the file isn't an image or can't be made small enough.
+ */
+export const prepareCoverImage = async (file) => {
+    if (!file?.type?.startsWith('image/')) throw new ValidationError("Please choose an image file (JPEG or PNG).");
+    const dataUrl = await readAsDataUrl(file);
+    if (file.type === 'image/jpeg' && toBase64(dataUrl).length <= MAX_COVER_IMAGE_BASE64_LENGTH) {
+        return { base64: toBase64(dataUrl), dataUrl };
+    }
+
+    const image = await loadImage(dataUrl);
+    const canvas = document.createElement('canvas');
+    let scale = Math.min(1, MAX_COVER_SIZE_PX / Math.max(image.width, image.height));
+    for (let attempt = 0; attempt < 3; attempt++, scale /= 2) {
+        canvas.width = Math.max(1, Math.round(image.width * scale));
+        canvas.height = Math.max(1, Math.round(image.height * scale));
+        const context = canvas.getContext('2d');
+        context.fillStyle = '#000000'; // JPEG has no transparency
+        context.fillRect(0, 0, canvas.width, canvas.height);
+        context.drawImage(image, 0, 0, canvas.width, canvas.height);
+        for (const quality of JPEG_QUALITIES) {
+            const jpegDataUrl = canvas.toDataURL('image/jpeg', quality);
+            if (toBase64(jpegDataUrl).length <= MAX_COVER_IMAGE_BASE64_LENGTH) {
+                return { base64: toBase64(jpegDataUrl), dataUrl: jpegDataUrl };
+            }
+        }
+    }
+    throw new ValidationError("The image is too large to use as a cover, even after compressing it.");
+};
@@ -0,0 +1,123 @@
+// src/utils/localShuffle.js
+// Shuffles a playlist in the browser, so shuffling still works when the shuffle backend is down.
+
+/**
+ * Strategies offered for local shuffles.
+ */
+export const LOCAL_SHUFFLE_STRATEGIES = [
+    { key: 'random', label: 'True random (Fisher–Yates)' },
+    { key: 'artist-spread', label: 'Spread artists' },
+    { key: 'album-spread', label: 'Spread albums' },
+    { key: 'smart', label: 'Smart (balanced)' },
+];
+
+export const getLocalShuffleLabel = (strategy) => (
+    LOCAL_SHUFFLE_STRATEGIES.find(option => option.key === strategy)?.label || strategy
+);
+
+// Tracks without artist/album data get a key of their own, so they never count as "the same"
+const getArtistKey = (item, index) => item?.track?.artists?.[0]?.name?.toLowerCase() || `#${index}`;
+const getAlbumKey = (item, index) => {
+    const albumName = item?.track?.album?.name?.toLowerCase();
+    return albumName ? `${getArtistKey(item, index)}\u0000${albumName}` : `#${index}`;
+};
+
+/**
+ * Fisher–Yates shuffle of a copy of `values`.
+ * @param {Array} values
+ * @param {function(): number} random - Returns a number in [0, 1).
+ * @returns {Array}
+ */
+export const fisherYates = (values, random) => {
+    const result = [...values];
+    for (let i = result.length - 1; i > 0; i--) {
+        const j = Math.floor(random() * (i + 1));
+        [result[i], result[j]] = [result[j], result[i]];
+    }
+    return result;
+};
+
+// Groups positions by key, each group shuffled
+const groupPositions = (positions, getKey, random) => {
+    const groups = new Map();
+    positions.forEach(position => {
+        const key = getKey(position);
+        if (!groups.has(key)) groups.set(key, []);
+        groups.get(key).push(position);
+    });
+    return [...groups.values()].map(group => fisherYates(group, random));
+};
+
+/**
+ * Orders positions so no two neighbours share a key whenever that is possible.
+ * Each step draws a group other than the previous one, weighted by how many tracks it has left; a group
+ * holding more than half of the remaining tracks is drawn first, since it can't be spread out otherwise.
+ * When only the previous group is left its tracks have to follow each other.
+ */
+const spreadPositions = (positions, getKey, random) => {
+    const groups = groupPositions(positions, getKey, random);
+    const order = [];
+    let remaining = positions.length;
+    let previous = null;
+    while (remaining > 0) {
+        const candidates = [];
+        for (const group of groups) {
+            if (group.length > 0 && group !== previous) candidates.push(group);
+        }
+        let next;
+        if (candidates.length === 0) {
+            next = previous;
+        } else {
+            const largest = candidates.reduce((best, group) => (group.length > best.length ? group : best));
+            if (largest.length * 2 > remaining) {
+                next = largest;
+            } else {
+                let pick = random() * candidates.reduce((sum, group) => sum + group.length, 0);
+                next = candidates.find(group => (pick -= group.length) < 0) || candidates[candidates.length - 1];
+            }
+        }
+        order.push(next.pop());
+        remaining--;
+        previous = next;
+    }
+    return order;
+};
+
+/**
+ * Spreads each artist's tracks evenly over the whole playlist (with a random offset and a little
+ * jitter, so it doesn't look mechanical), and each artist's albums over that artist's slots.
+ */
+const smartPositions = (positions, getArtist, getAlbum, random) => {
+    const slotted = groupPositions(positions, getArtist, random).flatMap(group => {
+        const ordered = spreadPositions(group, getAlbum, random);
+        const step = 1 / ordered.length;
+        const offset = random() * step;
+        return ordered.map((position, index) => ({ position, slot: offset + index * step + (random() - 0.5) * step * 0.2 }));
+    });
+    return slotted.sort((a, b) => a.slot - b.slot).map(entry => entry.position);
+};
+
+/**
+ * Shuffles a playlist's tracks locally.
+ * @param {Array<object>} trackItems - Playlist track items in playlist order.
+ * @param {string} strategy - A key of LOCAL_SHUFFLE_STRATEGIES.
+ * @param {{random?: function(): number}} [options] - `random` returns numbers in [0, 1); defaults to Math.random.
+ * @returns {Array<number>} The current positions in their new order.
+ */
+export const shuffleTracks = (trackItems, strategy, { random = Math.random } = {}) => {
+    const positions = trackItems.map((_, index) => index);
+    const getArtist = (position) => getArtistKey(trackItems[position], position);
+    const getAlbum = (position) => getAlbumKey(trackItems[position], position);
+    switch (strategy) {
+        case 'artist-spread':
+            return spreadPositions(positions, getArtist, random);
+        case 'album-spread':
+            return spreadPositions(positions, getAlbum, random);
+        case 'smart':
+            return smartPositions(positions, getArtist, getAlbum, random);
+        case 'random':
+            return fisherYates(positions, random);
+        default:
+            throw new Error(`Unknown shuffle strategy: ${strategy}`);
+    }
+};
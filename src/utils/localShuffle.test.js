@@ -0,0 +1,65 @@
+import { shuffleTracks, fisherYates, LOCAL_SHUFFLE_STRATEGIES } from './localShuffle';
+import { createSeededRandom } from './shuffleSeed';
+
+const item = (artist, album) => ({ track: { artists: [{ name: artist }], album: { name: album } } });
+
+// Five tracks by A, three by B, two by C (each artist on two albums)
+const trackItems = [
+    item('A', 'A1'), item('A', 'A1'), item('A', 'A2'), item('A', 'A2'), item('A', 'A1'),
+    item('B', 'B1'), item('B', 'B2'), item('B', 'B1'),
+    item('C', 'C1'), item('C', 'C2'),
+];
+const artistAt = (position) => trackItems[position].track.artists[0].name;
+const albumAt = (position) => `${artistAt(position)}/${trackItems[position].track.album.name}`;
+const neighboursSharing = (order, getKey) => order.filter((position, index) => index > 0 && getKey(order[index - 1]) === getKey(position)).length;
+
+describe('fisherYates', () => {
+    test('returns a shuffled copy and leaves the input alone', () => {
+        const values = [1, 2, 3, 4, 5];
+        const result = fisherYates(values, createSeededRandom('x'));
+        expect(values).toEqual([1, 2, 3, 4, 5]);
+        expect([...result].sort()).toEqual(values);
+    });
+});
+
+describe('shuffleTracks', () => {
+    test.each(LOCAL_SHUFFLE_STRATEGIES.map(strategy => strategy.key))('%s returns every position once', (strategy) => {
+        const order = shuffleTracks(trackItems, strategy, { random: createSeededRandom('seed') });
+        expect([...order].sort((a, b) => a - b)).toEqual(trackItems.map((_, index) => index));
+    });
+
+    test.each(LOCAL_SHUFFLE_STRATEGIES.map(strategy => strategy.key))('%s gives the same order for the same seed', (strategy) => {
+        const run = () => shuffleTracks(trackItems, strategy, { random: createSeededRandom('repeat') });
+        expect(run()).toEqual(run());
+    });
+
+    test('artist-spread never puts two tracks of an artist next to each other when it can be avoided', () => {
+        for (let run = 0; run < 50; run++) {
+            const order = shuffleTracks(trackItems, 'artist-spread', { random: createSeededRandom(`artist-${run}`) });
+            expect(neighboursSharing(order, artistAt)).toBe(0);
+        }
+    });
+
+    test('album-spread never puts two tracks of an album next to each other when it can be avoided', () => {
+        for (let run = 0; run < 50; run++) {
+            const order = shuffleTracks(trackItems, 'album-spread', { random: createSeededRandom(`album-${run}`) });
+            expect(neighboursSharing(order, albumAt)).toBe(0);
+        }
+    });
+
+    test('artist-spread lets an artist repeat only when nothing else is left', () => {
+        const lopsided = [item('A', 'A1'), item('A', 'A1'), item('A', 'A1'), item('B', 'B1')];
+        const order = shuffleTracks(lopsided, 'artist-spread', { random: createSeededRandom('x') });
+        expect(neighboursSharing(order, (position) => lopsided[position].track.artists[0].name)).toBe(1);
+    });
+
+    test('tracks without artist data never count as the same artist', () => {
+        const bare = [{ track: {} }, { track: {} }, { track: null }];
+        const order = shuffleTracks(bare, 'artist-spread', { random: createSeededRandom('x') });
+        expect([...order].sort()).toEqual([0, 1, 2]);
+    });
+
+    test('rejects unknown strategies', () => {
+        expect(() => shuffleTracks(trackItems, 'sideways')).toThrow('Unknown shuffle strategy: sideways');
+    });
+});
@@ -0,0 +1,73 @@
+// src/utils/reorderUtils.js
+// Turns a drag-and-drop of (possibly non-contiguous) selected rows into Spotify reorder requests.
+
+/**
+ * Plans moving the selected positions of a list so they end up together, in their current
+ * relative order, right before `insertBefore`.
+ * Selected rows are grouped into contiguous runs and each run becomes one reorder request that
+ * inserts it before the first unselected row at or after `insertBefore` (the anchor), so the
+ * runs line up behind each other. Moves that wouldn't change anything are skipped.
+ * @param {number} length - Number of tracks in the playlist.
+ * @param {Array<number>} selectedIndices - Positions of the rows being moved.
+ * @param {number} insertBefore - Position (0..length) the rows were dropped before.
+ * @returns {{order: Array<number>, moves: Array<{rangeStart: number, rangeLength: number, insertBefore: number}>}}
+ *   `order` lists the original positions in their new order; `moves` are to be sent one after the other,
+ *   each with positions relative to the result of the previous one.
+ */
+export const planReorder = (length, selectedIndices, insertBefore) => {
+    const selected = [...new Set(selectedIndices)]
+        .filter(index => Number.isInteger(index) && index >= 0 && index < length)
+        .sort((a, b) => a - b);
+    const selectedSet = new Set(selected);
+    let order = Array.from({ length }, (_, index) => index);
+    if (selected.length === 0) return { order, moves: [] };
+
+    let anchor = Math.max(0, Math.min(insertBefore, length));
+    while (anchor < length && selectedSet.has(anchor)) anchor++;
+
+    // Contiguous runs of selected positions, in playlist order
+    const runs = [];
+    selected.forEach(index => {
+        const lastRun = runs[runs.length - 1];
+        if (lastRun && lastRun[lastRun.length - 1] === index - 1) lastRun.push(index);
+        else runs.push([index]);
+    });
+
+    const moves = [];
+    runs.forEach(run => {
+        const rangeStart = order.indexOf(run[0]);
+        const target = anchor < length ? order.indexOf(anchor) : length;
+        if (rangeStart + run.length === target) return; // Already in place
+        moves.push({ rangeStart, rangeLength: run.length, insertBefore: target });
+        const block = order.splice(rangeStart, run.length);
+        order.splice(target > rangeStart ? target - run.length : target, 0, ...block);
+    });
+    return { order, moves };
+};
+
+/**
+ * Plans the reorder requests that rearrange a whole list into `order`.
+ * Works front to back: whenever the row that belongs at a position isn't there yet, it is moved
+ * there together with the rows that already follow it in the wanted order.
+ * @param {Array<number>} order - Every original position (0..length-1) exactly once, in the wanted order.
+ * @returns {Array<{rangeStart: number, rangeLength: number, insertBefore: number}>} Moves to be sent one
+ *   after the other, each with positions relative to the result of the previous one.
+ */
+export const planPermutation = (order) => {
+    const current = Array.from({ length: order.length }, (_, index) => index);
+    const moves = [];
+    let position = 0;
+    while (position < order.length) {
+        const rangeStart = current.indexOf(order[position], position);
+        if (rangeStart === position) {
+            position++;
+            continue;
+        }
+        let rangeLength = 1;
+        while (position + rangeLength < order.length && current[rangeStart + rangeLength] === order[position + rangeLength]) rangeLength++;
+        moves.push({ rangeStart, rangeLength, insertBefore: position });
+        current.splice(position, 0, ...current.splice(rangeStart, rangeLength));
+        position += rangeLength;
+    }
+    return moves;
+};
@@ -0,0 +1,86 @@
+import { planReorder, planPermutation } from './reorderUtils';
+
+// Applies reorder requests the way Spotify does: positions are relative to the list before each move
+const applyMoves = (items, moves) => moves.reduce((list, { rangeStart, rangeLength, insertBefore }) => {
+    const next = [...list];
+    const block = next.splice(rangeStart, rangeLength);
+    next.splice(insertBefore > rangeStart ? insertBefore - rangeLength : insertBefore, 0, ...block);
+    return next;
+}, items);
+
+const range = (length) => Array.from({ length }, (_, index) => index);
+
+describe('planReorder', () => {
+    test('moves a single row down', () => {
+        const { order, moves } = planReorder(5, [1], 4);
+        expect(order).toEqual([0, 2, 3, 1, 4]);
+        expect(moves).toEqual([{ rangeStart: 1, rangeLength: 1, insertBefore: 4 }]);
+        expect(applyMoves(range(5), moves)).toEqual(order);
+    });
+
+    test('gathers non-contiguous rows in their current order', () => {
+        const { order, moves } = planReorder(8, [6, 1, 2, 4], 0);
+        expect(order).toEqual([1, 2, 4, 6, 0, 3, 5, 7]);
+        expect(applyMoves(range(8), moves)).toEqual(order);
+    });
+
+    test('drops after selected rows land before the next unselected row', () => {
+        const { order, moves } = planReorder(6, [0, 3], 4);
+        expect(order).toEqual([1, 2, 0, 3, 4, 5]);
+        expect(applyMoves(range(6), moves)).toEqual(order);
+    });
+
+    test('plans no moves when nothing changes', () => {
+        expect(planReorder(5, [2], 2).moves).toEqual([]);
+        expect(planReorder(5, [2], 3).moves).toEqual([]);
+        expect(planReorder(5, [], 0)).toEqual({ order: range(5), moves: [] });
+    });
+
+    test('ignores positions outside the list', () => {
+        const { order, moves } = planReorder(4, [3, 7, -1], 0);
+        expect(order).toEqual([3, 0, 1, 2]);
+        expect(applyMoves(range(4), moves)).toEqual(order);
+    });
+});
+
+describe('planPermutation', () => {
+    test('plans nothing for the current order', () => {
+        expect(planPermutation(range(6))).toEqual([]);
+    });
+
+    test('moves runs that already follow each other together', () => {
+        const moves = planPermutation([3, 4, 5, 0, 1, 2]);
+        expect(moves).toEqual([{ rangeStart: 3, rangeLength: 3, insertBefore: 0 }]);
+        expect(applyMoves(range(6), moves)).toEqual([3, 4, 5, 0, 1, 2]);
+    });
+
+    test('reaches any order', () => {
+        const orders = [
+            [5, 4, 3, 2, 1, 0],
+            [1, 0, 3, 2, 5, 4],
+            [2, 7, 0, 5, 1, 6, 3, 4],
+            [0, 2, 1],
+        ];
+        orders.forEach(order => {
+            expect(applyMoves(range(order.length), planPermutation(order))).toEqual(order);
+        });
+    });
+
+    test('reaches shuffled orders of longer lists', () => {
+        let seed = 1;
+        const random = () => {
+            seed = (seed * 16807) % 2147483647;
+            return seed / 2147483647;
+        };
+        for (let run = 0; run < 20; run++) {
+            const order = range(60);
+            for (let i = order.length - 1; i > 0; i--) {
+                const j = Math.floor(random() * (i + 1));
+                [order[i], order[j]] = [order[j], order[i]];
+            }
+            const moves = planPermutation(order);
+            expect(moves.length).toBeLessThan(order.length);
+            expect(applyMoves(range(order.length), moves)).toEqual(order);
+        }
+    });
+});
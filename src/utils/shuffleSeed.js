@@ -0,0 +1,87 @@
+// src/utils/shuffleSeed.js
+// Seeds make shuffles reproducible: the same seed and tracks give the same order. Generated playlists
+// carry their seed and shuffle parameters at the end of their description, so they can be reshuffled.
+import { ValidationError } from '../services/errors';
+
+const SEED_PATTERN = /^[A-Za-z0-9_-]{1,32}$/;
+// e.g. "(seed=k3j9x2; strategy=smart; source=37i9dQZF1DX...)" at the end of a description
+const PARAMS_PATTERN = /\(seed=([A-Za-z0-9_-]{1,32})((?:; [a-z]+=[^;()]*)*)\)\s*$/;
+
+/**
+ * @returns {string} A new random seed (8 characters, base 36).
+ */
+export const generateSeed = () => Array.from({ length: 8 }, () => Math.floor(Math.random() * 36).toString(36)).join('');
+
+/**
+ * Validates a seed typed in by the user.
+ * @param {string} input
+ * @returns {string} The trimmed seed.
+ * @throws {ValidationError} If it isn't 1-32 letters, digits, '-' or '_'.
+ */
+export const normalizeSeed = (input) => {
+    const seed = String(input ?? '').trim();
+    if (!SEED_PATTERN.test(seed)) {
+        throw new ValidationError(`Invalid seed "${seed}". Use up to 32 letters, digits, '-' or '_'.`);
+    }
+    return seed;
+};
+
+/**
+ * Creates a random number generator that always returns the same sequence for the same seed
+ * (the string is hashed with xmur3, numbers come from mulberry32).
+ * @param {string} seed
+ * @returns {function(): number} Returns numbers in [0, 1), like Math.random.
+ */
+export const createSeededRandom = (seed) => {
+    let hash = 1779033703 ^ seed.length;
+    for (let i = 0; i < seed.length; i++) {
+        hash = Math.imul(hash ^ seed.charCodeAt(i), 3432918353);
+        hash = (hash << 13) | (hash >>> 19);
+    }
+    hash = Math.imul(hash ^ (hash >>> 16), 2246822507);
+    hash = Math.imul(hash ^ (hash >>> 13), 3266489909);
+    let state = (hash ^ (hash >>> 16)) >>> 0;
+    return () => {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+};
+
+/**
+ * Formats shuffle parameters for a playlist description. Empty values are left out.
+ * @param {{seed: string}} params - The seed plus e.g. `strategy` or `mood`, and `source` (source playlist ID).
+ * @returns {string} e.g. "(seed=k3j9x2; strategy=smart; source=abc)"
+ */
+export const formatShuffleParams = ({ seed, ...params }) => {
+    const rest = Object.entries(params).filter(([, value]) => value).map(([key, value]) => `; ${key}=${value}`).join('');
+    return `(seed=${seed}${rest})`;
+};
+
+/**
+ * Reads the parameters written by formatShuffleParams back from a playlist description.
+ * @param {string} description
+ * @returns {object|null} { seed, ...params }, or null if the description has none.
+ */
+export const parseShuffleParams = (description) => {
+    const match = PARAMS_PATTERN.exec(description || '');
+    if (!match) return null;
+    const params = { seed: match[1] };
+    match[2].split('; ').filter(Boolean).forEach(pair => {
+        const separator = pair.indexOf('=');
+        params[pair.slice(0, separator)] = pair.slice(separator + 1);
+    });
+    return params;
+};
+
+/**
+ * Replaces (or appends) the parameters at the end of a description.
+ * @param {string} description
+ * @param {object} params - See formatShuffleParams.
+ * @returns {string}
+ */
+export const withShuffleParams = (description, params) => (
+    `${(description || '').replace(PARAMS_PATTERN, '').trimEnd()} ${formatShuffleParams(params)}`.trim()
+);
@@ -0,0 +1,64 @@
+import {
+    generateSeed, normalizeSeed, createSeededRandom, formatShuffleParams, parseShuffleParams, withShuffleParams
+} from './shuffleSeed';
+import { ValidationError } from '../services/errors';
+
+describe('seeds', () => {
+    test('generated seeds are valid', () => {
+        const seed = generateSeed();
+        expect(seed).toMatch(/^[a-z0-9]{8}$/);
+        expect(normalizeSeed(seed)).toBe(seed);
+    });
+
+    test('normalizeSeed trims and rejects invalid seeds', () => {
+        expect(normalizeSeed('  my_seed-1 ')).toBe('my_seed-1');
+        expect(() => normalizeSeed('')).toThrow(ValidationError);
+        expect(() => normalizeSeed('with space')).toThrow(ValidationError);
+        expect(() => normalizeSeed('x'.repeat(33))).toThrow(ValidationError);
+    });
+
+    test('createSeededRandom repeats its sequence for the same seed', () => {
+        const sequence = (seed) => {
+            const random = createSeededRandom(seed);
+            return Array.from({ length: 20 }, () => random());
+        };
+        expect(sequence('abc')).toEqual(sequence('abc'));
+        expect(sequence('abc')).not.toEqual(sequence('abd'));
+        sequence('range').forEach(value => {
+            expect(value).toBeGreaterThanOrEqual(0);
+            expect(value).toBeLessThan(1);
+        });
+    });
+});
+
+describe('shuffle parameters in descriptions', () => {
+    test('round-trip through a description', () => {
+        const params = { seed: 'k3j9x2', strategy: 'smart', source: '37i9dQZF1DX' };
+        const description = withShuffleParams('Shuffled "Road Trip" locally: Smart (balanced)', params);
+        expect(description).toBe('Shuffled "Road Trip" locally: Smart (balanced) (seed=k3j9x2; strategy=smart; source=37i9dQZF1DX)');
+        expect(parseShuffleParams(description)).toEqual(params);
+    });
+
+    test('formatShuffleParams leaves out empty values', () => {
+        expect(formatShuffleParams({ seed: 'a', mood: 'Happy', strategy: undefined, source: '' })).toBe('(seed=a; mood=Happy)');
+    });
+
+    test('withShuffleParams replaces existing parameters instead of adding a second set', () => {
+        const first = withShuffleParams('Mood blend of "Mix": 60% Happy', { seed: 'one', blend: 'Happy60-Calm40', length: 50 });
+        const second = withShuffleParams(first, { ...parseShuffleParams(first), seed: 'two' });
+        expect(second).toBe('Mood blend of "Mix": 60% Happy (seed=two; blend=Happy60-Calm40; length=50)');
+        expect(parseShuffleParams(second).seed).toBe('two');
+    });
+
+    test('withShuffleParams works on empty descriptions', () => {
+        expect(withShuffleParams('', { seed: 'a' })).toBe('(seed=a)');
+        expect(withShuffleParams(null, { seed: 'a' })).toBe('(seed=a)');
+    });
+
+    test('parseShuffleParams returns null without parameters at the end', () => {
+        expect(parseShuffleParams('Just a playlist')).toBeNull();
+        expect(parseShuffleParams('')).toBeNull();
+        expect(parseShuffleParams(undefined)).toBeNull();
+        expect(parseShuffleParams('(seed=a) and more text')).toBeNull();
+    });
+});
@@ -0,0 +1,246 @@
+// src/utils/shuffleUtils.js
+// Turns the shuffle service's mood predictions into playlists: a new order for a whole playlist
+// (shuffle in place), mood journeys and mood blends.
+import { fisherYates } from './localShuffle';
+
+// Moods the shuffle service classifies tracks into
+export const MOODS = ['Angry', 'Calm', 'Excited', 'Happy', 'Sad'];
+
+/**
+ * What a mood shuffle produces: a new playlist with the matching tracks, or the source playlist
+ * itself re-ordered (all of its tracks are kept).
+ */
+export const SHUFFLE_MODES = [
+    { key: 'new', label: 'Create a new playlist', inPlace: false },
+    { key: 'mood-first', label: 'Reorder this playlist: mood first', inPlace: true },
+    { key: 'interleave', label: 'Reorder this playlist: interleave moods', inPlace: true },
+];
+
+export const isInPlaceShuffleMode = (mode) => Boolean(SHUFFLE_MODES.find(option => option.key === mode)?.inPlace);
+
+/**
+ * Puts a mood bucket in an order decided by `random` alone: the IDs are sorted before they are
+ * shuffled, so the order the shuffle service returned them in makes no difference.
+ * @param {Array<{track_id: string}>} tracks - One mood of `mood_predictions`.
+ * @param {function(): number} random - Returns numbers in [0, 1), e.g. createSeededRandom(seed).
+ * @returns {Array<string>} The bucket's track IDs, each once.
+ */
+export const shuffleMoodTracks = (tracks, random) => fisherYates(
+    [...new Set((Array.isArray(tracks) ? tracks : []).map(track => track?.track_id).filter(Boolean))].sort(),
+    random,
+);
+
+/**
+ * Orders every position of a playlist by the shuffle service's mood predictions.
+ * Each mood's tracks are shuffled with `random` (see shuffleMoodTracks); every copy of a track moves
+ * with its first prediction, and tracks the service didn't classify (local files, unavailable tracks)
+ * go last in their current order.
+ * - 'mood-first': the tracks of `mood`, then all others in their current order.
+ * - 'interleave': one track of each mood in turn, starting with `mood`.
+ * @param {Array<object>} trackItems - Playlist track items in playlist order.
+ * @param {object} moodPredictions - `mood_predictions` from sendPlaylistToShuffle: mood -> [{ track_id }].
+ * @param {string} mood - The chosen mood (capitalized, e.g. 'Happy').
+ * @param {'mood-first'|'interleave'} arrangement
+ * @param {{random?: function(): number}} [options] - `random` returns numbers in [0, 1); defaults to Math.random.
+ * @returns {{order: Array<number>, matchedCount: number}} `order` lists the current positions in their new
+ *   order; `matchedCount` is how many of them belong to `mood`.
+ */
+export const orderByMood = (trackItems, moodPredictions, mood, arrangement, { random = Math.random } = {}) => {
+    const positionsById = new Map();
+    trackItems.forEach((item, index) => {
+        const id = item?.track?.id;
+        if (!id) return;
+        if (!positionsById.has(id)) positionsById.set(id, []);
+        positionsById.get(id).push(index);
+    });
+    const takePositions = (trackId) => {
+        const positions = positionsById.get(trackId) || [];
+        positionsById.delete(trackId);
+        return positions;
+    };
+
+    const moods = [mood, ...Object.keys(moodPredictions || {}).filter(name => name !== mood)];
+    const groups = moods.map(name => shuffleMoodTracks(moodPredictions?.[name], random).flatMap(takePositions));
+    const placed = new Set(groups.flat());
+    const unclassified = trackItems.map((_, index) => index).filter(index => !placed.has(index));
+    const moodGroup = groups[0];
+
+    let order;
+    if (arrangement === 'interleave') {
+        order = [];
+        const longest = Math.max(0, ...groups.map(group => group.length));
+        for (let round = 0; round < longest; round++) {
+            for (const group of groups) {
+                if (round < group.length) order.push(group[round]);
+            }
+        }
+        order.push(...unclassified);
+    } else {
+        const moodSet = new Set(moodGroup);
+        order = [...moodGroup, ...trackItems.map((_, index) => index).filter(index => !moodSet.has(index))];
+    }
+    return { order, matchedCount: moodGroup.length };
+};
+
+// Where each mood sits by valence (sad → happy) and energy (calm → excited); used to find the moods
+// a journey passes through and to order tracks within a stage
+const MOOD_POSITIONS = {
+    Sad: { valence: 0.2, energy: 0.2 },
+    Calm: { valence: 0.6, energy: 0.2 },
+    Happy: { valence: 0.8, energy: 0.6 },
+    Excited: { valence: 0.7, energy: 0.9 },
+    Angry: { valence: 0.2, energy: 0.9 },
+};
+const MAX_DETOUR = 0.3; // How far off the straight line a mood may be and still be a stage
+
+/**
+ * Picks the stages of a mood journey: the start mood, the moods lying roughly on the way from it to
+ * the end mood (in the order they are passed), and the end mood.
+ * @param {string} startMood - e.g. 'Sad'.
+ * @param {string} endMood - e.g. 'Happy'.
+ * @returns {Array<string>} e.g. ['Sad', 'Calm', 'Happy'].
+ */
+export const planMoodJourney = (startMood, endMood) => {
+    const start = MOOD_POSITIONS[startMood];
+    const end = MOOD_POSITIONS[endMood];
+    if (!start || !end || startMood === endMood) return [startMood, endMood].filter(Boolean);
+    const dx = end.valence - start.valence;
+    const dy = end.energy - start.energy;
+    const length = Math.hypot(dx, dy);
+    const stops = MOODS
+        .filter(mood => mood !== startMood && mood !== endMood)
+        .map(mood => {
+            const px = MOOD_POSITIONS[mood].valence - start.valence;
+            const py = MOOD_POSITIONS[mood].energy - start.energy;
+            return { mood, along: (px * dx + py * dy) / (length * length), offset: Math.abs(px * dy - py * dx) / length };
+        })
+        .filter(stop => stop.along > 0 && stop.along < 1 && stop.offset <= MAX_DETOUR)
+        .sort((a, b) => a.along - b.along);
+    return [startMood, ...stops.map(stop => stop.mood), endMood];
+};
+
+/**
+ * Builds the track order of a mood journey from the shuffle service's mood buckets.
+ * The journey is as long as the buckets allow while keeping the stages' proportions. Each stage's
+ * tracks are picked with `random` (see shuffleMoodTracks); with audio features they are then ordered
+ * from the start mood's side towards the end mood's, so the stage flows into the next one.
+ * @param {object} moodPredictions - `mood_predictions` from sendPlaylistToShuffle: mood -> [{ track_id }].
+ * @param {Array<{mood: string, weight: number}>} stages - Stages in journey order with their relative share.
+ * @param {object|null} [audioFeatures] - trackId -> { valence, energy, ... }, from fetchAudioFeatures.
+ * @param {{random?: function(): number}} [options] - `random` returns numbers in [0, 1); defaults to Math.random.
+ * @returns {{trackIds: Array<string>, counts: object}} The ordered track IDs and how many each stage got.
+ * @throws {Error} If the start or end mood has no weight or no tracks.
+ */
+export const buildMoodJourney = (moodPredictions, stages, audioFeatures = null, { random = Math.random } = {}) => {
+    [0, stages.length - 1].forEach(index => {
+        if (!(stages[index].weight > 0)) throw new Error(`The journey's start and end moods need a share above 0% (${stages[index].mood} has none).`);
+    });
+    const used = new Set();
+    const buckets = stages.map(({ mood }) => shuffleMoodTracks(moodPredictions?.[mood], random)
+        .filter(id => !used.has(id) && used.add(id)));
+
+    [0, stages.length - 1].forEach(index => {
+        if (buckets[index].length === 0) throw new Error(`No tracks in this playlist were classified as ${stages[index].mood}.`);
+    });
+    // Stages without tracks (or weight) in between are left out rather than cutting the journey short
+    const active = stages
+        .map((stage, index) => ({ ...stage, trackIds: buckets[index] }))
+        .filter(stage => stage.trackIds.length > 0 && stage.weight > 0);
+    const totalWeight = active.reduce((sum, stage) => sum + stage.weight, 0);
+    const length = Math.min(...active.map(stage => stage.trackIds.length / (stage.weight / totalWeight)));
+
+    const start = MOOD_POSITIONS[stages[0].mood];
+    const end = MOOD_POSITIONS[stages[stages.length - 1].mood];
+    const progress = (trackId) => {
+        if (!start || !end) return 0;
+        const features = audioFeatures?.[trackId]; // Tracks without features count as neutral
+        return (features?.valence ?? 0.5) * (end.valence - start.valence) + (features?.energy ?? 0.5) * (end.energy - start.energy);
+    };
+
+    const counts = Object.fromEntries(stages.map(({ mood }) => [mood, 0]));
+    const trackIds = active.flatMap(stage => {
+        const count = Math.max(1, Math.min(stage.trackIds.length, Math.round(length * stage.weight / totalWeight)));
+        counts[stage.mood] = count;
+        const picked = stage.trackIds.slice(0, count);
+        return audioFeatures ? picked.sort((a, b) => progress(a) - progress(b)) : picked;
+    });
+    if (trackIds.length === 0) throw new Error("The journey has no tracks.");
+    return { trackIds, counts };
+};
+
+/**
+ * Samples a mix of moods from the shuffle service's mood buckets.
+ * Each mood gets its share of `length` (largest remainders round up); when a bucket runs short, the
+ * missing tracks are shared among the moods that have some left, so the mix only comes out shorter
+ * than `length` when the buckets run out altogether. The moods are spread evenly through the result.
+ * @param {object} moodPredictions - `mood_predictions` from sendPlaylistToShuffle: mood -> [{ track_id }].
+ * @param {object} weights - mood -> relative weight (e.g. { Happy: 60, Excited: 30, Calm: 10 }).
+ * @param {number} length - Wanted number of tracks.
+ * @param {{random?: function(): number}} [options] - `random` returns numbers in [0, 1); defaults to Math.random.
+ * @returns {{trackIds: Array<string>, counts: object}} The mixed track IDs and how many each mood got.
+ * @throws {Error} If no mood with weight has any tracks.
+ */
+export const buildMoodBlend = (moodPredictions, weights, length, { random = Math.random } = {}) => {
+    const used = new Set();
+    const moods = MOODS.filter(mood => weights[mood] > 0).map(mood => ({
+        mood,
+        weight: weights[mood],
+        // Sampled without replacement, in a random order
+        pool: shuffleMoodTracks(moodPredictions?.[mood], random).filter(id => !used.has(id) && used.add(id)),
+        count: 0,
+    }));
+    if (moods.every(entry => entry.pool.length === 0)) throw new Error("None of the chosen moods has any tracks in this playlist.");
+
+    let missing = Math.max(0, Math.floor(length));
+    while (missing > 0) {
+        const open = moods.filter(entry => entry.count < entry.pool.length);
+        if (open.length === 0) break;
+        const totalWeight = open.reduce((sum, entry) => sum + entry.weight, 0);
+        const wanted = missing;
+        const shares = open.map(entry => {
+            const exact = (wanted * entry.weight) / totalWeight;
+            return { entry, whole: Math.min(Math.floor(exact), entry.pool.length - entry.count), remainder: exact - Math.floor(exact) };
+        });
+        shares.forEach(share => { share.entry.count += share.whole; });
+        let assigned = shares.reduce((sum, share) => sum + share.whole, 0);
+        // Hand out what rounding left over, largest remainder first
+        shares
+            .filter(share => share.entry.count < share.entry.pool.length)
+            .sort((a, b) => b.remainder - a.remainder)
+            .forEach(share => {
+                if (assigned < wanted) {
+                    share.entry.count++;
+                    assigned++;
+                }
+            });
+        missing -= assigned;
+    }
+
+    // Spread each mood evenly over the result, with a random offset
+    const slotted = moods.flatMap(entry => {
+        const step = 1 / Math.max(1, entry.count);
+        const offset = random() * step;
+        return entry.pool.slice(0, entry.count).map((trackId, index) => ({ trackId, slot: offset + index * step }));
+    });
+    return {
+        trackIds: slotted.sort((a, b) => a.slot - b.slot).map(entry => entry.trackId),
+        counts: Object.fromEntries(moods.map(entry => [entry.mood, entry.count])),
+    };
+};
+
+/**
+ * Formats blend weights for a playlist description, e.g. "Happy60-Excited30-Calm10".
+ * @param {object} weights - mood -> weight.
+ * @returns {string}
+ */
+export const formatBlendWeights = (weights) => MOODS.filter(mood => weights[mood] > 0).map(mood => `${mood}${weights[mood]}`).join('-');
+
+/**
+ * Reads weights written by formatBlendWeights.
+ * @param {string} text
+ * @returns {object} mood -> weight.
+ */
+export const parseBlendWeights = (text) => Object.fromEntries((text || '').split('-')
+    .map(part => /^([A-Za-z]+)(\d+(?:\.\d+)?)$/.exec(part))
+    .filter(match => match && MOODS.includes(match[1]))
+    .map(match => [match[1], Number(match[2])]));
@@ -0,0 +1,173 @@
+import {
+    orderByMood, shuffleMoodTracks, planMoodJourney, buildMoodJourney, buildMoodBlend, formatBlendWeights, parseBlendWeights
+} from './shuffleUtils';
+import { createSeededRandom } from './shuffleSeed';
+
+const item = (id) => ({ track: id ? { id, uri: `spotify:track:${id}` } : { id: null, uri: 'spotify:local:a:b:c:1' } });
+const bucket = (...ids) => ids.map(id => ({ track_id: id }));
+
+describe('shuffleMoodTracks', () => {
+    test('gives the same order for the same seed whatever order the service returned', () => {
+        const first = shuffleMoodTracks(bucket('a', 'b', 'c', 'd', 'e', 'f'), createSeededRandom('seed-1'));
+        const second = shuffleMoodTracks(bucket('f', 'c', 'e', 'a', 'd', 'b'), createSeededRandom('seed-1'));
+        expect(second).toEqual(first);
+        expect([...first].sort()).toEqual(['a', 'b', 'c', 'd', 'e', 'f']);
+    });
+
+    test('keeps each track once and skips entries without an ID', () => {
+        const ids = shuffleMoodTracks([...bucket('a', 'b', 'a'), {}, null], createSeededRandom('x'));
+        expect([...ids].sort()).toEqual(['a', 'b']);
+    });
+
+    test('treats a missing bucket as empty', () => {
+        expect(shuffleMoodTracks(undefined, Math.random)).toEqual([]);
+    });
+});
+
+describe('orderByMood', () => {
+    const trackItems = ['h1', 's1', 'h2', 'c1', 's2', null, 'h1'].map(item);
+    const predictions = { Happy: bucket('h1', 'h2'), Sad: bucket('s1', 's2'), Calm: bucket('c1') };
+
+    test('mood-first puts every copy of the mood tracks first and keeps the rest in place', () => {
+        const { order, matchedCount } = orderByMood(trackItems, predictions, 'Happy', 'mood-first', { random: createSeededRandom('a') });
+        expect(matchedCount).toBe(3);
+        expect(order.slice(0, 3).sort()).toEqual([0, 2, 6]);
+        expect(order.slice(3)).toEqual([1, 3, 4, 5]);
+    });
+
+    test('interleave takes one track of each mood in turn and puts unclassified tracks last', () => {
+        const { order } = orderByMood(trackItems, predictions, 'Sad', 'interleave', { random: createSeededRandom('b') });
+        expect([...order].sort()).toEqual([0, 1, 2, 3, 4, 5, 6]);
+        expect([1, 4]).toContain(order[0]);
+        expect(order[order.length - 1]).toBe(5); // The local file
+    });
+
+    test('the seed decides the order', () => {
+        const run = (seed) => orderByMood(trackItems, predictions, 'Happy', 'interleave', { random: createSeededRandom(seed) }).order;
+        expect(run('same')).toEqual(run('same'));
+    });
+
+    test('reports no matches for a mood without tracks', () => {
+        const { order, matchedCount } = orderByMood(trackItems, predictions, 'Angry', 'mood-first');
+        expect(matchedCount).toBe(0);
+        expect(order).toEqual([0, 1, 2, 3, 4, 5, 6]);
+    });
+});
+
+describe('planMoodJourney', () => {
+    test('passes the moods on the way, in order', () => {
+        expect(planMoodJourney('Sad', 'Happy')).toEqual(['Sad', 'Calm', 'Happy']);
+        expect(planMoodJourney('Happy', 'Sad')).toEqual(['Happy', 'Calm', 'Sad']);
+    });
+
+    test('keeps just the two moods when nothing lies in between', () => {
+        expect(planMoodJourney('Sad', 'Calm')).toEqual(['Sad', 'Calm']);
+    });
+});
+
+describe('buildMoodJourney', () => {
+    const predictions = {
+        Sad: bucket('s1', 's2', 's3', 's4'),
+        Calm: bucket('c1', 'c2', 'c3', 'c4', 'c5', 'c6'),
+        Happy: bucket('h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'h7', 'h8'),
+    };
+    const stages = [{ mood: 'Sad', weight: 25 }, { mood: 'Calm', weight: 25 }, { mood: 'Happy', weight: 50 }];
+    const moodOf = (id) => ({ s: 'Sad', c: 'Calm', h: 'Happy' }[id[0]]);
+
+    test('keeps the stages in order and in proportion to their weights', () => {
+        const { trackIds, counts } = buildMoodJourney(predictions, stages, null, { random: createSeededRandom('j') });
+        expect(counts).toEqual({ Sad: 4, Calm: 4, Happy: 8 });
+        expect(trackIds.map(moodOf)).toEqual([...Array(4).fill('Sad'), ...Array(4).fill('Calm'), ...Array(8).fill('Happy')]);
+    });
+
+    test('gives the same journey for the same seed', () => {
+        const run = () => buildMoodJourney(predictions, stages, null, { random: createSeededRandom('again') }).trackIds;
+        expect(run()).toEqual(run());
+    });
+
+    test('orders each stage towards the end mood with audio features', () => {
+        const audioFeatures = { h1: { valence: 0.9, energy: 0.9 }, h2: { valence: 0.1, energy: 0.1 }, h3: { valence: 0.5, energy: 0.5 } };
+        const { trackIds } = buildMoodJourney(
+            { Sad: bucket('s1'), Happy: bucket('h1', 'h2', 'h3') },
+            [{ mood: 'Sad', weight: 25 }, { mood: 'Happy', weight: 75 }],
+            audioFeatures,
+            { random: createSeededRandom('f') },
+        );
+        expect(trackIds).toEqual(['s1', 'h2', 'h3', 'h1']);
+    });
+
+    test('leaves out middle stages without tracks or weight', () => {
+        const { counts } = buildMoodJourney({ ...predictions, Calm: [] }, stages, null, { random: createSeededRandom('m') });
+        expect(counts.Calm).toBe(0);
+        const { counts: unweighted } = buildMoodJourney(predictions, [stages[0], { mood: 'Calm', weight: 0 }, stages[2]], null, { random: createSeededRandom('m') });
+        expect(unweighted.Calm).toBe(0);
+    });
+
+    test('rejects a start or end mood without weight', () => {
+        expect(() => buildMoodJourney(predictions, [{ mood: 'Sad', weight: 0 }, stages[1], stages[2]])).toThrow('Sad has none');
+        expect(() => buildMoodJourney(predictions, [stages[0], stages[1], { mood: 'Happy', weight: 0 }])).toThrow('Happy has none');
+    });
+
+    test('rejects a start or end mood without tracks', () => {
+        expect(() => buildMoodJourney({ ...predictions, Sad: [] }, stages)).toThrow('classified as Sad');
+    });
+});
+
+describe('buildMoodBlend', () => {
+    const ids = (prefix, count) => Array.from({ length: count }, (_, index) => `${prefix}${index}`);
+    const predictions = {
+        Happy: bucket(...ids('h', 30)),
+        Excited: bucket(...ids('e', 30)),
+        Calm: bucket(...ids('c', 3)),
+    };
+
+    test('splits the length by weight', () => {
+        const { trackIds, counts } = buildMoodBlend(predictions, { Happy: 60, Excited: 30, Calm: 10 }, 20, { random: createSeededRandom('b') });
+        expect(counts).toEqual({ Happy: 12, Excited: 6, Calm: 2 });
+        expect(trackIds).toHaveLength(20);
+        expect(new Set(trackIds).size).toBe(20);
+    });
+
+    test('rounds by largest remainder so the mix is exactly as long as asked', () => {
+        const { counts } = buildMoodBlend(predictions, { Happy: 1, Excited: 1, Calm: 1 }, 7, { random: createSeededRandom('r') });
+        expect(Object.values(counts).reduce((sum, count) => sum + count, 0)).toBe(7);
+    });
+
+    test('shares what a short mood is missing among the others', () => {
+        const { trackIds, counts } = buildMoodBlend(predictions, { Happy: 20, Calm: 80 }, 20, { random: createSeededRandom('s') });
+        expect(counts).toEqual({ Happy: 17, Calm: 3 });
+        expect(trackIds).toHaveLength(20);
+    });
+
+    test('comes out shorter only when every chosen mood runs out', () => {
+        const { trackIds } = buildMoodBlend(predictions, { Calm: 100 }, 10, { random: createSeededRandom('o') });
+        expect(trackIds).toHaveLength(3);
+    });
+
+    test('takes a track only once when the service lists it under two moods', () => {
+        const { trackIds } = buildMoodBlend({ Happy: bucket('a', 'b'), Excited: bucket('a', 'c') }, { Happy: 50, Excited: 50 }, 10, { random: createSeededRandom('d') });
+        expect([...trackIds].sort()).toEqual(['a', 'b', 'c']);
+    });
+
+    test('gives the same mix for the same seed', () => {
+        const run = () => buildMoodBlend(predictions, { Happy: 50, Excited: 50 }, 10, { random: createSeededRandom('same') }).trackIds;
+        expect(run()).toEqual(run());
+    });
+
+    test('rejects weights whose moods have no tracks', () => {
+        expect(() => buildMoodBlend(predictions, { Sad: 100 }, 10)).toThrow('None of the chosen moods');
+    });
+});
+
+describe('blend weights in descriptions', () => {
+    test('round-trip, leaving out moods without weight', () => {
+        const text = formatBlendWeights({ Happy: 60, Excited: 30, Calm: 10, Sad: 0 });
+        expect(text).toBe('Calm10-Excited30-Happy60');
+        expect(parseBlendWeights(text)).toEqual({ Calm: 10, Excited: 30, Happy: 60 });
+    });
+
+    test('parseBlendWeights skips unknown moods and malformed parts', () => {
+        expect(parseBlendWeights('Happy12.5-Bored20-Calm-x')).toEqual({ Happy: 12.5 });
+        expect(parseBlendWeights(undefined)).toEqual({});
+    });
+});